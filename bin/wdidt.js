@@ -5,44 +5,184 @@
  * A personal daily notes CLI tool for managing todos and notes
  */
 
-import { Command } from 'commander';
+import { Command, Option, InvalidArgumentError } from 'commander';
 import { addTodo } from '../commands/addTodo.js';
 import { listTodos } from '../commands/listTodos.js';
 import { listNotes } from '../commands/listNotes.js';
 import { listRefs } from '../commands/listRefs.js';
 import { addRef } from '../commands/addRef.js';
+import { showRef, copyRef } from '../commands/showRef.js';
+import { runRef } from '../commands/runRef.js';
 import { addNote, addNoteInteractive } from '../commands/addNote.js';
 import { configureConfluence } from '../commands/confluence.js';
 import { syncToConfluence } from '../commands/sync.js';
 import { carryoverTodos } from '../commands/carryover.js';
+import { staleTodos } from '../commands/stale.js';
+import { doneTodos } from '../commands/done.js';
+import { startTracking, stopTracking, timesheet } from '../commands/timeTracking.js';
+import { showIdStats, rebuildIds } from '../commands/ids.js';
+import { search } from '../commands/search.js';
+import { rebuildIndexes } from '../commands/rebuildIndex.js';
+import { dashboard } from '../commands/dashboard.js';
+import { addRecurring, listRecurring, removeRecurring } from '../commands/recur.js';
+import { parseDateInput } from '../utils/dates.js';
+import { normalizeLanguage } from '../utils/codeLanguage.js';
 
 const program = new Command();
 
+/**
+ * Parses the global --date option value for commander
+ * @param {string} value - The raw option value
+ * @returns {Date} The parsed date
+ * @throws {InvalidArgumentError} If the value is not a recognised date
+ */
+function parseDateOption(value) {
+  try {
+    return parseDateInput(value);
+  } catch (error) {
+    throw new InvalidArgumentError(error.message);
+  }
+}
+
+/**
+ * Parses the todo --due option value for commander
+ * Weekday names resolve to the next such day, since due dates lie ahead
+ * @param {string} value - The raw option value
+ * @returns {Date} The parsed due date
+ * @throws {InvalidArgumentError} If the value is not a recognised date
+ */
+function parseDueOption(value) {
+  try {
+    return parseDateInput(value, { preferFuture: true });
+  } catch (error) {
+    throw new InvalidArgumentError(error.message);
+  }
+}
+
+/**
+ * Parses the todo --priority option value for commander
+ * @param {string} value - The raw option value (1-3, optionally prefixed with P)
+ * @returns {number} The priority
+ * @throws {InvalidArgumentError} If the value is not a priority from 1 to 3
+ */
+function parsePriorityOption(value) {
+  const match = String(value).trim().match(/^[pP]?([1-3])$/);
+  if (!match) {
+    throw new InvalidArgumentError('Priority must be 1, 2 or 3 (or P1-P3)');
+  }
+  return parseInt(match[1], 10);
+}
+
+/**
+ * Parses the stale --days option value for commander
+ * @param {string} value - The raw option value
+ * @returns {number} The number of days
+ * @throws {InvalidArgumentError} If the value is not a whole number of days
+ */
+function parseDaysOption(value) {
+  const days = String(value).trim();
+  if (!/^\d+$/.test(days)) {
+    throw new InvalidArgumentError('Days must be a whole number, like 7');
+  }
+  return parseInt(days, 10);
+}
+
+/**
+ * Collects a repeatable todo --tag option for commander
+ * @param {string} value - The raw option value (with or without a leading #)
+ * @param {string[]} previous - Tags collected so far
+ * @returns {string[]} All tags so far
+ * @throws {InvalidArgumentError} If the value is not a valid tag
+ */
+function collectTag(value, previous) {
+  const tag = value.replace(/^#/, '');
+  if (!/^[\w-]+$/.test(tag)) {
+    throw new InvalidArgumentError(`Invalid tag: ${value}`);
+  }
+  return [...previous, tag];
+}
+
+/**
+ * Parses the ref --lang option value for commander
+ * @param {string} value - The raw option value
+ * @returns {string} The normalized language name
+ * @throws {InvalidArgumentError} If the value is not a usable language name
+ */
+function parseLanguageOption(value) {
+  const language = normalizeLanguage(value);
+  if (!language) {
+    throw new InvalidArgumentError(`Invalid language: ${value}`);
+  }
+  return language;
+}
+
+/**
+ * Rewrites `wdidt ref [options] -- <text>` so the text is always saved as a reference
+ * Commander drops `--` before it looks for a subcommand, so text starting with show, copy or run
+ * would run that subcommand; the text is passed in the hidden --text option instead
+ * @param {string[]} argv - The process arguments
+ * @returns {string[]} The arguments to parse
+ */
+function escapeRefText(argv) {
+  const args = argv.slice(2);
+
+  // The command follows the global options
+  let idx = 0;
+  while (idx < args.length && args[idx].startsWith('-') && args[idx] !== '--') {
+    idx += args[idx] === '--date' ? 2 : 1;
+  }
+
+  const separator = args.indexOf('--', idx);
+  if (args[idx] !== 'ref' || separator === -1 || separator === args.length - 1) {
+    return argv;
+  }
+  return [...argv.slice(0, 2), ...args.slice(0, separator), '--text', args.slice(separator + 1).join(' ')];
+}
+
 program
   .name('wdidt')
   .description('What Did I Do Today - A personal daily notes CLI')
   .version('1.0.0')
+  .option('--date <date>', 'Day to operate on (YYYY-MM-DD, yesterday, monday, ...)', parseDateOption)
   .action(() => {
-    program.help();
+    if (program.args.length > 0) {
+      program.error(`error: unknown command '${program.args[0]}'`);
+    }
+    // The dashboard needs a terminal; otherwise (e.g. piped) show the help
+    if (!process.stdin.isTTY || !process.stdout.isTTY) {
+      program.help();
+    }
+    return dashboard(program.opts().date);
   });
 
+program
+  .command('dash')
+  .description('Open the dashboard: todos, context, references and notes of a day')
+  .action(() => dashboard(program.opts().date));
+
 program
   .command('todo [text...]')
   .description('Add a todo or manage todos interactively')
   .option('-c, --context <text>', 'Context for the todo')
+  .option('--due <date>', 'Due date (YYYY-MM-DD, tomorrow, friday, ...)', parseDueOption)
+  .option('-p, --priority <level>', 'Priority from 1 (highest) to 3', parsePriorityOption)
+  .option('-t, --tag <tag>', 'Tag the todo (repeatable)', collectTag, [])
   .action((text, options) => {
+    const { date } = program.opts();
+    const metadata = { due: options.due, priority: options.priority, tags: options.tag };
+
     // If no text provided, show interactive todos list
     if (!text || text.length === 0) {
-      listTodos();
+      listTodos(date);
     } else {
       // Add a todo
       // Check if last argument looks like context (if no --context flag)
       // wdidt todo "todo text" "context" - first arg is todo, second is context
       if (!options.context && text.length === 2) {
-        addTodo(text[0], text[1]);
+        addTodo(text[0], text[1], date, metadata);
       } else {
         // wdidt todo text here --context context
-        addTodo(text.join(' '), options.context);
+        addTodo(text.join(' '), options.context, date, metadata);
       }
     }
   });
@@ -52,27 +192,59 @@ program
   .description('Add a note or manage notes interactively')
   .option('-l, --list', 'Open notes list manager')
   .action((text, options) => {
+    const { date } = program.opts();
+
     if (options.list) {
-      listNotes();
+      listNotes(date);
     } else if (!text || text.length === 0) {
-      addNoteInteractive();
+      addNoteInteractive(date);
     } else {
-      addNote(text.join(' '));
+      addNote(text.join(' '), date);
     }
   });
 
-program
+const refCommand = program
   .command('ref [text...]')
   .description('Add a reference or manage references interactively')
-  .action((text) => {
-    // If no text provided, show interactive refs list
-    if (!text || text.length === 0) {
-      listRefs();
+  .option('-e, --edit', 'Write a multi-line reference in $EDITOR')
+  .option('-l, --lang <language>', 'Code language (bash, sql, json, yaml, http, ...); detected when omitted', parseLanguageOption)
+  .addOption(new Option('--text <text>', 'Reference text given after --').hideHelp())
+  .action((words, options) => {
+    const { date } = program.opts();
+    const { lang } = options;
+    const text = options.text !== undefined ? [options.text] : words;
+
+    // `wdidt ref -` or piped input reads a (multi-line) reference from stdin
+    const fromStdin = options.text === undefined
+      && ((text.length === 1 && text[0] === '-') || (text.length === 0 && !options.edit && !process.stdin.isTTY));
+
+    if (fromStdin) {
+      addRef('', date, { stdin: true, lang });
+    } else if (options.edit) {
+      addRef(text.join(' '), date, { edit: true, lang });
+    } else if ((!text || text.length === 0) && !lang) {
+      // If no text provided, show interactive refs list
+      listRefs(date);
     } else {
-      addRef(text.join(' '));
+      addRef(text.join(' '), date, { lang });
     }
   });
 
+refCommand
+  .command('show <id>')
+  .description('Print a reference from any month by its ID (partial IDs like quick-fox work)')
+  .action(showRef);
+
+refCommand
+  .command('copy <id>')
+  .description('Copy a reference from any month to the clipboard (via the terminal, OSC 52)')
+  .action(copyRef);
+
+refCommand
+  .command('run <id>')
+  .description('Run a command reference, filling in its {{placeholders}}')
+  .action((id) => runRef(id, program.opts().date));
+
 program
   .command('confluence')
   .description('Configure Confluence sync settings')
@@ -85,8 +257,89 @@ program
 
 program
   .command('carryover')
-  .description('Carry over incomplete todos from yesterday to today')
-  .action(carryoverTodos);
+  .description('Carry over incomplete todos from the previous day to today')
+  .option('-i, --interactive', 'Choose to carry, skip, defer, backlog or drop each todo')
+  .option('-w, --working-days', 'Only carry over from working days (skips weekends and holidays)')
+  .option('--no-working-days', 'Carry over from the most recent day, even if it is not a working day')
+  .action((options) => carryoverTodos(program.opts().date, options));
+
+program
+  .command('stale')
+  .description('List open todos that have been carried over for too long')
+  .option('-d, --days <n>', 'Minimum age in days (defaults to carryover.staleDays or 7)', parseDaysOption)
+  .action((options) => staleTodos(program.opts().date, options));
+
+program
+  .command('done')
+  .description('List todos completed on a day, or from --since up to that day')
+  .option('-s, --since <date>', 'First day to include (YYYY-MM-DD, monday, ...)', parseDateOption)
+  .action((options) => doneTodos(program.opts().date, options));
+
+program
+  .command('start <todo...>')
+  .description('Start tracking time on an open todo of the day, matched by its text')
+  .action((todo) => startTracking(todo.join(' '), program.opts().date));
+
+program
+  .command('stop')
+  .description('Stop the running timer')
+  .action(stopTracking);
+
+program
+  .command('timesheet')
+  .description('Show the time tracked per todo and per tag')
+  .option('-w, --week', 'Cover the whole week (Monday to Sunday) of the day')
+  .option('-s, --since <date>', 'First day to include (YYYY-MM-DD, monday, ...)', parseDateOption)
+  .option('--csv [file]', 'Export as CSV to a file, or print it')
+  .action((options) => timesheet(program.opts().date, options));
+
+program
+  .command('search <query...>')
+  .description('Search todos, context, notes and references across all notes')
+  .option('-t, --type <type>', 'Only search one kind of item (todo, context, note, ref)')
+  .option('-s, --since <date>', 'Only search days on or after a date (YYYY-MM-DD, monday, ...)', parseDateOption)
+  .option('--done', 'Only search completed todos')
+  .action((query, options) => search(query, options));
+
+program
+  .command('index')
+  .description('Manage the search index and ID registry')
+  .command('rebuild')
+  .description('Rebuild the search index and ID registry from all notes files')
+  .action(rebuildIndexes);
+
+const idsCommand = program
+  .command('ids')
+  .description('Show how many reference and context IDs are in use')
+  .action(showIdStats);
+
+idsCommand
+  .command('rebuild')
+  .description('Rebuild the ID registry from all notes files')
+  .action(rebuildIds);
+
+const recurCommand = program
+  .command('recur')
+  .description('Manage recurring todos, added to each day they are due')
+  .action(listRecurring);
+
+recurCommand
+  .command('add <text...>')
+  .description('Add a recurring todo')
+  .requiredOption('-e, --every <schedule>', 'When it recurs: daily, weekdays, a weekday (monday) or a day of the month (1st)')
+  .option('-p, --priority <level>', 'Priority from 1 (highest) to 3', parsePriorityOption)
+  .option('-t, --tag <tag>', 'Tag the todo (repeatable)', collectTag, [])
+  .action((text, options) => addRecurring(text.join(' '), { every: options.every, priority: options.priority, tags: options.tag }));
+
+recurCommand
+  .command('list')
+  .description('List recurring todos')
+  .action(listRecurring);
+
+recurCommand
+  .command('remove <id>')
+  .description('Remove a recurring todo')
+  .action(removeRecurring);
 
 program
   .command('test-confluence')
@@ -148,4 +401,4 @@ program
     }
   });
 
-program.parse();
+program.parse(escapeRefText(process.argv));
@@ -1,15 +1,17 @@
 import inquirer from 'inquirer';
 import chalk from 'chalk';
 import { addContentToSection } from '../utils/fileHandler.js';
+import { escapeXml } from '../utils/notesModel.js';
 import { performAutoSync } from './sync.js';
 import { openEditor } from '../editor/index.js';
 
 /**
  * Adds content to the notes section
  * @param {string} text - The text to add (optional, will prompt if not provided)
+ * @param {Date} [date] - The day to add to (defaults to today)
  * @returns {Promise<void>}
  */
-export async function addNote(text) {
+export async function addNote(text, date) {
   let content = text;
 
   if (!content || !content.trim()) {
@@ -33,20 +35,21 @@ export async function addNote(text) {
   const now = new Date();
   const timeString = now.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', hour12: true });
 
-  const formattedContent = `<p style="color: #888; font-size: 0.85em; margin-bottom: 5px;">${timeString}</p>\n<p>${content}</p>`;
-  await addContentToSection('Notes', formattedContent);
+  const formattedContent = `<p style="color: #888; font-size: 0.85em; margin-bottom: 5px;">${timeString}</p>\n<p>${escapeXml(content)}</p>`;
+  await addContentToSection('Notes', formattedContent, date);
 
   console.log(chalk.green('✓') + ' Note added!');
 
   // Sync to Confluence if enabled (respects silentSync setting)
-  await performAutoSync();
+  await performAutoSync(date);
 }
 
 /**
  * Opens the WYSIWYG editor for adding a rich-formatted note
+ * @param {Date} [date] - The day to add to (defaults to today)
  * @returns {Promise<void>}
  */
-export async function addNoteInteractive() {
+export async function addNoteInteractive(date) {
   const html = await openEditor();
 
   if (!html) {
@@ -59,10 +62,10 @@ export async function addNoteInteractive() {
   const timeString = now.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', hour12: true });
 
   const formattedContent = `<p style="color: #888; font-size: 0.85em; margin-bottom: 5px;">${timeString}</p>\n${html}`;
-  await addContentToSection('Notes', formattedContent);
+  await addContentToSection('Notes', formattedContent, date);
 
   console.log(chalk.green('✓') + ' Note added!');
 
   // Sync to Confluence if enabled (respects silentSync setting)
-  await performAutoSync();
+  await performAutoSync(date);
 }
@@ -1,18 +1,41 @@
 import inquirer from 'inquirer';
 import chalk from 'chalk';
-import { addContentToSection, idExistsInCurrentMonth } from '../utils/fileHandler.js';
-import { generateUniqueThreeWordId } from '../utils/wordGenerator.js';
+import { addContentToSection } from '../utils/fileHandler.js';
+import { escapeAttr, escapeCdata, escapeXml } from '../utils/notesModel.js';
+import { detectLanguage } from '../utils/codeLanguage.js';
+import { reserveUniqueId } from '../utils/idRegistry.js';
 import { performAutoSync } from './sync.js';
 
+/**
+ * @typedef {Object} AddRefOptions
+ * @property {boolean} [edit] - Compose the reference in $EDITOR
+ * @property {boolean} [stdin] - Read the reference from standard input
+ * @property {string} [lang] - Code language for the Confluence macro (detected from the content when omitted)
+ */
+
 /**
  * Adds content to the references section with a unique 3-word identifier
+ * The content may span multiple lines when it comes from stdin or the editor
  * @param {string} text - The text to add (optional, will prompt if not provided)
+ * @param {Date} [date] - The day to add to (defaults to today)
+ * @param {AddRefOptions} [options] - Where to read the content from
  * @returns {Promise<void>}
  */
-export async function addRef(text) {
+export async function addRef(text, date, options = {}) {
   let content = text;
 
-  if (!content || !content.trim()) {
+  if (options.stdin) {
+    content = await readStdin();
+  } else if (options.edit) {
+    content = await editReferenceContent(text || '');
+  }
+
+  if (options.stdin || options.edit) {
+    if (!content || !content.trim()) {
+      console.log(chalk.yellow('Reference is empty, nothing saved.'));
+      return;
+    }
+  } else if (!content || !content.trim()) {
     const answers = await inquirer.prompt([
       {
         type: 'input',
@@ -29,17 +52,75 @@ export async function addRef(text) {
     content = answers.content;
   }
 
-  const refId = await generateUniqueThreeWordId(idExistsInCurrentMonth);
+  const language = options.lang || detectLanguage(content);
+  const refId = await saveReference(content, date, { lang: language });
+
+  const lineCount = content.split('\n').length;
+  const details = [language, lineCount > 1 ? `${lineCount} lines` : null].filter(Boolean).join(', ');
+  console.log(chalk.green('✓') + ` Reference saved with ID: ${chalk.cyan(refId)}${details ? chalk.gray(` (${details})`) : ''}`);
+
+  // Sync to Confluence if enabled (respects silentSync setting)
+  await performAutoSync(date);
+}
+
+/**
+ * @typedef {Object} SaveReferenceOptions
+ * @property {string|null} [lang] - Code language for the Confluence macro
+ * @property {string} [sourceId] - ID of the reference this one was produced from
+ */
+
+/**
+ * Stores content as a new reference under a fresh 3-word identifier
+ * @param {string} content - The reference content
+ * @param {Date} [date] - The day to add to (defaults to today)
+ * @param {SaveReferenceOptions} [options] - Macro details
+ * @returns {Promise<string>} The new reference ID
+ */
+export async function saveReference(content, date, options = {}) {
+  const refId = await reserveUniqueId('reference');
+  const languageParameter = options.lang ? `<ac:parameter ac:name="language">${escapeXml(options.lang)}</ac:parameter>` : '';
+  const sourceAttribute = options.sourceId ? ` data-source-ref="${escapeAttr(options.sourceId)}"` : '';
 
   // Get current timestamp
   const now = new Date();
   const timeString = now.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', hour12: true });
 
-  const formattedContent = `<p style="color: #888; font-size: 0.85em; margin-bottom: 5px;">${timeString}</p>\n<ac:structured-macro ac:name="code" data-ref-id="${refId}"><ac:parameter ac:name="title">[${refId}]</ac:parameter><ac:plain-text-body><![CDATA[${content}]]></ac:plain-text-body></ac:structured-macro>`;
-  await addContentToSection('References', formattedContent);
+  const formattedContent = `<p style="color: #888; font-size: 0.85em; margin-bottom: 5px;">${timeString}</p>\n<ac:structured-macro ac:name="code" data-ref-id="${escapeAttr(refId)}"${sourceAttribute}><ac:parameter ac:name="title">[${escapeXml(refId)}]</ac:parameter>${languageParameter}<ac:plain-text-body><![CDATA[${escapeCdata(content)}]]></ac:plain-text-body></ac:structured-macro>`;
+  await addContentToSection('References', formattedContent, date);
 
-  console.log(chalk.green('✓') + ` Reference saved with ID: ${chalk.cyan(refId)}`);
+  return refId;
+}
 
-  // Sync to Confluence if enabled (respects silentSync setting)
-  await performAutoSync();
+/**
+ * Opens $EDITOR to write or change multi-line reference content
+ * @param {string} [initialContent] - Content to start from
+ * @returns {Promise<string>} The content with trailing whitespace removed
+ */
+export async function editReferenceContent(initialContent = '') {
+  const { content } = await inquirer.prompt([
+    {
+      type: 'editor',
+      name: 'content',
+      message: 'Reference content:',
+      default: initialContent,
+      waitUserInput: false
+    }
+  ]);
+  return content.replace(/\s+$/, '');
+}
+
+/**
+ * Reads all of standard input, e.g. when a snippet is piped into `wdidt ref`
+ * @returns {Promise<string>} The input with trailing whitespace removed
+ */
+function readStdin() {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    process.stdin.setEncoding('utf-8');
+    process.stdin.on('data', (chunk) => {
+      data += chunk;
+    });
+    process.stdin.on('end', () => resolve(data.replace(/\s+$/, '')));
+    process.stdin.on('error', reject);
+  });
 }
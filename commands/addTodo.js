@@ -1,16 +1,26 @@
 import inquirer from 'inquirer';
 import chalk from 'chalk';
-import { initializeTodaySection, replaceTodaySection, addContext, idExistsInCurrentMonth, getNextTodoId } from '../utils/fileHandler.js';
-import { generateUniqueThreeWordId } from '../utils/wordGenerator.js';
+import { initializeDaySection, replaceDaySection, addContext, addTodoToSection, createTodoIdentity, addTagsToText } from '../utils/fileHandler.js';
+import { reserveUniqueId } from '../utils/idRegistry.js';
+import { formatISODate, getDateString } from '../utils/dates.js';
 import { performAutoSync } from './sync.js';
 
 /**
- * Adds a new todo item to today's notes
+ * @typedef {Object} TodoMetadata
+ * @property {Date} [due] - When the todo is due
+ * @property {number} [priority] - Priority from 1 (highest) to 3
+ * @property {string[]} [tags] - Tags to add to the todo text as #tags
+ */
+
+/**
+ * Adds a new todo item to a day's notes
  * @param {string} [text] - The todo text (optional, will prompt if not provided)
  * @param {string} [contextText] - The context text (optional)
+ * @param {Date} [date] - The day to add to (defaults to today)
+ * @param {TodoMetadata} [metadata] - Due date, priority and tags
  * @returns {Promise<void>}
  */
-export async function addTodo(text, contextText) {
+export async function addTodo(text, contextText, date, metadata = {}) {
   let todoText = text;
 
   // If no text provided or empty, prompt the user
@@ -65,54 +75,25 @@ export async function addTodo(text, contextText) {
 
   // Generate unique context ID and add context if provided
   if (finalContextText && finalContextText.trim()) {
-    contextId = await generateUniqueThreeWordId(idExistsInCurrentMonth);
-    await addContext(contextId, finalContextText);
+    contextId = await reserveUniqueId('context');
+    await addContext(contextId, finalContextText, date);
   }
 
-  const todaySection = await initializeTodaySection();
-  const lines = todaySection.split('\n');
-
-  let todoSectionIdx = -1;
-  let taskListIdx = -1;
-  let insertIdx = -1;
-
-  for (let i = 0; i < lines.length; i++) {
-    if (lines[i] === '<h3>Todos</h3>') {
-      todoSectionIdx = i;
-      continue;
-    }
+  // Tags live in the text
+  todoText = addTagsToText(todoText, metadata.tags || []);
 
-    if (todoSectionIdx !== -1 && taskListIdx === -1 && lines[i] === '<ac:task-list>') {
-      taskListIdx = i;
-      // Prepend: insert right after the task-list opening tag
-      insertIdx = i + 1;
-      break;
-    }
+  const todaySection = await initializeDaySection(date);
 
-    if (todoSectionIdx !== -1 && lines[i].startsWith('<h3>') && lines[i] !== '<h3>Todos</h3>') {
-      break;
-    }
-  }
+  // New todos go to the top of the task list, with a fresh stable identity
+  const updatedSection = addTodoToSection(todaySection, todoText, {
+    contextIds: contextId ? [contextId] : [],
+    identity: createTodoIdentity(date),
+    prepend: true,
+    due: metadata.due ? formatISODate(metadata.due) : null,
+    priority: metadata.priority || null
+  });
 
-  if (insertIdx === -1 || taskListIdx === -1) {
-    // No task-list found, shouldn't happen with our structure but handle it
-    insertIdx = todoSectionIdx + 2;
-  }
-
-  // Get next sequential todo ID
-  const todoId = getNextTodoId(todaySection);
-
-  // Create todo line using proper Confluence storage format
-  let todoLine;
-  if (contextId) {
-    todoLine = `<ac:task><ac:task-id>${todoId}</ac:task-id><ac:task-status>incomplete</ac:task-status><ac:task-body><span class="placeholder-inline-tasks">${todoText} <a href="#context-${contextId}" style="color: #0066cc;">📎 ${contextId}</a></span></ac:task-body></ac:task>`;
-  } else {
-    todoLine = `<ac:task><ac:task-id>${todoId}</ac:task-id><ac:task-status>incomplete</ac:task-status><ac:task-body><span class="placeholder-inline-tasks">${todoText}</span></ac:task-body></ac:task>`;
-  }
-
-  lines.splice(insertIdx, 0, todoLine);
-
-  await replaceTodaySection(lines.join('\n'));
+  await replaceDaySection(date, updatedSection);
 
   if (contextId) {
     console.log(chalk.green('✓') + ` Todo added with context ID: ${chalk.cyan(contextId)}`);
@@ -120,6 +101,13 @@ export async function addTodo(text, contextText) {
     console.log(chalk.green('✓') + ' Todo added successfully!');
   }
 
+  const details = [];
+  if (metadata.priority) details.push(`P${metadata.priority}`);
+  if (metadata.due) details.push(`due ${getDateString(metadata.due)}`);
+  if (details.length > 0) {
+    console.log(chalk.gray(`  ${details.join(', ')}`));
+  }
+
   // Sync to Confluence if enabled (respects silentSync setting)
-  await performAutoSync();
+  await performAutoSync(date);
 }
@@ -1,115 +1,245 @@
 import chalk from 'chalk';
+import termkit from 'terminal-kit';
+import inquirer from 'inquirer';
 import {
-  initializeTodaySection,
-  replaceTodaySection,
-  readNotesFile,
-  getPreviousDaySection,
+  initializeDaySection,
+  findCarryoverSourceDay,
   extractTodos,
-  getNextTodoId
+  applyCarryoverDecisions
 } from '../utils/fileHandler.js';
+import { getDateString, getMonthString, formatISODate, parseDateInput, startOfDay } from '../utils/dates.js';
 import { performAutoSync } from './sync.js';
 
+const term = termkit.terminal;
+
+/**
+ * @typedef {Object} CarryoverOptions
+ * @property {boolean} [workingDays] - Only carry from working days (overrides config when set)
+ * @property {boolean} [interactive] - Pick an action for each todo instead of carrying them all
+ */
+
 /**
- * Carries over incomplete todos from the previous day to today
+ * Carries over incomplete todos from the most recent previous day to today
+ * The previous day may be in an earlier monthly file, and non-working days
+ * can be skipped using the configured calendar
+ * @param {Date} [date] - The day to carry todos into (defaults to today)
+ * @param {CarryoverOptions} [options] - Carryover options
  * @returns {Promise<void>}
  */
-export async function carryoverTodos() {
+export async function carryoverTodos(date, options = {}) {
   try {
-    // Initialize today's section first
-    const todaySection = await initializeTodaySection();
+    const targetDay = startOfDay(date || new Date());
 
-    // Get the full file content to find previous day
-    const content = await readNotesFile();
-    const previousDaySection = getPreviousDaySection(content);
+    // Initialize the target day's section first
+    await initializeDaySection(targetDay);
+
+    // Search back across monthly files for the previous day
+    const previousDaySection = await findCarryoverSourceDay(targetDay, options.workingDays);
 
     if (!previousDaySection) {
       console.log(chalk.yellow('⚠ No previous day found. This might be the first day in your notes.'));
       return;
     }
 
+    const previousDayString = getDateString(previousDaySection.date);
+
     // Extract todos from previous day
     const previousTodos = extractTodos(previousDaySection.content);
 
-    // Filter for incomplete todos only
+    // Filter for incomplete todos only (migrated todos are closed on their original day)
     const incompleteTodos = previousTodos.filter(todo => !todo.checked);
 
     if (incompleteTodos.length === 0) {
-      console.log(chalk.green('✓ No incomplete todos from yesterday. You\'re all caught up!'));
+      console.log(chalk.green(`✓ No incomplete todos from ${previousDayString}. You're all caught up!`));
       return;
     }
 
-    // Get today's section to append todos
-    const lines = todaySection.split('\n');
-
-    let todoSectionIdx = -1;
-    let taskListIdx = -1;
-    let insertIdx = -1;
-
-    for (let i = 0; i < lines.length; i++) {
-      if (lines[i] === '<h3>Todos</h3>') {
-        todoSectionIdx = i;
-        continue;
-      }
-
-      if (todoSectionIdx !== -1 && taskListIdx === -1 && lines[i] === '<ac:task-list>') {
-        taskListIdx = i;
-        continue;
-      }
-
-      if (todoSectionIdx !== -1 && lines[i] === '</ac:task-list>') {
-        insertIdx = i;
-        break;
-      }
-
-      if (todoSectionIdx !== -1 && lines[i].startsWith('<h3>') && lines[i] !== '<h3>Todos</h3>') {
-        break;
+    /** @type {import('../utils/fileHandler.js').CarryoverDecision[]|null} */
+    let decisions;
+    if (options.interactive) {
+      decisions = await pickCarryoverActions(incompleteTodos, previousDayString, targetDay);
+      if (!decisions) {
+        console.log(chalk.yellow('Carryover cancelled.'));
+        return;
       }
+    } else {
+      decisions = incompleteTodos.map(todo => ({ todo, action: 'carried', target: null }));
     }
 
-    if (insertIdx === -1 || taskListIdx === -1) {
-      insertIdx = todoSectionIdx + 2;
-    }
+    const kept = await applyCarryoverDecisions(decisions, previousDaySection, targetDay);
+    // Todos their destination already has stay open on the previous day
+    decisions = decisions.map(d => (kept.includes(d.todo) ? { ...d, action: 'skipped' } : d));
 
-    // Get the starting todo ID for today
-    let nextTodoId = getNextTodoId(todaySection);
-
-    // Add each incomplete todo to today
-    const newTodoLines = [];
-    for (const todo of incompleteTodos) {
-      // Reconstruct the todo line with new ID and preserve context links
-      let todoLine;
-      if (todo.contextIds && todo.contextIds.length > 0) {
-        // Build context links
-        const contextLinks = todo.contextIds.map(contextId =>
-          `<a href="#context-${contextId}" style="color: #0066cc;">📎 ${contextId}</a>`
-        ).join(' ');
-        todoLine = `<ac:task><ac:task-id>${nextTodoId}</ac:task-id><ac:task-status>incomplete</ac:task-status><ac:task-body><span class="placeholder-inline-tasks">${todo.text} ${contextLinks}</span></ac:task-body></ac:task>`;
-      } else {
-        todoLine = `<ac:task><ac:task-id>${nextTodoId}</ac:task-id><ac:task-status>incomplete</ac:task-status><ac:task-body><span class="placeholder-inline-tasks">${todo.text}</span></ac:task-body></ac:task>`;
-      }
-      newTodoLines.push(todoLine);
-      nextTodoId++;
+    const carried = decisions.filter(d => d.action === 'carried');
+    if (carried.length > 0) {
+      console.log(chalk.green('✓') + ` Carried over ${chalk.cyan(carried.length)} incomplete todo${carried.length > 1 ? 's' : ''} from ${previousDayString}.`);
+    }
+    if (kept.length > 0) {
+      const where = kept.length > 1 ? 'they were going to already have todos' : 'it was going to already has a todo';
+      console.log(chalk.yellow(`⚠ Left ${kept.length} todo${kept.length > 1 ? 's' : ''} open on ${previousDayString}: the day or backlog ${where} with the same text.`));
     }
 
-    // Insert all new todos
-    lines.splice(insertIdx, 0, ...newTodoLines);
-
-    await replaceTodaySection(lines.join('\n'));
-
-    console.log(chalk.green('✓') + ` Carried over ${chalk.cyan(incompleteTodos.length)} incomplete todo${incompleteTodos.length > 1 ? 's' : ''} from yesterday.`);
-
-    // Show the todos that were carried over
-    console.log(chalk.gray('\nCarried over todos:'));
-    incompleteTodos.forEach((todo, idx) => {
-      console.log(chalk.gray(`  ${idx + 1}. ${todo.text}${todo.contextIds.length > 0 ? ' 📎' : ''}`));
+    // Show what happened to each todo
+    console.log(chalk.gray('\nFrom ' + previousDayString + ':'));
+    decisions.forEach((decision, idx) => {
+      const todo = decision.todo;
+      console.log(chalk.gray(`  ${idx + 1}. ${formatDecision(decision).padEnd(18)} ${todo.text}${todo.contextIds.length > 0 ? ' 📎' : ''}`));
     });
     console.log('');
 
     // Sync to Confluence if enabled (respects silentSync setting)
-    await performAutoSync();
+    await performAutoSync(targetDay);
+    if (getMonthString(previousDaySection.date) !== getMonthString(targetDay)) {
+      await performAutoSync(previousDaySection.date);
+    }
 
   } catch (error) {
     console.error(chalk.red('Error carrying over todos:'), error.message);
     throw error;
   }
 }
+
+/**
+ * Formats a carryover decision as a short label
+ * @param {import('../utils/fileHandler.js').CarryoverDecision} decision - The decision
+ * @returns {string} The label (e.g., "defer → 2025-11-07")
+ */
+function formatDecision(decision) {
+  switch (decision.action) {
+    case 'carried':
+      return 'carry';
+    case 'deferred':
+      return `defer → ${formatISODate(decision.target)}`;
+    case 'backlog':
+      return 'backlog';
+    case 'dropped':
+      return 'drop';
+    default:
+      return 'skip';
+  }
+}
+
+/**
+ * Shows the interactive carryover picker with vim controls
+ * @param {import('../utils/fileHandler.js').TodoItem[]} todos - The open todos from the previous day
+ * @param {string} previousDayString - Display string of the previous day
+ * @param {Date} targetDay - The day being carried into
+ * @returns {Promise<import('../utils/fileHandler.js').CarryoverDecision[]|null>} The decisions, or null if cancelled
+ */
+async function pickCarryoverActions(todos, previousDayString, targetDay) {
+  /** @type {import('../utils/fileHandler.js').CarryoverDecision[]} */
+  const decisions = todos.map(todo => ({ todo, action: 'carried', target: null }));
+  const colors = {
+    carried: term.green,
+    skipped: term.gray,
+    deferred: term.yellow,
+    backlog: term.blue,
+    dropped: term.red
+  };
+  let selectedIndex = 0;
+  let result = null;
+  let running = true;
+
+  term.grabInput(true);
+  term.hideCursor(true);
+
+  while (running) {
+    term.clear();
+    term.cyan.bold('  ↪ CARRYOVER\n\n');
+    term.gray(`  Open todos from ${previousDayString} → ${getDateString(targetDay)}\n\n`);
+    term.gray('  ').white('j/k/↑↓').gray(': Navigate  ').white('c').gray(': Carry  ').white('s').gray(': Skip  ').white('d').gray(': Defer  ').white('b').gray(': Backlog  ').white('x').gray(': Drop  ').white('ENTER').gray(': Apply  ').white('ESC').gray(': Cancel\n\n');
+
+    decisions.forEach((decision, idx) => {
+      const label = formatDecision(decision).padEnd(18);
+
+      if (idx === selectedIndex) {
+        // Selected item - inverted colors
+        term.bgWhite.black(`  ${label} ${decision.todo.text}  `).white('\n');
+      } else {
+        colors[decision.action](`  ${label} `);
+        term.white(`${decision.todo.text}\n`);
+      }
+    });
+
+    term('\n');
+
+    // Wait for keypress
+    const key = await new Promise((resolve) => {
+      term.once('key', (name) => resolve(name));
+    });
+
+    const selected = decisions[selectedIndex];
+
+    if (key === 'UP' || key === 'k') {
+      selectedIndex = Math.max(0, selectedIndex - 1);
+    } else if (key === 'DOWN' || key === 'j') {
+      selectedIndex = Math.min(decisions.length - 1, selectedIndex + 1);
+    } else if (key === 'c' || key === 'C') {
+      selected.action = 'carried';
+      selected.target = null;
+    } else if (key === 's' || key === 'S') {
+      selected.action = 'skipped';
+      selected.target = null;
+    } else if (key === 'b' || key === 'B') {
+      selected.action = 'backlog';
+      selected.target = null;
+    } else if (key === 'x' || key === 'X') {
+      selected.action = 'dropped';
+      selected.target = null;
+    } else if (key === 'd' || key === 'D') {
+      const deferDate = await promptDeferDate(targetDay);
+      if (deferDate) {
+        selected.action = 'deferred';
+        selected.target = deferDate;
+      }
+    } else if (key === 'ENTER') {
+      result = decisions;
+      running = false;
+    } else if (key === 'ESCAPE') {
+      running = false;
+    }
+  }
+
+  term.grabInput(false);
+  term.hideCursor(false);
+  term.clear();
+
+  return result;
+}
+
+/**
+ * Prompts for the day to defer a todo to
+ * @param {Date} targetDay - The day being carried into; deferrals must be later
+ * @returns {Promise<Date|null>} The chosen day, or null if left empty
+ */
+async function promptDeferDate(targetDay) {
+  term.grabInput(false);
+  term.hideCursor(false);
+
+  const { deferTo } = await inquirer.prompt([
+    {
+      type: 'input',
+      name: 'deferTo',
+      message: 'Defer to (YYYY-MM-DD, tomorrow, friday, ...; empty to cancel):',
+      validate: (input) => {
+        if (!input.trim()) {
+          return true;
+        }
+        try {
+          const deferDate = parseDateInput(input, { now: targetDay, preferFuture: true });
+          if (deferDate.getTime() <= targetDay.getTime()) {
+            return `Pick a day after ${getDateString(targetDay)}`;
+          }
+        } catch (error) {
+          return error.message;
+        }
+        return true;
+      }
+    }
+  ]);
+
+  term.hideCursor(true);
+  term.grabInput(true);
+
+  return deferTo.trim() ? parseDateInput(deferTo, { now: targetDay, preferFuture: true }) : null;
+}
@@ -0,0 +1,326 @@
+import termkit from 'terminal-kit';
+import {
+  readDaySection,
+  extractTodos,
+  getAllContexts,
+  extractReferences,
+  extractNotes,
+  takeAutoCarryoverSummary
+} from '../utils/fileHandler.js';
+import { getDateString } from '../utils/dates.js';
+import { handleDayNavigationKey, syncVisitedMonths } from './dayNavigation.js';
+import { createListView, handleListKey } from './listView.js';
+import {
+  MIGRATION_CHECKBOXES,
+  flattenTodoRows,
+  toggleTodo,
+  addTodoInteractive,
+  editTodoInteractive,
+  deleteTodoInteractive,
+  showContextViewForTodo,
+  addContextToTodoInteractive,
+  editContextInteractive,
+  deleteContextInteractive
+} from './listTodos.js';
+import { addNoteWithEditor, editNoteInteractive, deleteNoteInteractive } from './listNotes.js';
+import {
+  getPreview,
+  viewReferenceInteractive,
+  addReferenceInteractive,
+  editReferenceInteractive,
+  deleteReferenceInteractive
+} from './listRefs.js';
+
+const term = termkit.terminal;
+
+const PANES = [
+  { key: 'todos', title: '📝 Todos', hints: 'SPACE: Toggle  e: Edit  d: Delete  a: Add  c: Context' },
+  { key: 'contexts', title: '📎 Context', hints: 'e: Edit  d: Delete  a: Add to selected todo' },
+  { key: 'refs', title: '📋 References', hints: 'v: View  e: Edit  d: Delete  a: Add' },
+  { key: 'notes', title: '🗒  Notes', hints: 'e: Edit  d: Delete  a: Add' }
+];
+
+// Header (title, hints, blank line) and the status line at the bottom
+const CHROME_ROWS = 4;
+
+/**
+ * @typedef {Object} DayItems
+ * @property {Object[]} todos - The day's todos, each followed by its subtasks
+ * @property {Array<{id: string, text: string}>} contexts - The day's context blocks
+ * @property {Object[]} refs - The day's references
+ * @property {Object[]} notes - The day's notes
+ */
+
+/**
+ * Opens a full-screen view of a day with panes for todos, context, references and notes
+ * @param {Date} [date] - The day to start on (defaults to today)
+ * @returns {Promise<void>}
+ */
+export async function dashboard(date) {
+  let activePane = 0;
+  let running = true;
+  let statusMessage = null;
+  const visitedDates = [date];
+  let selection = PANES.map(() => createListView());
+
+  term.grabInput(true);
+  term.hideCursor(true);
+
+  while (running) {
+    const todaySection = await readDaySection(date);
+    const carryoverSummary = takeAutoCarryoverSummary();
+    const items = {
+      todos: flattenTodoRows(extractTodos(todaySection), new Set(), false),
+      contexts: getAllContexts(todaySection),
+      refs: extractReferences(todaySection),
+      notes: extractNotes(todaySection)
+    };
+
+    // Keep every pane's selection inside its list after items were added or removed
+    PANES.forEach((pane, idx) => {
+      const count = items[pane.key].length;
+      selection[idx].selectedIndex = Math.max(0, Math.min(selection[idx].selectedIndex, count - 1));
+    });
+
+    renderDashboard(date, items, activePane, selection, statusMessage || carryoverSummary);
+    statusMessage = null;
+
+    const key = await new Promise((resolve) => {
+      term.once('key', (name) => resolve(name));
+    });
+
+    const pane = PANES[activePane];
+    const list = items[pane.key];
+    const current = selection[activePane];
+    const selected = list[current.selectedIndex];
+
+    // Move to another day; the panes then show and edit that day
+    const navigation = await handleDayNavigationKey(key, date);
+    if (navigation) {
+      if (navigation.date) {
+        date = navigation.date;
+        visitedDates.push(date);
+        selection = PANES.map(() => createListView());
+      }
+      statusMessage = navigation.message;
+      continue;
+    }
+
+    if (handleListKey(current, key, list.length)) {
+      continue;
+    }
+
+    if (key === 'TAB') {
+      activePane = (activePane + 1) % PANES.length;
+    } else if (key === 'SHIFT_TAB') {
+      activePane = (activePane + PANES.length - 1) % PANES.length;
+    } else if (['1', '2', '3', '4'].includes(key)) {
+      activePane = parseInt(key, 10) - 1;
+    } else if (key === 'ESCAPE' || key === 'q') {
+      running = false;
+    } else {
+      term.clear();
+      statusMessage = await handlePaneKey(pane.key, key, selected, items, selection, todaySection, date);
+    }
+  }
+
+  term.grabInput(false);
+  term.hideCursor(false);
+  term.clear();
+
+  // Sync every month that was viewed, since edits may have landed in any of them
+  await syncVisitedMonths(visitedDates);
+}
+
+/**
+ * Runs a pane's action for a key, reusing the per-item actions of the managers
+ * @param {string} paneKey - The active pane
+ * @param {string} key - The pressed key
+ * @param {Object|undefined} selected - The selected item in the active pane
+ * @param {DayItems} items - The day's items
+ * @param {import('./listView.js').ListView[]} selection - Selection state of every pane
+ * @param {string} todaySection - The day's section content
+ * @param {Date} [date] - The day being viewed (defaults to today)
+ * @returns {Promise<string|null>} A status message to show, if any
+ */
+async function handlePaneKey(paneKey, key, selected, items, selection, todaySection, date) {
+  const action = key.toLowerCase();
+
+  if (action === 'a') {
+    if (paneKey === 'todos') {
+      await addTodoInteractive(date);
+    } else if (paneKey === 'contexts') {
+      // Context always belongs to a todo, so it goes to the one selected in the todos pane
+      const todo = items.todos[selection[0].selectedIndex];
+      if (!todo) {
+        return 'Add a todo first; context is linked to the todo selected in the todos pane.';
+      }
+      if (todo.depth > 0) {
+        return 'Context is linked to todos, not subtasks.';
+      }
+      await addContextToTodoInteractive(todo, todaySection, date);
+    } else if (paneKey === 'refs') {
+      await addReferenceInteractive(date);
+    } else {
+      await addNoteWithEditor(date);
+    }
+    return null;
+  }
+
+  if (!selected) {
+    return null;
+  }
+
+  if (paneKey === 'todos') {
+    if (key === ' ' || key === 'SPACE') {
+      return toggleTodo(selected, todaySection, date);
+    } else if (action === 'e') {
+      await editTodoInteractive(selected, todaySection, date);
+    } else if (action === 'd') {
+      await deleteTodoInteractive(selected, todaySection, date);
+    } else if (action === 'c') {
+      if (selected.depth > 0) {
+        return 'Context is linked to todos, not subtasks.';
+      }
+      await showContextViewForTodo(selected, date);
+    }
+  } else if (paneKey === 'contexts') {
+    if (action === 'e') {
+      await editContextInteractive(selected.id, date);
+    } else if (action === 'd') {
+      await deleteContextInteractive(selected.id, todaySection, date);
+    }
+  } else if (paneKey === 'refs') {
+    if (action === 'v') {
+      await viewReferenceInteractive(selected);
+    } else if (action === 'e') {
+      await editReferenceInteractive(selected, todaySection, date);
+    } else if (action === 'd') {
+      await deleteReferenceInteractive(selected, todaySection, date);
+    }
+  } else if (action === 'e') {
+    await editNoteInteractive(selected, todaySection, date);
+  } else if (action === 'd') {
+    await deleteNoteInteractive(selected, todaySection, date);
+  }
+
+  return null;
+}
+
+/**
+ * Draws the header, the four panes and the status line
+ * @param {Date} [date] - The day being viewed (defaults to today)
+ * @param {DayItems} items - The day's items
+ * @param {number} activePane - Index of the focused pane
+ * @param {import('./listView.js').ListView[]} selection - Selection state of every pane
+ * @param {string|null} statusMessage - Message for the status line
+ * @returns {void}
+ */
+function renderDashboard(date, items, activePane, selection, statusMessage) {
+  const width = term.width;
+  const rows = allocateRows(PANES.map(pane => Math.max(1, items[pane.key].length)), term.height - CHROME_ROWS - PANES.length);
+
+  term.clear();
+  term.moveTo(1, 1);
+  term.cyan.bold('  📅 DASHBOARD');
+  term.gray(`  ${getDateString(date || new Date())}\n`);
+  term.gray('  ').white('TAB/1-4').gray(': Pane  ').white('j/k').gray(': Navigate  ').white('g/G').gray(': First/Last  ').white('[/]').gray(': Prev/Next day  ').white(':').gray(': Go to day  ').white('ESC').gray(': Exit\n\n');
+
+  PANES.forEach((pane, paneIdx) => {
+    const list = items[pane.key];
+    const state = selection[paneIdx];
+    const isActive = paneIdx === activePane;
+
+    // Scroll just enough to keep the selected item visible
+    state.offset = Math.min(Math.max(state.offset, state.selectedIndex - rows[paneIdx] + 1), state.selectedIndex);
+    state.offset = Math.max(0, Math.min(state.offset, list.length - rows[paneIdx]));
+    state.pageSize = rows[paneIdx];
+
+    const count = list.length > rows[paneIdx] ? `${state.selectedIndex + 1}/${list.length}` : `${list.length}`;
+    if (isActive) {
+      term.bgCyan.black(fit(` ${pane.title} (${count})   ${pane.hints}`, width));
+    } else {
+      term.cyan.bold(` ${pane.title}`).gray(` (${count})`);
+    }
+    term('\n');
+
+    if (list.length === 0) {
+      term.gray(fit('   (empty)', width))('\n');
+    }
+
+    list.slice(state.offset, state.offset + rows[paneIdx]).forEach((item, idx) => {
+      const isSelected = idx + state.offset === state.selectedIndex;
+      const line = fit(`${isSelected && isActive ? ' › ' : '   '}${describeItem(pane.key, item)}`, width);
+      if (isActive && isSelected) {
+        term.bgWhite.black(line);
+      } else if (pane.key === 'todos' && item.checked) {
+        term.gray.dim(line);
+      } else {
+        term.white(line);
+      }
+      term('\n');
+    });
+  });
+
+  if (statusMessage) {
+    term.moveTo(1, term.height);
+    term.yellow(fit(`  ${statusMessage}`, width));
+  }
+}
+
+/**
+ * Formats one pane item as a single line
+ * @param {string} paneKey - The pane holding the item
+ * @param {Object} item - The item
+ * @returns {string} The item summary
+ */
+function describeItem(paneKey, item) {
+  if (paneKey === 'todos') {
+    const checkbox = item.migration ? MIGRATION_CHECKBOXES[item.migration.action] : (item.checked ? '[x]' : '[ ]');
+    const contexts = item.contextIds.length > 0 ? ` 📎${item.contextIds.length > 1 ? item.contextIds.length : ''}` : '';
+    const priority = item.priority ? `P${item.priority} ` : '';
+    const due = item.due ? ` 📅 ${item.due}` : '';
+    const progress = item.subtasks.length > 0 ? ` ${item.subtasks.filter(subtask => subtask.checked).length}/${item.subtasks.length}` : '';
+    return `${'  '.repeat(item.depth)}${checkbox} ${priority}${item.text}${progress}${due}${contexts}`;
+  }
+  if (paneKey === 'contexts') {
+    return `[${item.id}] ${item.text.replace(/\s+/g, ' ')}`;
+  }
+  if (paneKey === 'refs') {
+    return `${item.timestamp ? `${item.timestamp} ` : ''}[${item.id}] ${item.language ? `${item.language} ` : ''}${getPreview(item.content)}`;
+  }
+  return `${item.timestamp ? `${item.timestamp} ` : ''}${item.text.replace(/\s+/g, ' ')}`;
+}
+
+/**
+ * Shares the available rows between panes, so short lists leave room for long ones
+ * @param {number[]} needs - Rows each pane could use
+ * @param {number} total - Rows available for pane content
+ * @returns {number[]} Rows given to each pane (at least one)
+ */
+function allocateRows(needs, total) {
+  const rows = needs.map(() => 1);
+  let left = total - rows.length;
+
+  while (left > 0 && rows.some((count, idx) => count < needs[idx])) {
+    rows.forEach((count, idx) => {
+      if (left > 0 && count < needs[idx]) {
+        rows[idx]++;
+        left--;
+      }
+    });
+  }
+
+  return rows;
+}
+
+/**
+ * Pads or cuts text to the terminal width
+ * @param {string} text - The text
+ * @param {number} width - The width in columns
+ * @returns {string} Text exactly `width - 1` characters long
+ */
+function fit(text, width) {
+  const max = Math.max(1, width - 1);
+  return text.length > max ? `${text.substring(0, max - 1)}…` : text.padEnd(max);
+}
@@ -0,0 +1,91 @@
+import termkit from 'terminal-kit';
+import inquirer from 'inquirer';
+import { findAdjacentDayWithContent } from '../utils/fileHandler.js';
+import { formatISODate, getMonthString, parseDateInput, startOfDay } from '../utils/dates.js';
+import { performAutoSync } from './sync.js';
+
+const term = termkit.terminal;
+
+/**
+ * @typedef {Object} DayNavigation
+ * @property {Date|null} date - The day to switch to, or null to stay
+ * @property {string|null} message - A note to show when there is nowhere to go
+ */
+
+/**
+ * Handles the day navigation keys shared by the interactive managers:
+ * `[` and `]` move to the previous/next day with content, `:` jumps to a date
+ * @param {string} key - The pressed key
+ * @param {Date} [date] - The day being viewed (defaults to today)
+ * @returns {Promise<DayNavigation|null>} Where to go, or null if the key isn't a navigation key
+ */
+export async function handleDayNavigationKey(key, date) {
+  const current = startOfDay(date || new Date());
+
+  if (key === '[' || key === ']') {
+    const direction = key === '[' ? -1 : 1;
+    const target = await findAdjacentDayWithContent(current, direction);
+    return target
+      ? { date: target, message: null }
+      : { date: null, message: direction < 0 ? 'No earlier days with content.' : 'No later days with content.' };
+  }
+
+  if (key === ':') {
+    return { date: await promptForDay(current), message: null };
+  }
+
+  return null;
+}
+
+/**
+ * Asks which day to jump to
+ * @param {Date} current - The day being viewed
+ * @returns {Promise<Date|null>} The chosen day, or null if the input was left unchanged
+ */
+async function promptForDay(current) {
+  term.grabInput(false);
+  term.hideCursor(false);
+
+  const { day } = await inquirer.prompt([
+    {
+      type: 'input',
+      name: 'day',
+      message: 'Go to day (YYYY-MM-DD, yesterday, monday, ...):',
+      default: formatISODate(current),
+      validate: (input) => {
+        try {
+          parseDateInput(input);
+          return true;
+        } catch (error) {
+          return error.message;
+        }
+      }
+    }
+  ]);
+
+  term.hideCursor(true);
+  term.grabInput(true);
+
+  const target = parseDateInput(day);
+  return target.getTime() === current.getTime() ? null : target;
+}
+
+/**
+ * Syncs every month a manager visited, once each
+ * @param {Array<Date|undefined>} dates - The days that were viewed (undefined for today)
+ * @returns {Promise<void>}
+ */
+export async function syncVisitedMonths(dates) {
+  const months = new Map();
+  for (const date of dates) {
+    const month = getMonthString(date || new Date());
+    if (!months.has(month)) {
+      months.set(month, date);
+    }
+  }
+
+  for (const date of months.values()) {
+    // Sync to Confluence if enabled (respects silentSync setting)
+    await performAutoSync(date);
+  }
+}
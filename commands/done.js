@@ -0,0 +1,96 @@
+import fs from 'fs';
+import chalk from 'chalk';
+import { getAllMonthlyNotesFiles, getAllDaySections, extractTodos } from '../utils/fileHandler.js';
+import { getDateString, formatISODate, parseDateInput, startOfDay } from '../utils/dates.js';
+
+/**
+ * @typedef {Object} DoneOptions
+ * @property {Date} [since] - First day of the range (defaults to the last day, so one day is listed)
+ */
+
+/**
+ * @typedef {Object} DoneEntry
+ * @property {string} day - YYYY-MM-DD day the todo was completed
+ * @property {string|null} time - HH:MM the todo was completed, if it was recorded
+ * @property {import('../utils/fileHandler.js').TodoItem} todo - The completed todo
+ * @property {string|null} parentText - Text of the todo a subtask belongs to
+ */
+
+/**
+ * Lists the todos completed in a range of days, across all monthly notes files
+ * @param {Date} [date] - Last day of the range (defaults to today)
+ * @param {DoneOptions} [options] - Range options
+ * @returns {Promise<void>}
+ */
+export async function doneTodos(date, options = {}) {
+  const until = startOfDay(date || new Date());
+  const since = startOfDay(options.since || until);
+
+  if (since.getTime() > until.getTime()) {
+    console.log(chalk.red(`--since ${formatISODate(since)} is after ${formatISODate(until)}.`));
+    return;
+  }
+
+  const entries = await collectCompletedTodos(formatISODate(since), formatISODate(until));
+  const range = since.getTime() === until.getTime()
+    ? `on ${getDateString(since)}`
+    : `from ${getDateString(since)} to ${getDateString(until)}`;
+
+  if (entries.length === 0) {
+    console.log(chalk.yellow(`Nothing completed ${range}.`));
+    return;
+  }
+
+  console.log(chalk.cyan.bold(`✓ ${entries.length} todo${entries.length > 1 ? 's' : ''} completed ${range}\n`));
+
+  let currentDay = null;
+  entries.forEach(({ day, time, todo, parentText }) => {
+    if (day !== currentDay) {
+      currentDay = day;
+      console.log(chalk.bold(getDateString(parseDateInput(day))));
+    }
+
+    const subtasks = todo.subtasks.length > 0 ? chalk.gray(` (${todo.subtasks.length} subtask${todo.subtasks.length > 1 ? 's' : ''})`) : '';
+    const parent = parentText ? chalk.gray(`${parentText} › `) : '';
+    console.log(`  ${chalk.green((time || '').padEnd(5))}  ${parent}${todo.text}${subtasks}`);
+  });
+  console.log('');
+}
+
+/**
+ * Finds the todos completed between two days, oldest first
+ * Todos without a recorded completion time (e.g. checked off in Confluence) count as completed on their day.
+ * A subtask is only listed on its own when its parent isn't completed too.
+ * @param {string} since - First day, YYYY-MM-DD
+ * @param {string} until - Last day, YYYY-MM-DD
+ * @returns {Promise<DoneEntry[]>} The completed todos
+ */
+export async function collectCompletedTodos(since, until) {
+  const entries = [];
+  // Carried subtasks keep their identity and completion time, so each completion is listed once
+  const seen = new Set();
+
+  const visit = (todo, dayString, parentText) => {
+    if (todo.checked && !todo.migration) {
+      const [day, time] = todo.completedAt ? todo.completedAt.split('T') : [dayString, null];
+      const key = todo.uid || `${todo.text}|${todo.completedAt}`;
+      if (day >= since && day <= until && !(todo.completedAt && seen.has(key))) {
+        seen.add(key);
+        entries.push({ day, time, todo, parentText });
+      }
+      return;
+    }
+    todo.subtasks.forEach(subtask => visit(subtask, dayString, parentText ? `${parentText} › ${todo.text}` : todo.text));
+  };
+
+  for (const filePath of await getAllMonthlyNotesFiles()) {
+    const content = fs.readFileSync(filePath, 'utf-8');
+
+    // Every day is read, since a todo can be checked off on any day, including one it was planned for
+    for (const day of getAllDaySections(content)) {
+      extractTodos(day.content).forEach(todo => visit(todo, formatISODate(day.date), null));
+    }
+  }
+
+  return entries.sort((a, b) => `${a.day}T${a.time || ''}`.localeCompare(`${b.day}T${b.time || ''}`));
+}
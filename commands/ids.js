@@ -0,0 +1,36 @@
+import chalk from 'chalk';
+import { loadIdRegistry, rebuildIdRegistry, getIdRegistryStats } from '../utils/idRegistry.js';
+
+/**
+ * Shows how many reference and context IDs are in use across all months
+ * @returns {Promise<void>}
+ */
+export async function showIdStats() {
+  const stats = await getIdRegistryStats(await loadIdRegistry());
+  printStats(stats);
+
+  if (stats.used > stats.capacity / 2) {
+    console.log(chalk.yellow('\n⚠ Over half of the possible IDs are taken. Add words under "ids" in ~/.wdidt/config.json.'));
+  }
+}
+
+/**
+ * Rebuilds the ID registry from all monthly notes files and the backlog
+ * @returns {Promise<void>}
+ */
+export async function rebuildIds() {
+  const stats = await getIdRegistryStats(await rebuildIdRegistry());
+  console.log(chalk.green('✓') + ' ID registry rebuilt');
+  printStats(stats);
+}
+
+/**
+ * Prints ID registry counts
+ * @param {{used: number, references: number, contexts: number, capacity: number}} stats - The counts
+ * @returns {void}
+ */
+function printStats(stats) {
+  const percent = stats.capacity > 0 ? ((stats.used / stats.capacity) * 100).toFixed(2) : '0';
+  console.log(`  ${chalk.cyan(stats.used.toLocaleString('en-US'))} IDs in use ${chalk.gray(`(${stats.references} references, ${stats.contexts} contexts)`)}`);
+  console.log(`  ${chalk.cyan(stats.capacity.toLocaleString('en-US'))} possible IDs ${chalk.gray(`(${percent}% used)`)}`);
+}
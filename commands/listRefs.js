@@ -1,92 +1,92 @@
 import termkit from 'terminal-kit';
 import inquirer from 'inquirer';
 import {
-  initializeTodaySection,
+  readDaySection,
   extractReferences,
   deleteReferenceInSection,
   updateReferenceInSection,
-  replaceTodaySection
+  replaceDaySection,
+  takeAutoCarryoverSummary
 } from '../utils/fileHandler.js';
-import { performAutoSync } from './sync.js';
+import { handleDayNavigationKey, syncVisitedMonths } from './dayNavigation.js';
+import { createListView, filterListItems, handleListKey, renderListView } from './listView.js';
+import { editReferenceContent } from './addRef.js';
+import { detectLanguage, highlightCode } from '../utils/codeLanguage.js';
 
 const term = termkit.terminal;
 
 /**
- * Displays and allows management of references for today with vim-style controls
+ * Displays and allows management of references for a day with vim-style controls
+ * @param {Date} [date] - The day to start on (defaults to today)
  * @returns {Promise<void>}
  */
-export async function listRefs() {
-  await showRefsList();
+export async function listRefs(date) {
+  await showRefsList(date);
 }
 
 /**
  * Shows the references list with vim controls
+ * @param {Date} [date] - The day to start on (defaults to today)
  * @returns {Promise<void>}
  */
-async function showRefsList() {
-  let selectedIndex = 0;
+async function showRefsList(date) {
+  let view = createListView({ filterable: true });
   let running = true;
+  let statusMessage = null;
+  const visitedDates = [date];
 
   term.grabInput(true);
   term.hideCursor(true);
 
   while (running) {
-    const todaySection = await initializeTodaySection();
-    const refs = extractReferences(todaySection);
-
-    term.clear();
-    term.cyan.bold('  📋 REFERENCES MANAGER\n\n');
-    term.gray('  ').white('j/k/↑↓').gray(': Navigate  ').white('v').gray(': View  ').white('e').gray(': Edit  ').white('d').gray(': Delete  ').white('a').gray(': Add  ').white('ESC').gray(': Exit\n\n');
-
-    if (refs.length === 0) {
-      term.yellow('  No references for today!\n');
-      term.gray('  Press ').white('a').gray(' to add a reference or ').white('ESC').gray(' to exit.\n');
-    } else {
-      // Render refs list
-      refs.forEach((ref, idx) => {
-        if (idx === selectedIndex) {
-          // Selected item - inverted colors
-          if (ref.timestamp) {
-            term.bgWhite.gray(`  ${ref.timestamp} `);
-          }
-          term.bgWhite.cyan(`[${ref.id}] `);
-          term.bgWhite.black(`${ref.content.substring(0, 60)}${ref.content.length > 60 ? '...' : ''}  `).white('\n');
-        } else {
-          // Unselected item
-          if (ref.timestamp) {
-            term.gray(`  ${ref.timestamp} `);
-          }
-          term.cyan(`[${ref.id}] `);
-          term.white(`${ref.content.substring(0, 60)}${ref.content.length > 60 ? '...' : ''}\n`);
-        }
-      });
-
-      // Ensure selectedIndex is valid
-      if (selectedIndex >= refs.length) {
-        selectedIndex = refs.length - 1;
-      }
-      if (selectedIndex < 0) {
-        selectedIndex = 0;
-      }
-    }
+    // Reading doesn't create the day, so browsing past empty days leaves the files alone
+    const todaySection = await readDaySection(date);
+    const carryoverSummary = takeAutoCarryoverSummary();
+    const refs = filterListItems(view, extractReferences(todaySection), ref => [ref.id, ref.content, ref.language]);
 
-    term('\n');
+    renderListView(view, {
+      title: '📋 REFERENCES MANAGER',
+      date,
+      hints: [
+        ['j/k/↑↓', 'Navigate'], ['v', 'View'], ['e', 'Edit'], ['d', 'Delete'], ['a', 'Add'], ['/', 'Filter'],
+        ['[/]', 'Prev/Next day'], [':', 'Go to day'], ['ESC', 'Exit']
+      ],
+      notices: carryoverSummary ? [{ text: carryoverSummary, color: 'gray' }] : [],
+      items: refs,
+      renderItem: formatReferenceItem,
+      emptyMessage: date ? 'No references for this day!' : 'No references for today!',
+      emptyHint: [
+        { text: 'Press ', color: 'gray' }, { text: 'a' }, { text: ' to add a reference or ', color: 'gray' }, { text: 'ESC' }, { text: ' to exit.', color: 'gray' }
+      ],
+      statusMessage
+    });
+    statusMessage = null;
 
     // Wait for keypress
     const key = await new Promise((resolve) => {
       term.once('key', (name) => resolve(name));
     });
 
-    // Handle navigation
-    if (key === 'UP' || key === 'k') {
-      if (refs.length > 0) {
-        selectedIndex = Math.max(0, selectedIndex - 1);
-      }
-    } else if (key === 'DOWN' || key === 'j') {
-      if (refs.length > 0) {
-        selectedIndex = Math.min(refs.length - 1, selectedIndex + 1);
+    // List keys come first so a filter being typed gets every key
+    if (handleListKey(view, key, refs.length)) {
+      continue;
+    }
+
+    // Move to another day; edits always apply to the day being viewed
+    const navigation = await handleDayNavigationKey(key, date);
+    if (navigation) {
+      if (navigation.date) {
+        date = navigation.date;
+        visitedDates.push(date);
+        view = createListView({ filterable: true });
       }
-    } else if (key === 'v' || key === 'V') {
+      statusMessage = navigation.message;
+      continue;
+    }
+
+    const selectedIndex = view.selectedIndex;
+
+    if (key === 'v' || key === 'V') {
       // View full reference
       if (refs.length > 0 && selectedIndex < refs.length) {
         await viewReferenceInteractive(refs[selectedIndex]);
@@ -94,19 +94,16 @@ async function showRefsList() {
     } else if (key === 'e' || key === 'E') {
       // Edit reference
       if (refs.length > 0 && selectedIndex < refs.length) {
-        await editReferenceInteractive(refs[selectedIndex], todaySection);
+        await editReferenceInteractive(refs[selectedIndex], todaySection, date);
       }
     } else if (key === 'd' || key === 'D') {
       // Delete reference
       if (refs.length > 0 && selectedIndex < refs.length) {
-        await deleteReferenceInteractive(refs[selectedIndex], todaySection);
-        if (selectedIndex >= refs.length - 1 && selectedIndex > 0) {
-          selectedIndex--;
-        }
+        await deleteReferenceInteractive(refs[selectedIndex], todaySection, date);
       }
     } else if (key === 'a' || key === 'A') {
       // Add reference
-      await addReferenceInteractive();
+      await addReferenceInteractive(date);
     } else if (key === 'ESCAPE') {
       // Exit
       running = false;
@@ -117,8 +114,35 @@ async function showRefsList() {
   term.hideCursor(false);
   term.clear();
 
-  // Sync to Confluence if enabled (respects silentSync setting)
-  await performAutoSync();
+  // Sync every month that was viewed, since edits may have landed in any of them
+  await syncVisitedMonths(visitedDates);
+}
+
+/**
+ * Formats a reference for the references list
+ * @param {{id: string, content: string, language: string|null, timestamp: string|null}} ref - The reference
+ * @returns {import('./listView.js').ListSegment[]} The reference's timestamp, ID, language and preview
+ */
+function formatReferenceItem(ref) {
+  const segments = ref.timestamp ? [{ text: `${ref.timestamp}  `, color: 'gray' }] : [];
+  segments.push({ text: `[${ref.id}] `, color: 'cyan' });
+  if (ref.language) {
+    segments.push({ text: `${ref.language} `, color: 'magenta' });
+  }
+  segments.push({ text: getPreview(ref.content) });
+  return segments;
+}
+
+/**
+ * Gets a one-line preview of reference content for the list
+ * @param {string} content - The reference content
+ * @returns {string} The first line, shortened, with a line count for multi-line references
+ */
+export function getPreview(content) {
+  const lines = content.split('\n');
+  const firstLine = lines[0];
+  const preview = `${firstLine.substring(0, 60)}${firstLine.length > 60 ? '...' : ''}`;
+  return lines.length > 1 ? `${preview} (+${lines.length - 1} lines)` : preview;
 }
 
 /**
@@ -126,16 +150,27 @@ async function showRefsList() {
  * @param {Object} ref - The reference to view
  * @returns {Promise<void>}
  */
-async function viewReferenceInteractive(ref) {
+export async function viewReferenceInteractive(ref) {
   term.grabInput(false);
   term.hideCursor(false);
 
   term.clear();
   term.cyan.bold(`\n  Reference: [${ref.id}]\n\n`);
   if (ref.timestamp) {
-    term.gray(`  Created: ${ref.timestamp}\n\n`);
+    term.gray(`  Created: ${ref.timestamp}\n`);
   }
-  term.white(`  ${ref.content}\n\n`);
+  // Older references have no language parameter, so guess one for display
+  const language = ref.language || detectLanguage(ref.content);
+  if (language) {
+    term.gray(`  Language: ${language}${ref.language ? '' : ' (detected)'}\n`);
+  }
+  if (ref.sourceId) {
+    term.gray(`  Output of: [${ref.sourceId}]\n`);
+  }
+  term('\n');
+  // noFormat keeps terminal-kit from reading ^ in the snippet as style markup
+  highlightCode(ref.content, language).forEach(line => term.noFormat(`  ${line}\n`));
+  term('\n');
   term.gray('  Press any key to return...');
 
   await new Promise((resolve) => {
@@ -148,9 +183,10 @@ async function viewReferenceInteractive(ref) {
 
 /**
  * Adds a new reference interactively
+ * @param {Date} [date] - The day to add to (defaults to today)
  * @returns {Promise<void>}
  */
-async function addReferenceInteractive() {
+export async function addReferenceInteractive(date) {
   term.grabInput(false);
   term.hideCursor(false);
 
@@ -173,48 +209,60 @@ async function addReferenceInteractive() {
 
   // Import addRef command
   const { addRef } = await import('./addRef.js');
-  await addRef(answers.refContent);
+  await addRef(answers.refContent, date);
 }
 
 /**
  * Edits a reference interactively
  * @param {Object} ref - The reference to edit
- * @param {string} todaySection - Today's section content
+ * @param {string} todaySection - The day's section content
+ * @param {Date} [date] - The day holding the reference (defaults to today)
  * @returns {Promise<void>}
  */
-async function editReferenceInteractive(ref, todaySection) {
+export async function editReferenceInteractive(ref, todaySection, date) {
   term.grabInput(false);
   term.hideCursor(false);
 
-  const { newContent } = await inquirer.prompt([
-    {
-      type: 'input',
-      name: 'newContent',
-      message: 'Enter new reference content:',
-      default: ref.content,
-      validate: (input) => {
-        if (!input.trim()) {
-          return 'Reference content cannot be empty';
+  let newContent;
+  if (ref.content.includes('\n')) {
+    // Multi-line references are edited in $EDITOR
+    newContent = await editReferenceContent(ref.content);
+  } else {
+    ({ newContent } = await inquirer.prompt([
+      {
+        type: 'input',
+        name: 'newContent',
+        message: 'Enter new reference content:',
+        default: ref.content,
+        validate: (input) => {
+          if (!input.trim()) {
+            return 'Reference content cannot be empty';
+          }
+          return true;
         }
-        return true;
       }
-    }
-  ]);
+    ]));
+  }
 
   term.hideCursor(true);
   term.grabInput(true);
 
-  const updatedSection = updateReferenceInSection(todaySection, ref.lineNumber, ref.id, newContent);
-  await replaceTodaySection(updatedSection);
+  if (!newContent.trim()) {
+    return;
+  }
+
+  const updatedSection = updateReferenceInSection(todaySection, ref.index, newContent);
+  await replaceDaySection(date, updatedSection);
 }
 
 /**
  * Deletes a reference interactively
  * @param {Object} ref - The reference to delete
- * @param {string} todaySection - Today's section content
+ * @param {string} todaySection - The day's section content
+ * @param {Date} [date] - The day holding the reference (defaults to today)
  * @returns {Promise<void>}
  */
-async function deleteReferenceInteractive(ref, todaySection) {
+export async function deleteReferenceInteractive(ref, todaySection, date) {
   term.grabInput(false);
   term.hideCursor(false);
 
@@ -231,7 +279,7 @@ async function deleteReferenceInteractive(ref, todaySection) {
   term.grabInput(true);
 
   if (confirm) {
-    const updatedSection = deleteReferenceInSection(todaySection, ref.lineNumber);
-    await replaceTodaySection(updatedSection);
+    const updatedSection = deleteReferenceInSection(todaySection, ref.index);
+    await replaceDaySection(date, updatedSection);
   }
 }
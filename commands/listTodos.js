@@ -1,136 +1,262 @@
 import termkit from 'terminal-kit';
 import inquirer from 'inquirer';
 import {
-  initializeTodaySection,
+  initializeDaySection,
+  readDaySection,
   extractTodos,
   updateTodoInSection,
-  replaceTodaySection,
+  getTodoMove,
+  replaceDaySection,
   getContextById,
   addContext,
   updateContext,
   deleteContext,
-  idExistsInCurrentMonth,
   getAllContexts,
   getTodosReferencingContext,
-  getNextTodoId
+  takeAutoCarryoverSummary,
+  createTodoIdentity,
+  addTodoToSection,
+  updateTodoTextInSection,
+  deleteTodoInSection,
+  setTodoContextsInSection,
+  insertContextInSection,
+  deleteContextInSection,
+  swapTodosInSection,
+  moveTodo,
+  addSubtaskToSection
 } from '../utils/fileHandler.js';
-import { generateUniqueThreeWordId } from '../utils/wordGenerator.js';
-import { performAutoSync } from './sync.js';
+import { getConfig } from '../utils/config.js';
+import { daysBetween, parseDateInput, getDateString, startOfDay } from '../utils/dates.js';
+import { reserveUniqueId } from '../utils/idRegistry.js';
+import { getStaleDays, getTodoAge, isStale } from '../utils/staleness.js';
+import {
+  loadTimeEntries,
+  getRunningEntry,
+  getTodoKey,
+  getMinutesByTodo,
+  getEntryMinutes,
+  startTimer,
+  stopTimer,
+  formatDuration
+} from '../utils/timeLog.js';
+import { handleDayNavigationKey, syncVisitedMonths } from './dayNavigation.js';
+import { createListView, filterListItems, handleListKey, renderListView } from './listView.js';
 
 const term = termkit.terminal;
 
+// Checkbox shown for todos that were moved off their day during carryover
+export const MIGRATION_CHECKBOXES = {
+  carried: '[>]',
+  deferred: '[<]',
+  moved: '[→]',
+  backlog: '[»]',
+  dropped: '[-]'
+};
+
+// Orders the todo list can be shown in; `o` cycles through them
+const SORT_ORDERS = ['manual', 'priority', 'due'];
+
+const PRIORITY_COLORS = { 1: 'red', 2: 'yellow', 3: 'gray' };
+
+// How often the list is redrawn while a timer runs, so its time stays current
+const TIMER_REFRESH_MS = 30000;
+
 /**
- * Displays and allows management of todos for today with vim-style controls
+ * Displays and allows management of todos for a day with vim-style controls
+ * @param {Date} [date] - The day to start on (defaults to today)
  * @returns {Promise<void>}
  */
-export async function listTodos() {
-  await showTodoList();
+export async function listTodos(date) {
+  await showTodoList(date);
 }
 
 /**
  * Shows the simple todo list with vim controls
+ * @param {Date} [date] - The day to start on (defaults to today)
  * @returns {Promise<void>}
  */
-async function showTodoList() {
-  let selectedIndex = 0;
+async function showTodoList(date) {
+  let view = createListView({ filterable: true });
+  let collapsed = new Set();
+  let selectPath = null;
+  let hideCompleted = false;
+  let sortOrder = 'manual';
   let running = true;
+  let statusMessage = null;
+  const visitedDates = [date];
+
+  const config = await getConfig();
+  const staleDays = getStaleDays(config);
 
   term.grabInput(true);
   term.hideCursor(true);
 
   while (running) {
-    const todaySection = await initializeTodaySection();
-    const todos = extractTodos(todaySection);
+    // Reading doesn't create the day, so browsing past empty days leaves the files alone
+    const todaySection = await readDaySection(date);
+    const carryoverSummary = takeAutoCarryoverSummary();
+    const allTodos = extractTodos(todaySection);
+    const timeEntries = await loadTimeEntries();
+    const tracking = { running: getRunningEntry(timeEntries), minutes: getMinutesByTodo(timeEntries) };
+    const hiddenCount = hideCompleted ? allTodos.filter(todo => todo.checked).length : 0;
+    const todos = flattenTodoRows(sortTodos(filterListItems(
+      view,
+      hideCompleted ? allTodos.filter(todo => !todo.checked) : allTodos,
+      todo => [todo.text, ...todo.contextIds, todo.priority ? `p${todo.priority}` : null, todo.due, ...todo.subtasks.map(subtask => subtask.text)]
+    ), sortOrder), collapsed, hideCompleted);
+
+    // Follow a todo that changed position (reordered, or collapsed into its parent)
+    if (selectPath) {
+      const found = todos.findIndex(todo => todo.path.join('.') === selectPath.join('.'));
+      if (found !== -1) view.selectedIndex = found;
+      selectPath = null;
+    }
 
-    term.clear();
-    term.cyan.bold('  📝 TODO MANAGER\n\n');
-    term.gray('  ').white('j/k/↑↓').gray(': Navigate  ').white('SPACE').gray(': Toggle  ').white('e').gray(': Edit  ').white('d').gray(': Delete  ').white('a').gray(': Add  ').white('c').gray(': Context  ').white('ESC').gray(': Exit\n\n');
+    const notices = [];
+    if (carryoverSummary) notices.push({ text: carryoverSummary, color: 'gray' });
+    if (tracking.running) notices.push({ text: `▶ Tracking "${tracking.running.text}" for ${formatDuration(getEntryMinutes(tracking.running))} (s: stop)`, color: 'yellow' });
+    if (hiddenCount > 0) notices.push({ text: `${hiddenCount} completed todo${hiddenCount > 1 ? 's' : ''} hidden (h: show)`, color: 'gray' });
+
+    renderListView(view, {
+      title: '📝 TODO MANAGER',
+      date,
+      hints: [
+        ['j/k/↑↓', 'Navigate'], ['SPACE', 'Toggle'], ['e', 'Edit'], ['d', 'Delete'], ['a', 'Add'], ['c', 'Context'],
+        ['i', 'Add subtask'], ['TAB', 'Expand/collapse'], ['s', 'Start/stop timer'], ['J/K', 'Move down/up'], ['m', 'Move to day'],
+        ['/', 'Filter'], ['h', hideCompleted ? 'Show done' : 'Hide done'], ['o', `Sort (${sortOrder})`],
+        ['[/]', 'Prev/Next day'], [':', 'Go to day'], ['ESC', 'Exit']
+      ],
+      notices,
+      items: todos,
+      renderItem: (todo, selected) => formatTodoItem(todo, selected, date, staleDays, tracking),
+      emptyMessage: hiddenCount > 0 ? 'All todos are done!' : (date ? 'No todos for this day!' : 'No todos for today!'),
+      emptyHint: [
+        { text: 'Press ', color: 'gray' }, { text: 'a' }, { text: ' to add a todo or ', color: 'gray' }, { text: 'ESC' }, { text: ' to exit.', color: 'gray' }
+      ],
+      statusMessage
+    });
+    statusMessage = null;
 
-    if (todos.length === 0) {
-      term.yellow('  No todos for today!\n');
-      term.gray('  Press ').white('a').gray(' to add a todo or ').white('ESC').gray(' to exit.\n');
-    } else {
-      // Render todo list
-      todos.forEach((todo, idx) => {
-        const checkbox = todo.checked ? '[x]' : '[ ]';
-        const contextCount = todo.contextIds.length;
-        const contextIndicator = contextCount > 0 ? ` 📎${contextCount > 1 ? contextCount : ''}` : '';
-
-        if (idx === selectedIndex) {
-          // Selected item - inverted colors
-          term.bgWhite.black(`  ${checkbox} ${todo.text}`);
-          if (contextCount > 0) term.bgWhite.blue(contextIndicator);
-          term.bgWhite.black('  ').white('\n');
-        } else {
-          // Unselected item
-          if (todo.checked) {
-            term.gray(`  ${checkbox} `).gray.dim(todo.text);
-          } else {
-            term.gray(`  ${checkbox} `).white(todo.text);
-          }
-          if (contextCount > 0) term.blue(contextIndicator);
-          term('\n');
-        }
-      });
+    // Wait for keypress; a running timer redraws the list now and then
+    const key = await waitForKey(tracking.running ? TIMER_REFRESH_MS : null);
+    if (key === null) {
+      continue;
+    }
 
-      // Ensure selectedIndex is valid
-      if (selectedIndex >= todos.length) {
-        selectedIndex = todos.length - 1;
-      }
-      if (selectedIndex < 0) {
-        selectedIndex = 0;
-      }
+    // List keys come first so a filter being typed gets every key
+    if (handleListKey(view, key, todos.length)) {
+      continue;
     }
 
-    term('\n');
+    // Move to another day; edits always apply to the day being viewed
+    const navigation = await handleDayNavigationKey(key, date);
+    if (navigation) {
+      if (navigation.date) {
+        date = navigation.date;
+        visitedDates.push(date);
+        view = createListView({ filterable: true });
+        collapsed = new Set();
+      }
+      statusMessage = navigation.message;
+      continue;
+    }
 
-    // Wait for keypress
-    const key = await new Promise((resolve) => {
-      term.once('key', (name) => resolve(name));
-    });
+    const selectedIndex = view.selectedIndex;
+    const selected = todos[selectedIndex];
 
-    // Handle navigation
-    if (key === 'UP' || key === 'k') {
-      if (todos.length > 0) {
-        selectedIndex = Math.max(0, selectedIndex - 1);
-      }
-    } else if (key === 'DOWN' || key === 'j') {
-      if (todos.length > 0) {
-        selectedIndex = Math.min(todos.length - 1, selectedIndex + 1);
-      }
-    } else if (key === ' ' || key === 'SPACE') {
+    if (key === ' ' || key === 'SPACE') {
       // Toggle completion
       if (todos.length > 0 && selectedIndex < todos.length) {
-        const todo = todos[selectedIndex];
-        const newStatus = !todo.checked;
-        const updatedSection = updateTodoInSection(todaySection, todo.lineNumber, newStatus);
-        await replaceTodaySection(updatedSection);
-
-        // Verify the update worked by re-extracting
-        const verifySection = await initializeTodaySection();
-        const verifyTodos = extractTodos(verifySection);
-        // Keep selection on same item
+        statusMessage = await toggleTodo(todos[selectedIndex], todaySection, date);
       }
     } else if (key === 'e' || key === 'E') {
       // Edit todo
       if (todos.length > 0 && selectedIndex < todos.length) {
-        await editTodoInteractive(todos[selectedIndex], todaySection);
+        await editTodoInteractive(todos[selectedIndex], todaySection, date);
       }
     } else if (key === 'd' || key === 'D') {
       // Delete todo
       if (todos.length > 0 && selectedIndex < todos.length) {
-        await deleteTodoInteractive(todos[selectedIndex], todaySection);
-        if (selectedIndex >= todos.length - 1 && selectedIndex > 0) {
-          selectedIndex--;
-        }
+        await deleteTodoInteractive(todos[selectedIndex], todaySection, date);
       }
     } else if (key === 'a' || key === 'A') {
       // Add todo
-      await addTodoInteractive();
+      await addTodoInteractive(date);
+    } else if (key === 'i' || key === 'I') {
+      // Add a subtask to the selected todo
+      if (selected) {
+        await addSubtaskInteractive(selected, todaySection, date);
+        collapsed.delete(selected.todoId);
+      }
+    } else if (key === 'TAB' || key === 'LEFT' || key === 'RIGHT') {
+      // Expand or collapse subtasks; collapsing from a subtask folds it into its parent
+      const hasSubtasks = selected && selected.subtasks.length > 0;
+      const collapse = key === 'LEFT' || (key === 'TAB' && !(hasSubtasks && selected.collapsed));
+      if (selected && collapse && hasSubtasks && !selected.collapsed) {
+        collapsed.add(selected.todoId);
+      } else if (selected && collapse && selected.depth > 0) {
+        const parent = todos.slice(0, selectedIndex).reverse().find(todo => todo.depth === selected.depth - 1);
+        collapsed.add(parent.todoId);
+        selectPath = parent.path;
+      } else if (hasSubtasks && !collapse) {
+        collapsed.delete(selected.todoId);
+      }
+    } else if (key === 'J' || key === 'K') {
+      // Swap with the next/previous sibling on screen, so reordering follows the filter
+      const step = key === 'J' ? 1 : -1;
+      let otherIndex = selectedIndex + step;
+      while (selected && todos[otherIndex] && todos[otherIndex].depth > selected.depth) {
+        otherIndex += step;
+      }
+      const other = todos[otherIndex];
+
+      if (selected && selected.depth === 0 && sortOrder !== 'manual') {
+        statusMessage = 'Press o to go back to manual order before reordering.';
+      } else if (selected && other && other.depth === selected.depth && other.path.slice(0, -1).join('.') === selected.path.slice(0, -1).join('.')) {
+        await replaceDaySection(date, swapTodosInSection(todaySection, selected.path, other.index));
+        selectPath = [...selected.path.slice(0, -1), other.index];
+      }
+    } else if (key === 'm' || key === 'M') {
+      // Move todo to another day or the backlog
+      if (selected && selected.depth > 0) {
+        statusMessage = 'Subtasks move with their todo.';
+      } else if (todos[selectedIndex] && todos[selectedIndex].checked) {
+        statusMessage = 'Only open todos can be moved.';
+      } else if (todos.length > 0 && selectedIndex < todos.length) {
+        const move = await moveTodoInteractive(todos[selectedIndex], todaySection, date);
+        if (move) {
+          const { target, moved } = move;
+          const destination = target === 'backlog' ? 'the backlog' : getDateString(target);
+          statusMessage = moved ? `Moved to ${destination}.` : `Not moved: ${destination} already has a todo with the same text.`;
+          if (moved && target !== 'backlog') {
+            // The target day's month has changed too
+            visitedDates.push(target);
+          }
+        }
+      }
+    } else if (key === 's' || key === 'S') {
+      // Start tracking time on the todo, or stop its running timer
+      if (selected && tracking.running && tracking.running.todo === getTodoKey(selected)) {
+        const stopped = await stopTimer();
+        statusMessage = `Stopped after ${formatDuration(getEntryMinutes(stopped))}.`;
+      } else if (selected && selected.checked) {
+        statusMessage = 'Only open todos can be tracked.';
+      } else if (selected) {
+        const stopped = await startTimer(selected, date);
+        statusMessage = stopped ? `Stopped "${stopped.text}" after ${formatDuration(getEntryMinutes(stopped))}.` : null;
+      }
+    } else if (key === 'o' || key === 'O') {
+      // Cycle the display order; the stored order only changes with J/K
+      sortOrder = SORT_ORDERS[(SORT_ORDERS.indexOf(sortOrder) + 1) % SORT_ORDERS.length];
+    } else if (key === 'h' || key === 'H') {
+      // Hide or show completed todos
+      hideCompleted = !hideCompleted;
     } else if (key === 'c' || key === 'C') {
       // View context for this todo
-      if (todos.length > 0 && selectedIndex < todos.length) {
-        await showContextViewForTodo(todos[selectedIndex]);
+      if (selected && selected.depth > 0) {
+        statusMessage = 'Context is linked to todos, not subtasks.';
+      } else if (todos.length > 0 && selectedIndex < todos.length) {
+        await showContextViewForTodo(todos[selectedIndex], date);
       }
     } else if (key === 'ESCAPE') {
       // Exit
@@ -142,21 +268,201 @@ async function showTodoList() {
   term.hideCursor(false);
   term.clear();
 
-  // Sync to Confluence if enabled (respects silentSync setting)
-  await performAutoSync();
+  // Sync every month that was viewed, since edits may have landed in any of them
+  await syncVisitedMonths(visitedDates);
+}
+
+/**
+ * Waits for a keypress, optionally giving up after a while
+ * @param {number|null} timeout - Milliseconds to wait, or null to wait for a key
+ * @returns {Promise<string|null>} The key, or null if the wait timed out
+ */
+function waitForKey(timeout) {
+  return new Promise((resolve) => {
+    let timer = null;
+    const onKey = (name) => {
+      clearTimeout(timer);
+      resolve(name);
+    };
+
+    term.once('key', onKey);
+    if (timeout) {
+      timer = setTimeout(() => {
+        term.off('key', onKey);
+        resolve(null);
+      }, timeout);
+    }
+  });
+}
+
+/**
+ * Lists the rows of the todo list: each todo followed by its subtasks, unless it is collapsed
+ * @param {Object[]} todos - The todos to show
+ * @param {Set<string>} collapsed - IDs of the collapsed todos
+ * @param {boolean} hideCompleted - Leave out completed subtasks too
+ * @param {number} [depth] - Nesting level of the todos
+ * @returns {Object[]} The rows, with `depth` and `collapsed` set on each todo
+ */
+export function flattenTodoRows(todos, collapsed, hideCompleted, depth = 0) {
+  return todos.flatMap(todo => {
+    const isCollapsed = collapsed.has(todo.todoId);
+    const subtasks = isCollapsed ? [] : todo.subtasks.filter(subtask => !hideCompleted || !subtask.checked);
+    return [{ ...todo, depth, collapsed: isCollapsed }, ...flattenTodoRows(subtasks, collapsed, hideCompleted, depth + 1)];
+  });
+}
+
+/**
+ * Formats a todo for the todo list
+ * @param {Object} todo - The todo object
+ * @param {boolean} selected - Whether the todo is selected
+ * @param {Date} [date] - The day being viewed (defaults to today)
+ * @param {number} staleDays - Age from which open todos count as stale
+ * @param {{running: import('../utils/timeLog.js').TimeEntry|null, minutes: Map<string, number>}} tracking - The running timer and tracked minutes per todo
+ * @returns {import('./listView.js').ListSegment[]} The todo's checkbox, text, subtask progress, context count, completion time, tracked time and age
+ */
+function formatTodoItem(todo, selected, date, staleDays, tracking) {
+  const checkbox = todo.migration ? MIGRATION_CHECKBOXES[todo.migration.action] : (todo.checked ? '[x]' : '[ ]');
+  const contextCount = todo.contextIds.length;
+  const age = todo.checked ? null : getTodoAge(todo, date);
+  const stale = isStale(todo, staleDays, date);
+  const segments = [{ text: `${'    '.repeat(todo.depth || 0)}${checkbox} `, color: 'gray' }];
+
+  if (todo.priority) {
+    segments.push({ text: `P${todo.priority} `, color: todo.checked ? 'gray' : PRIORITY_COLORS[todo.priority] });
+  }
+
+  // #tags stand out from the rest of the text
+  for (const part of todo.text.split(/(#[\w-]+)/)) {
+    if (part) {
+      const isTag = part.startsWith('#');
+      segments.push({ text: part, color: todo.checked ? 'gray' : (isTag ? 'cyan' : 'white'), dim: todo.checked });
+    }
+  }
+
+  if (todo.due) {
+    const daysLeft = daysBetween(date || new Date(), parseDateInput(todo.due));
+    let dueColor = 'gray';
+    if (!todo.checked && daysLeft < 0) dueColor = 'red';
+    else if (!todo.checked && daysLeft === 0) dueColor = selected ? 'magenta' : 'yellow';
+    segments.push({ text: ` 📅 ${formatDueDate(todo.due, daysLeft)}`, color: dueColor });
+  }
+
+  if (todo.subtasks.length > 0) {
+    const done = todo.subtasks.filter(subtask => subtask.checked).length;
+    segments.push({ text: ` ${done}/${todo.subtasks.length}${todo.collapsed ? ' ▸' : ''}`, color: done === todo.subtasks.length ? 'green' : 'gray' });
+  }
+  if (contextCount > 0) {
+    segments.push({ text: ` 📎${contextCount > 1 ? contextCount : ''}`, color: 'blue' });
+  }
+  // Tracked time adds up across the days a todo was carried through
+  const trackedMinutes = tracking.minutes.get(getTodoKey(todo)) || 0;
+  if (tracking.running && tracking.running.todo === getTodoKey(todo)) {
+    segments.push({ text: ` ▶ ${formatDuration(trackedMinutes)}`, color: selected ? 'magenta' : 'yellow' });
+  } else if (trackedMinutes > 0) {
+    segments.push({ text: ` ⏱ ${formatDuration(trackedMinutes)}`, color: 'gray' });
+  }
+  if (todo.checked && !todo.migration && todo.completedAt) {
+    segments.push({ text: ` ✓ ${formatToggleTime(todo.completedAt, date)}`, color: 'green' });
+  } else if (!todo.checked && todo.reopenedAt) {
+    segments.push({ text: ` ↺ ${formatToggleTime(todo.reopenedAt, date)}`, color: 'gray' });
+  }
+  if (age !== null && (age > 0 || todo.carryCount > 0)) {
+    segments.push({ text: ` ↻${todo.carryCount} ${age}d`, color: stale ? (selected ? 'red' : 'yellow') : 'gray' });
+  }
+
+  return segments;
+}
+
+/**
+ * Formats a due date relative to the day being viewed
+ * @param {string} due - YYYY-MM-DD due date
+ * @param {number} daysLeft - Days from the viewed day to the due date (negative when overdue)
+ * @returns {string} The date, e.g. "Fri 23 Oct", with "today", "tomorrow" or "overdue" when they apply
+ */
+function formatDueDate(due, daysLeft) {
+  if (daysLeft === 0) return 'today';
+  if (daysLeft === 1) return 'tomorrow';
+
+  const label = parseDateInput(due).toLocaleDateString('en-GB', { weekday: 'short', day: 'numeric', month: 'short' }).replace(',', '');
+  return daysLeft < 0 ? `${label} (overdue)` : label;
+}
+
+/**
+ * Formats when a todo was completed or reopened
+ * @param {string} timestamp - YYYY-MM-DDTHH:MM local time
+ * @param {Date} [date] - The day being viewed (defaults to today)
+ * @returns {string} The time, with the date in front when it isn't the viewed day
+ */
+function formatToggleTime(timestamp, date) {
+  const [day, time] = timestamp.split('T');
+  if (daysBetween(date || new Date(), parseDateInput(day)) === 0) {
+    return time;
+  }
+  return `${parseDateInput(day).toLocaleDateString('en-GB', { day: 'numeric', month: 'short' })} ${time}`;
+}
+
+/**
+ * Orders todos for display
+ * @param {Object[]} todos - The todos in their stored order
+ * @param {string} sortOrder - One of SORT_ORDERS
+ * @returns {Object[]} The todos by priority or due date (those without one last), or unchanged for manual order
+ */
+function sortTodos(todos, sortOrder) {
+  if (sortOrder === 'manual') {
+    return todos;
+  }
+
+  const sortKey = sortOrder === 'priority'
+    ? (todo) => todo.priority || Infinity
+    : (todo) => (todo.due ? parseDateInput(todo.due).getTime() : Infinity);
+
+  // Array sort is stable, so ties keep their stored order
+  return [...todos].sort((a, b) => {
+    const difference = sortKey(a) - sortKey(b);
+    return Number.isNaN(difference) ? 0 : difference;
+  });
+}
+
+/**
+ * Checks or unchecks a todo, stopping its timer when it is checked off
+ * A todo moved to another day isn't reopened; it is worked on where it was moved to
+ * @param {Object} todo - The todo to toggle
+ * @param {string} todaySection - The day's section content
+ * @param {Date} [date] - The day holding the todo (defaults to today)
+ * @returns {Promise<string|null>} A message for the status line when the todo can't be reopened
+ */
+export async function toggleTodo(todo, todaySection, date) {
+  const move = todo.checked ? getTodoMove(todaySection, todo.path) : null;
+  if (move) {
+    return move.target
+      ? `Moved to ${getDateString(parseDateInput(move.target))}; reopen it there.`
+      : 'Moved to the backlog; reopen it there.';
+  }
+
+  await replaceDaySection(date, updateTodoInSection(todaySection, todo.path, !todo.checked));
+
+  // Finishing a todo stops its timer
+  if (!todo.checked) {
+    const running = getRunningEntry(await loadTimeEntries());
+    if (running && running.todo === getTodoKey(todo)) {
+      await stopTimer();
+    }
+  }
+  return null;
 }
 
 /**
  * Shows context view for a specific todo
  * @param {Object} todo - The todo object
+ * @param {Date} [date] - The day holding the todo (defaults to today)
  * @returns {Promise<void>}
  */
-async function showContextViewForTodo(todo) {
+export async function showContextViewForTodo(todo, date) {
   let running = true;
   let selectedContextIndex = 0;
 
   while (running) {
-    const todaySection = await initializeTodaySection();
+    const todaySection = await initializeDaySection(date);
 
     // Refresh todo object from current file state
     const currentTodos = extractTodos(todaySection);
@@ -234,13 +540,13 @@ async function showContextViewForTodo(todo) {
       }
     } else if (key === 'a' || key === 'A') {
       // Add context - now always available
-      await addContextToTodoInteractive(currentTodo, todaySection);
+      await addContextToTodoInteractive(currentTodo, todaySection, date);
       selectedContextIndex = currentTodo.contextIds.length; // Select the newly added context
     } else if (key === 'e' || key === 'E') {
       // Edit context
       if (currentTodo.contextIds.length > 0) {
         const selectedContextId = currentTodo.contextIds[selectedContextIndex];
-        await editContextInteractive(selectedContextId);
+        await editContextInteractive(selectedContextId, date);
       } else {
         // Show message that no context exists
         term.red('\n  This todo has no context to edit. Use ').white('a').red(' to add a context first.\n');
@@ -253,7 +559,7 @@ async function showContextViewForTodo(todo) {
       // Delete context link
       if (currentTodo.contextIds.length > 0) {
         const selectedContextId = currentTodo.contextIds[selectedContextIndex];
-        await deleteContextFromTodoInteractive(currentTodo, todaySection, selectedContextId);
+        await deleteContextFromTodoInteractive(currentTodo, todaySection, selectedContextId, date);
         // Adjust selection after deletion
         if (selectedContextIndex >= currentTodo.contextIds.length - 1) {
           selectedContextIndex = Math.max(0, currentTodo.contextIds.length - 2);
@@ -275,9 +581,10 @@ async function showContextViewForTodo(todo) {
 
 /**
  * Adds a new todo interactively
+ * @param {Date} [date] - The day to add to (defaults to today)
  * @returns {Promise<void>}
  */
-async function addTodoInteractive() {
+export async function addTodoInteractive(date) {
   term.grabInput(false);
   term.hideCursor(false);
 
@@ -316,65 +623,56 @@ async function addTodoInteractive() {
   term.hideCursor(true);
   term.grabInput(true);
 
-  const todaySection = await initializeTodaySection();
-  const todoId = getNextTodoId(todaySection);
   let contextId = null;
 
   if (answers.contextText) {
-    contextId = await generateUniqueThreeWordId(idExistsInCurrentMonth);
-    await addContext(contextId, answers.contextText);
+    contextId = await reserveUniqueId('context');
+    await addContext(contextId, answers.contextText, date);
   }
 
-  // Add todo to file
-  const lines = todaySection.split('\n');
-  let insertIdx = -1;
-  let todoSectionIdx = -1;
-  let taskListIdx = -1;
-
-  for (let i = 0; i < lines.length; i++) {
-    if (lines[i] === '<h3>Todos</h3>') {
-      todoSectionIdx = i;
-      continue;
-    }
-
-    if (todoSectionIdx !== -1 && taskListIdx === -1 && lines[i] === '<ac:task-list>') {
-      taskListIdx = i;
-      continue;
-    }
+  const todaySection = await initializeDaySection(date);
+  const updatedSection = addTodoToSection(todaySection, answers.todoText, {
+    contextIds: contextId ? [contextId] : [],
+    identity: createTodoIdentity(date)
+  });
+  await replaceDaySection(date, updatedSection);
+}
 
-    if (todoSectionIdx !== -1 && lines[i] === '</ac:task-list>') {
-      insertIdx = i;
-      break;
-    }
+/**
+ * Adds a subtask to a todo interactively
+ * @param {Object} todo - The todo (or subtask) getting the subtask
+ * @param {string} todaySection - The day's section content
+ * @param {Date} [date] - The day holding the todo (defaults to today)
+ * @returns {Promise<void>}
+ */
+async function addSubtaskInteractive(todo, todaySection, date) {
+  term.grabInput(false);
+  term.hideCursor(false);
 
-    if (todoSectionIdx !== -1 && lines[i].startsWith('<h3>') && lines[i] !== '<h3>Todos</h3>') {
-      break;
+  const { subtaskText } = await inquirer.prompt([
+    {
+      type: 'input',
+      name: 'subtaskText',
+      message: `Subtask of "${todo.text}" (empty to cancel):`
     }
-  }
+  ]);
 
-  if (insertIdx === -1 || taskListIdx === -1) {
-    // No task-list found, shouldn't happen with our structure but handle it
-    insertIdx = todoSectionIdx + 2;
-  }
+  term.hideCursor(true);
+  term.grabInput(true);
 
-  let todoLine;
-  if (contextId) {
-    todoLine = `<ac:task><ac:task-id>${todoId}</ac:task-id><ac:task-status>incomplete</ac:task-status><ac:task-body><span class="placeholder-inline-tasks">${answers.todoText} <a href="#context-${contextId}" style="color: #0066cc;">📎 ${contextId}</a></span></ac:task-body></ac:task>`;
-  } else {
-    todoLine = `<ac:task><ac:task-id>${todoId}</ac:task-id><ac:task-status>incomplete</ac:task-status><ac:task-body><span class="placeholder-inline-tasks">${answers.todoText}</span></ac:task-body></ac:task>`;
+  if (subtaskText.trim()) {
+    await replaceDaySection(date, addSubtaskToSection(todaySection, todo.path, subtaskText.trim()));
   }
-
-  lines.splice(insertIdx, 0, todoLine);
-  await replaceTodaySection(lines.join('\n'));
 }
 
 /**
  * Edits a todo interactively
  * @param {Object} todo - The todo to edit
- * @param {string} todaySection - Today's section content
+ * @param {string} todaySection - The day's section content
+ * @param {Date} [date] - The day holding the todo (defaults to today)
  * @returns {Promise<void>}
  */
-async function editTodoInteractive(todo, todaySection) {
+export async function editTodoInteractive(todo, todaySection, date) {
   term.grabInput(false);
   term.hideCursor(false);
 
@@ -396,47 +694,66 @@ async function editTodoInteractive(todo, todaySection) {
   term.hideCursor(true);
   term.grabInput(true);
 
-  const lines = todaySection.split('\n');
-  const line = lines[todo.lineNumber];
-
-  if (line) {
-    const todoMatch = line.match(/<ac:task><ac:task-id>(\d+)<\/ac:task-id><ac:task-status>(complete|incomplete)<\/ac:task-status><ac:task-body>(.+?)<\/ac:task-body><\/ac:task>/);
-    if (todoMatch) {
-      const todoId = todoMatch[1];
-      const status = todoMatch[2];
-      const oldText = todoMatch[3];
+  await replaceDaySection(date, updateTodoTextInSection(todaySection, todo.path, newText));
+}
 
-      // Extract all context links to preserve them
-      const contextLinks = [];
+/**
+ * Moves a todo to another day or the backlog interactively
+ * @param {Object} todo - The todo to move
+ * @param {string} todaySection - The day's section content
+ * @param {Date} [date] - The day holding the todo (defaults to today)
+ * @returns {Promise<{target: Date|'backlog', moved: boolean}|null>} Where the todo was to go and whether it
+ * went (it stays if the target already has a todo with the same text), or null if cancelled
+ */
+async function moveTodoInteractive(todo, todaySection, date) {
+  const current = startOfDay(date || new Date());
 
-      // Extract new format anchors
-      const anchorMatches = oldText.matchAll(/<a href="#context-([^"]+)"[^>]*>📎 [^<]+<\/a>/g);
-      for (const match of anchorMatches) {
-        contextLinks.push(` <a href="#context-${match[1]}" style="color: #0066cc;">📎 ${match[1]}</a>`);
-      }
+  term.grabInput(false);
+  term.hideCursor(false);
 
-      // Extract old format contexts
-      const oldContextMatches = oldText.matchAll(/\[context: ([^\]]+)\]/g);
-      for (const match of oldContextMatches) {
-        contextLinks.push(` <a href="#context-${match[1]}" style="color: #0066cc;">📎 ${match[1]}</a>`);
+  const { moveTo } = await inquirer.prompt([
+    {
+      type: 'input',
+      name: 'moveTo',
+      message: 'Move to (YYYY-MM-DD, tomorrow, friday, backlog; empty to cancel):',
+      validate: (input) => {
+        const value = input.trim().toLowerCase();
+        if (!value || value === 'backlog') {
+          return true;
+        }
+        try {
+          if (parseDateInput(value, { now: current, preferFuture: true }).getTime() === current.getTime()) {
+            return 'The todo is already on this day';
+          }
+        } catch (error) {
+          return error.message;
+        }
+        return true;
       }
+    }
+  ]);
 
-      const contextPart = contextLinks.join('');
+  term.hideCursor(true);
+  term.grabInput(true);
 
-      lines[todo.lineNumber] = `<ac:task><ac:task-id>${todoId}</ac:task-id><ac:task-status>${status}</ac:task-status><ac:task-body><span class="placeholder-inline-tasks">${newText}${contextPart}</span></ac:task-body></ac:task>`;
-    }
+  const value = moveTo.trim().toLowerCase();
+  if (!value) {
+    return null;
   }
 
-  await replaceTodaySection(lines.join('\n'));
+  const target = value === 'backlog' ? 'backlog' : parseDateInput(value, { now: current, preferFuture: true });
+  const moved = await moveTodo(todo, todaySection, date, target);
+  return { target, moved };
 }
 
 /**
  * Deletes a todo interactively
  * @param {Object} todo - The todo to delete
- * @param {string} todaySection - Today's section content
+ * @param {string} todaySection - The day's section content
+ * @param {Date} [date] - The day holding the todo (defaults to today)
  * @returns {Promise<void>}
  */
-async function deleteTodoInteractive(todo, todaySection) {
+export async function deleteTodoInteractive(todo, todaySection, date) {
   term.grabInput(false);
   term.hideCursor(false);
 
@@ -444,7 +761,7 @@ async function deleteTodoInteractive(todo, todaySection) {
     {
       type: 'confirm',
       name: 'confirm',
-      message: 'Delete this todo?',
+      message: todo.subtasks.length > 0 ? `Delete this todo and its ${todo.subtasks.length} subtask${todo.subtasks.length > 1 ? 's' : ''}?` : 'Delete this todo?',
       default: false
     }
   ]);
@@ -453,19 +770,18 @@ async function deleteTodoInteractive(todo, todaySection) {
   term.grabInput(true);
 
   if (confirm) {
-    const lines = todaySection.split('\n');
-    lines.splice(todo.lineNumber, 1);
-    await replaceTodaySection(lines.join('\n'));
+    await replaceDaySection(date, deleteTodoInSection(todaySection, todo.path));
   }
 }
 
 /**
  * Adds context to a todo interactively
  * @param {Object} todo - The todo object
- * @param {string} todaySection - Today's section content
+ * @param {string} todaySection - The day's section content
+ * @param {Date} [date] - The day holding the todo (defaults to today)
  * @returns {Promise<void>}
  */
-async function addContextToTodoInteractive(todo, todaySection) {
+export async function addContextToTodoInteractive(todo, todaySection, date) {
   term.grabInput(false);
   term.hideCursor(false);
 
@@ -486,71 +802,31 @@ async function addContextToTodoInteractive(todo, todaySection) {
   term.hideCursor(true);
   term.grabInput(true);
 
-  const contextId = await generateUniqueThreeWordId(idExistsInCurrentMonth);
-
-  // Fetch fresh section and do everything in one operation
-  const freshTodaySection = await initializeTodaySection();
-  const lines = freshTodaySection.split('\n');
-
-  // First, add the context to the Context section
-  let contextSectionIdx = -1;
-  for (let i = 0; i < lines.length; i++) {
-    if (lines[i] === '<h3>Context</h3>') {
-      contextSectionIdx = i;
-      break;
-    }
-  }
+  const contextId = await reserveUniqueId('context');
 
-  if (contextSectionIdx !== -1) {
-    // Insert context right after the Context header
-    const formattedContext = `<ac:structured-macro ac:name="info" ac:schema-version="1"><ac:parameter ac:name="title">[${contextId}]</ac:parameter><ac:rich-text-body><p>${contextText}</p></ac:rich-text-body></ac:structured-macro>`;
-    let insertIdx = contextSectionIdx + 1;
-
-    // Check if there's already content
-    if (insertIdx < lines.length && lines[insertIdx].trim()) {
-      lines.splice(insertIdx, 0, formattedContext, '');
-    } else {
-      lines.splice(insertIdx, 0, formattedContext, '');
-    }
-  }
-
-  // Now find and update the todo to link to this context
-  const freshTodos = extractTodos(lines.join('\n'));
-  const freshTodo = freshTodos.find(t => t.todoId === todo.todoId);
+  // Fetch fresh section, then add the context and link it in one write
+  const freshTodaySection = await initializeDaySection(date);
+  const freshTodo = extractTodos(freshTodaySection).find(t => t.todoId === todo.todoId);
+  let updatedSection = insertContextInSection(freshTodaySection, contextId, contextText);
 
   if (freshTodo) {
-    const line = lines[freshTodo.lineNumber];
-    if (line) {
-      const todoMatch = line.match(/<ac:task><ac:task-id>(\d+)<\/ac:task-id><ac:task-status>(complete|incomplete)<\/ac:task-status><ac:task-body>(.+?)<\/ac:task-body><\/ac:task>/);
-      if (todoMatch) {
-        const todoId = todoMatch[1];
-        const status = todoMatch[2];
-        let text = todoMatch[3];
-
-        // Remove span tags if present to get clean text
-        text = text.replace(/<span[^>]*>/g, '').replace(/<\/span>/g, '');
-
-        const contextLink = ` <a href="#context-${contextId}" style="color: #0066cc;">📎 ${contextId}</a>`;
-
-        lines[freshTodo.lineNumber] = `<ac:task><ac:task-id>${todoId}</ac:task-id><ac:task-status>${status}</ac:task-status><ac:task-body><span class="placeholder-inline-tasks">${text}${contextLink}</span></ac:task-body></ac:task>`;
-      }
-    }
+    updatedSection = setTodoContextsInSection(updatedSection, freshTodo.index, [...freshTodo.contextIds, contextId]);
   }
 
-  // Write everything in one operation
-  await replaceTodaySection(lines.join('\n'));
+  await replaceDaySection(date, updatedSection);
 }
 
 /**
  * Edits context text interactively
  * @param {string} contextId - The context ID
+ * @param {Date} [date] - The day holding the context (defaults to today)
  * @returns {Promise<void>}
  */
-async function editContextInteractive(contextId) {
+export async function editContextInteractive(contextId, date) {
   term.grabInput(false);
   term.hideCursor(false);
 
-  const todaySection = await initializeTodaySection();
+  const todaySection = await initializeDaySection(date);
   const currentText = getContextById(todaySection, contextId);
 
   const { newText } = await inquirer.prompt([
@@ -571,17 +847,18 @@ async function editContextInteractive(contextId) {
   term.hideCursor(true);
   term.grabInput(true);
 
-  await updateContext(contextId, newText);
+  await updateContext(contextId, newText, date);
 }
 
 /**
  * Deletes context link from a todo
  * @param {Object} todo - The todo object
- * @param {string} todaySection - Today's section content
+ * @param {string} todaySection - The day's section content
  * @param {string} contextId - The specific context ID to remove
+ * @param {Date} [date] - The day holding the todo (defaults to today)
  * @returns {Promise<void>}
  */
-async function deleteContextFromTodoInteractive(todo, todaySection, contextId) {
+async function deleteContextFromTodoInteractive(todo, todaySection, contextId, date) {
   term.grabInput(false);
   term.hideCursor(false);
 
@@ -598,28 +875,38 @@ async function deleteContextFromTodoInteractive(todo, todaySection, contextId) {
   term.grabInput(true);
 
   if (confirm) {
-    const lines = todaySection.split('\n');
-    const line = lines[todo.lineNumber];
-
-    if (line) {
-      const todoMatch = line.match(/<ac:task><ac:task-id>(\d+)<\/ac:task-id><ac:task-status>(complete|incomplete)<\/ac:task-status><ac:task-body>(.+?)<\/ac:task-body><\/ac:task>/);
-      if (todoMatch) {
-        const todoId = todoMatch[1];
-        const status = todoMatch[2];
-        let text = todoMatch[3];
-
-        // Remove span tags if present
-        text = text.replace(/<span[^>]*>/g, '').replace(/<\/span>/g, '');
+    const remaining = todo.contextIds.filter(id => id !== contextId);
+    await replaceDaySection(date, setTodoContextsInSection(todaySection, todo.index, remaining));
+  }
+}
 
-        // Remove only the specific context link
-        const escapedContextId = contextId.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-        text = text.replace(new RegExp(`\\s*<a href="#context-${escapedContextId}"[^>]*>📎 [^<]+<\/a>`, 'g'), '').trim();
-        text = text.replace(new RegExp(`\\s*\\[context: ${escapedContextId}\\]`, 'g'), '').trim();
+/**
+ * Deletes a context block and unlinks it from every todo, after confirmation
+ * @param {string} contextId - The context ID
+ * @param {string} todaySection - The day's section content
+ * @param {Date} [date] - The day holding the context (defaults to today)
+ * @returns {Promise<void>}
+ */
+export async function deleteContextInteractive(contextId, todaySection, date) {
+  term.grabInput(false);
+  term.hideCursor(false);
 
-        lines[todo.lineNumber] = `<ac:task><ac:task-id>${todoId}</ac:task-id><ac:task-status>${status}</ac:task-status><ac:task-body><span class="placeholder-inline-tasks">${text}</span></ac:task-body></ac:task>`;
-      }
+  const linkedCount = getTodosReferencingContext(todaySection, contextId).length;
+  const { confirm } = await inquirer.prompt([
+    {
+      type: 'confirm',
+      name: 'confirm',
+      message: linkedCount > 0
+        ? `Delete context [${contextId}]? It is linked to ${linkedCount} todo${linkedCount > 1 ? 's' : ''}.`
+        : `Delete context [${contextId}]?`,
+      default: false
     }
+  ]);
 
-    await replaceTodaySection(lines.join('\n'));
+  term.hideCursor(true);
+  term.grabInput(true);
+
+  if (confirm) {
+    await replaceDaySection(date, deleteContextInSection(todaySection, contextId));
   }
 }
@@ -0,0 +1,406 @@
+import termkit from 'terminal-kit';
+import { getDateString } from '../utils/dates.js';
+
+const term = termkit.terminal;
+
+// Rows an item may wrap onto before it is cut off with an ellipsis
+const DEFAULT_MAX_ITEM_ROWS = 3;
+
+/**
+ * @typedef {Object} ListSegment
+ * @property {string} text - The text to draw
+ * @property {string} [color] - terminal-kit color name (defaults to white)
+ * @property {boolean} [dim] - Whether to draw the text dimmed
+ */
+
+/**
+ * @typedef {Object} ListView
+ * @property {number} selectedIndex - Index of the selected item
+ * @property {number} offset - Index of the first item on screen
+ * @property {number} pageSize - How many items fit on screen at the last render
+ * @property {boolean} filterable - Whether `/` filters the list
+ * @property {string} filter - The current filter text
+ * @property {boolean} filtering - Whether the filter is being typed
+ */
+
+/**
+ * @typedef {Object} ListViewOptions
+ * @property {string} title - Manager title shown at the top
+ * @property {Date} [date] - The day being viewed, shown next to the title (omitted for today)
+ * @property {Array<[string, string]>} hints - Key hints as [key, description] pairs
+ * @property {Array<{text: string, color: string}>} [notices] - Lines shown between the hints and the list
+ * @property {Object[]} items - The items to list
+ * @property {function(Object, boolean): ListSegment[]} renderItem - Formats an item (the flag is true when selected)
+ * @property {string} emptyMessage - Shown when there are no items
+ * @property {ListSegment[]} [emptyHint] - Shown below the empty message
+ * @property {string|null} [statusMessage] - Message for the status bar
+ * @property {number} [maxItemRows] - Rows an item may wrap onto
+ */
+
+/**
+ * Creates the selection and scroll state of a list
+ * @param {Object} [options] - List options
+ * @param {boolean} [options.filterable] - Whether `/` filters the list (see filterListItems)
+ * @returns {ListView} A list scrolled to the top with the first item selected
+ */
+export function createListView({ filterable = false } = {}) {
+  return { selectedIndex: 0, offset: 0, pageSize: 1, filterable, filter: '', filtering: false };
+}
+
+/**
+ * Narrows items down to those matching the list's filter
+ * Every word of the filter has to fuzzy-match one of an item's fields,
+ * i.e. its letters must appear in that order, though not necessarily next to each other
+ * @param {ListView} view - The list state
+ * @param {Object[]} items - All items
+ * @param {function(Object): Array<string|null|undefined>} getFields - Gets the texts of an item to match against
+ * @returns {Object[]} The matching items, in their original order
+ */
+export function filterListItems(view, items, getFields) {
+  const words = view.filter.toLowerCase().split(/\s+/).filter(Boolean);
+  if (words.length === 0) {
+    return items;
+  }
+
+  return items.filter(item => {
+    const fields = getFields(item).filter(Boolean).map(field => field.toLowerCase());
+    return words.every(word => fields.some(field => fuzzyMatch(word, field)));
+  });
+}
+
+/**
+ * Checks whether the letters of a word appear in order within a text
+ * @param {string} word - Lowercase word
+ * @param {string} text - Lowercase text
+ * @returns {boolean} True if the text contains the word's letters in order
+ */
+function fuzzyMatch(word, text) {
+  let position = 0;
+  for (const ch of word) {
+    position = text.indexOf(ch, position);
+    if (position === -1) {
+      return false;
+    }
+    position++;
+  }
+  return true;
+}
+
+/**
+ * Handles the list keys: j/k and arrows, page up/down, g/G (or Home/End) for the
+ * first/last item and, in filterable lists, `/` to type a filter and n/N to cycle through matches
+ * @param {ListView} view - The list state
+ * @param {string} key - The pressed key
+ * @param {number} count - Number of items in the list (after filtering)
+ * @returns {boolean} True if the key was handled by the list
+ */
+export function handleListKey(view, key, count) {
+  const last = Math.max(0, count - 1);
+
+  if (view.filtering) {
+    return handleFilterKey(view, key, last);
+  }
+
+  if (view.filterable && key === '/') {
+    view.filtering = true;
+  } else if (view.filter && key === 'ESCAPE') {
+    setFilter(view, '');
+  } else if (view.filter && (key === 'n' || key === 'N') && count > 0) {
+    // Matches wrap around, like search in an editor
+    view.selectedIndex = (view.selectedIndex + (key === 'n' ? 1 : count - 1)) % count;
+  } else if (key === 'UP' || key === 'k') {
+    view.selectedIndex = Math.max(0, view.selectedIndex - 1);
+  } else if (key === 'DOWN' || key === 'j') {
+    view.selectedIndex = Math.min(last, view.selectedIndex + 1);
+  } else if (key === 'PAGE_UP' || key === 'CTRL_U') {
+    view.selectedIndex = Math.max(0, view.selectedIndex - view.pageSize);
+  } else if (key === 'PAGE_DOWN' || key === 'CTRL_D') {
+    view.selectedIndex = Math.min(last, view.selectedIndex + view.pageSize);
+  } else if (key === 'g' || key === 'HOME') {
+    view.selectedIndex = 0;
+  } else if (key === 'G' || key === 'END') {
+    view.selectedIndex = last;
+  } else {
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Handles a key while the filter is being typed
+ * @param {ListView} view - The list state
+ * @param {string} key - The pressed key
+ * @param {number} last - Index of the last item
+ * @returns {boolean} Always true; typing takes all keys
+ */
+function handleFilterKey(view, key, last) {
+  if (key === 'ENTER' || key === 'KP_ENTER') {
+    view.filtering = false;
+  } else if (key === 'ESCAPE') {
+    view.filtering = false;
+    setFilter(view, '');
+  } else if (key === 'BACKSPACE') {
+    setFilter(view, view.filter.slice(0, -1));
+  } else if (key === 'UP') {
+    view.selectedIndex = Math.max(0, view.selectedIndex - 1);
+  } else if (key === 'DOWN') {
+    view.selectedIndex = Math.min(last, view.selectedIndex + 1);
+  } else if (key.length === 1) {
+    setFilter(view, view.filter + key);
+  }
+  return true;
+}
+
+/**
+ * Changes the filter and goes back to the top of the list
+ * @param {ListView} view - The list state
+ * @param {string} filter - The new filter text
+ * @returns {void}
+ */
+function setFilter(view, filter) {
+  view.filter = filter;
+  view.selectedIndex = 0;
+  view.offset = 0;
+}
+
+/**
+ * Draws a manager screen: title, key hints, notices, the scrolled list and a status bar
+ * @param {ListView} view - The list state (selection is clamped and scrolling adjusted in place)
+ * @param {ListViewOptions} options - What to draw
+ * @returns {void}
+ */
+export function renderListView(view, options) {
+  const { items, renderItem, maxItemRows = DEFAULT_MAX_ITEM_ROWS } = options;
+  const width = term.width;
+  let row = 1;
+
+  view.selectedIndex = Math.max(0, Math.min(view.selectedIndex, items.length - 1));
+
+  term.clear();
+  term.moveTo(1, row);
+  term.cyan.bold(`  ${options.title}`);
+  if (options.date) term.gray(`  ${getDateString(options.date)}`);
+  row += 2;
+
+  for (const line of wrapHints(options.hints, width)) {
+    term.moveTo(1, row++);
+    line.forEach(([key, description]) => {
+      term.gray('  ').white(key).gray(`: ${description}`);
+    });
+  }
+  row++;
+
+  for (const notice of options.notices || []) {
+    term.moveTo(1, row);
+    term[notice.color](truncate(`  ${notice.text}`, width));
+    row += 2;
+  }
+
+  // The last row holds the status bar
+  const listTop = row;
+  const listHeight = Math.max(1, term.height - listTop);
+
+  if (items.length === 0) {
+    term.moveTo(1, listTop);
+    term.yellow(`  ${view.filter ? `Nothing matches "${view.filter}".` : options.emptyMessage}`);
+    if (options.emptyHint && !view.filter) {
+      term.moveTo(1, listTop + 1);
+      term('  ');
+      drawSegments(options.emptyHint, false);
+    }
+    view.offset = 0;
+    drawStatusBar(view, items.length, 0, options.statusMessage, width);
+    return;
+  }
+
+  const wrapped = items.map((item, idx) => wrapSegments(renderItem(item, idx === view.selectedIndex), width - 4, maxItemRows));
+  scrollToSelection(view, wrapped.map(lines => lines.length), listHeight);
+
+  let used = 0;
+  let idx = view.offset;
+  for (; idx < items.length && used + wrapped[idx].length <= listHeight; idx++) {
+    const selected = idx === view.selectedIndex;
+    wrapped[idx].forEach((line, lineIdx) => {
+      term.moveTo(1, listTop + used + lineIdx);
+      const indent = lineIdx === 0 ? '  ' : '    ';
+      (selected ? term.bgWhite : term)(indent);
+      drawSegments(line, selected);
+      if (selected) {
+        // Highlight the whole row so wrapped items read as one
+        const lineWidth = indent.length + line.reduce((sum, segment) => sum + termkit.stringWidth(segment.text), 0);
+        term.bgWhite(' '.repeat(Math.max(0, width - lineWidth - 1)));
+      }
+    });
+    used += wrapped[idx].length;
+  }
+  view.pageSize = Math.max(1, idx - view.offset);
+
+  drawStatusBar(view, items.length, idx, options.statusMessage, width);
+}
+
+/**
+ * Adjusts the scroll offset so the selected item is fully on screen,
+ * without leaving empty rows below the last item
+ * @param {ListView} view - The list state
+ * @param {number[]} heights - Rows taken by each item
+ * @param {number} listHeight - Rows available for the list
+ * @returns {void}
+ */
+function scrollToSelection(view, heights, listHeight) {
+  const rowsBetween = (from, to) => heights.slice(from, to + 1).reduce((sum, height) => sum + height, 0);
+  const last = heights.length - 1;
+
+  view.offset = Math.max(0, Math.min(view.offset, view.selectedIndex));
+  while (view.offset < view.selectedIndex && rowsBetween(view.offset, view.selectedIndex) > listHeight) {
+    view.offset++;
+  }
+  while (view.offset > 0 && rowsBetween(view.offset - 1, last) <= listHeight) {
+    view.offset--;
+  }
+}
+
+/**
+ * Draws the bottom status bar with the position in the list and any message
+ * @param {ListView} view - The list state
+ * @param {number} count - Number of items
+ * @param {number} end - Index after the last item on screen
+ * @param {string|null} [message] - Message to show
+ * @param {number} width - Terminal width
+ * @returns {void}
+ */
+function drawStatusBar(view, count, end, message, width) {
+  const above = view.offset;
+  const below = Math.max(0, count - end);
+  let position = count > 0 ? ` ${view.selectedIndex + 1}/${count}` : ' 0/0';
+  if (above > 0) position += `  ↑${above}`;
+  if (below > 0) position += `  ↓${below}`;
+
+  const segments = [{ text: position, color: 'gray' }];
+  if (view.filtering) {
+    segments.push({ text: '   /', color: 'gray' }, { text: `${view.filter}▏` }, { text: '  ENTER: Done  ESC: Clear', color: 'gray' });
+  } else if (view.filter) {
+    segments.push(
+      { text: '   Filter: ', color: 'gray' }, { text: view.filter },
+      { text: '  ' }, { text: 'n/N' }, { text: ': Next/Prev  ', color: 'gray' }, { text: 'ESC' }, { text: ': Clear', color: 'gray' }
+    );
+  } else if (!message && (above > 0 || below > 0)) {
+    segments.push({ text: '   ' }, { text: 'PgUp/PgDn' }, { text: ': Page  ', color: 'gray' }, { text: 'g/G' }, { text: ': First/Last', color: 'gray' });
+  }
+
+  const used = segments.reduce((sum, segment) => sum + termkit.stringWidth(segment.text), 0);
+  if (message) {
+    segments.push({ text: truncate(`   ${message}`, Math.max(0, width - used - 1)), color: 'yellow' });
+  }
+
+  term.moveTo(1, term.height);
+  term.eraseLine();
+  drawSegments(segments, false);
+}
+
+/**
+ * Draws styled segments at the cursor
+ * @param {ListSegment[]} segments - The segments
+ * @param {boolean} selected - Whether to draw them highlighted
+ * @returns {void}
+ */
+function drawSegments(segments, selected) {
+  for (const segment of segments) {
+    const color = segment.color || 'white';
+    if (selected) {
+      term.bgWhite[color === 'white' ? 'black' : color](segment.text);
+    } else if (segment.dim) {
+      term[color].dim(segment.text);
+    } else {
+      term[color](segment.text);
+    }
+  }
+}
+
+/**
+ * Wraps styled segments onto rows, breaking at spaces where possible
+ * @param {ListSegment[]} segments - The segments
+ * @param {number} width - Columns per row
+ * @param {number} maxRows - Rows allowed; further text is cut off with an ellipsis
+ * @returns {ListSegment[][]} The rows
+ */
+function wrapSegments(segments, width, maxRows) {
+  const rows = [];
+  let row = [];
+  let rowWidth = 0;
+
+  for (const segment of segments) {
+    for (const ch of Array.from(segment.text)) {
+      const cell = { ch, segment, width: termkit.stringWidth(ch) };
+      if (rowWidth + cell.width > width && row.length > 0) {
+        const space = row.map(other => other.ch).lastIndexOf(' ');
+        const carried = space > 0 ? row.splice(space).slice(1) : [];
+        rows.push(row);
+        row = carried;
+        rowWidth = row.reduce((sum, other) => sum + other.width, 0);
+      }
+      if (ch === ' ' && row.length === 0 && rows.length > 0) {
+        continue;
+      }
+      row.push(cell);
+      rowWidth += cell.width;
+    }
+  }
+  rows.push(row);
+
+  if (rows.length > maxRows) {
+    rows.length = maxRows;
+    const lastRow = rows[maxRows - 1];
+    while (lastRow.length > 0 && lastRow.reduce((sum, cell) => sum + cell.width, 0) + 1 > width) {
+      lastRow.pop();
+    }
+    lastRow.push({ ch: '…', segment: lastRow.length > 0 ? lastRow[lastRow.length - 1].segment : {}, width: 1 });
+  }
+
+  // Join neighbouring cells of the same segment back into text
+  return rows.map(cells => cells.reduce((line, cell) => {
+    const previous = line[line.length - 1];
+    if (previous && previous.source === cell.segment) {
+      previous.text += cell.ch;
+    } else {
+      line.push({ text: cell.ch, color: cell.segment.color, dim: cell.segment.dim, source: cell.segment });
+    }
+    return line;
+  }, []));
+}
+
+/**
+ * Splits key hints into rows that fit the terminal
+ * @param {Array<[string, string]>} hints - Key hints as [key, description] pairs
+ * @param {number} width - Terminal width
+ * @returns {Array<Array<[string, string]>>} The hint rows
+ */
+function wrapHints(hints, width) {
+  const rows = [[]];
+  let rowWidth = 0;
+
+  for (const hint of hints) {
+    const hintWidth = termkit.stringWidth(`  ${hint[0]}: ${hint[1]}`);
+    if (rowWidth + hintWidth > width - 1 && rows[rows.length - 1].length > 0) {
+      rows.push([]);
+      rowWidth = 0;
+    }
+    rows[rows.length - 1].push(hint);
+    rowWidth += hintWidth;
+  }
+
+  return rows;
+}
+
+/**
+ * Cuts text to fit within a width
+ * @param {string} text - The text
+ * @param {number} width - Maximum width in columns
+ * @returns {string} The text, ending in an ellipsis if it was cut
+ */
+function truncate(text, width) {
+  if (termkit.stringWidth(text) <= width) {
+    return text;
+  }
+  return `${termkit.truncateString(text, Math.max(0, width - 1))}…`;
+}
@@ -0,0 +1,17 @@
+import chalk from 'chalk';
+import { getAllMonthlyNotesFiles } from '../utils/fileHandler.js';
+import { rebuildSearchIndex, getSearchIndexStats } from '../utils/searchIndex.js';
+import { rebuildIdRegistry, getIdRegistryStats } from '../utils/idRegistry.js';
+
+/**
+ * Rebuilds the search index and the ID registry from the notes files,
+ * e.g. after editing or syncing files outside wdidt
+ * @returns {Promise<void>}
+ */
+export async function rebuildIndexes() {
+  const searchStats = getSearchIndexStats(await rebuildSearchIndex(await getAllMonthlyNotesFiles()));
+  console.log(chalk.green('✓') + ` Search index rebuilt ${chalk.gray(`(${searchStats.entries} items, ${searchStats.words} words from ${searchStats.files} files)`)}`);
+
+  const idStats = await getIdRegistryStats(await rebuildIdRegistry());
+  console.log(chalk.green('✓') + ` ID registry rebuilt ${chalk.gray(`(${idStats.used} IDs)`)}`);
+}
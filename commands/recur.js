@@ -0,0 +1,94 @@
+import chalk from 'chalk';
+import { addRecurringTodos, addTagsToText } from '../utils/fileHandler.js';
+import { loadRecurringTodos, saveRecurringTodos, parseSchedule, describeSchedule, isRecurringTodoDue } from '../utils/recurring.js';
+import { getConfig } from '../utils/config.js';
+import { performAutoSync } from './sync.js';
+
+/**
+ * @typedef {Object} RecurOptions
+ * @property {string} every - When the todo recurs (daily, weekdays, monday, 1st, ...)
+ * @property {number} [priority] - Priority from 1 (highest) to 3
+ * @property {string[]} [tags] - Tags to add to the todo text
+ */
+
+/**
+ * Adds a recurring todo definition; if it is due today, today gets the todo right away
+ * @param {string} text - The todo text
+ * @param {RecurOptions} options - Schedule, priority and tags
+ * @returns {Promise<void>}
+ */
+export async function addRecurring(text, options) {
+  let every;
+  try {
+    every = parseSchedule(options.every);
+  } catch (error) {
+    console.log(chalk.red(error.message));
+    process.exitCode = 1;
+    return;
+  }
+
+  const todoText = addTagsToText(text.trim(), options.tags || []);
+  if (!todoText) {
+    console.log(chalk.red('Please enter the todo text.'));
+    process.exitCode = 1;
+    return;
+  }
+
+  const todos = await loadRecurringTodos();
+  const todo = {
+    id: todos.reduce((max, existing) => Math.max(max, existing.id), 0) + 1,
+    text: todoText,
+    every,
+    ...(options.priority ? { priority: options.priority } : {})
+  };
+  await saveRecurringTodos([...todos, todo]);
+
+  console.log(chalk.green('✓') + ` Added recurring todo #${todo.id}: ${todoText} ${chalk.gray(`(${describeSchedule(every)})`)}`);
+
+  // New days pick it up when they are started; today already exists, so add it now
+  const today = new Date();
+  const config = await getConfig();
+  if (isRecurringTodoDue(todo, today, config.calendar)) {
+    // Starting today here already adds it; otherwise add it to the existing day
+    await addRecurringTodos(today, [todo]);
+
+    // Sync to Confluence if enabled (respects silentSync setting)
+    await performAutoSync(today);
+  }
+}
+
+/**
+ * Lists the recurring todo definitions
+ * @returns {Promise<void>}
+ */
+export async function listRecurring() {
+  const todos = await loadRecurringTodos();
+  if (todos.length === 0) {
+    console.log(chalk.yellow('No recurring todos. Add one with: wdidt recur add "Weekly report" --every friday'));
+    return;
+  }
+
+  console.log(chalk.cyan.bold('↻ Recurring todos\n'));
+  todos.forEach(todo => {
+    const priority = todo.priority ? chalk.red(`P${todo.priority} `) : '';
+    console.log(`  ${chalk.gray(`#${todo.id}`.padEnd(4))} ${priority}${todo.text} ${chalk.gray(`(${describeSchedule(todo.every)})`)}`);
+  });
+}
+
+/**
+ * Removes a recurring todo definition; todos it already added stay in their days
+ * @param {string} id - The definition number, as shown by `wdidt recur list`
+ * @returns {Promise<void>}
+ */
+export async function removeRecurring(id) {
+  const todos = await loadRecurringTodos();
+  const todo = todos.find(existing => String(existing.id) === String(id).replace(/^#/, ''));
+  if (!todo) {
+    console.log(chalk.red(`No recurring todo #${id}. See: wdidt recur list`));
+    process.exitCode = 1;
+    return;
+  }
+
+  await saveRecurringTodos(todos.filter(existing => existing !== todo));
+  console.log(chalk.green('✓') + ` Removed recurring todo #${todo.id}: ${todo.text}`);
+}
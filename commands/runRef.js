@@ -0,0 +1,193 @@
+import { spawn } from 'child_process';
+import inquirer from 'inquirer';
+import chalk from 'chalk';
+import { addContentToSection } from '../utils/fileHandler.js';
+import { escapeXml } from '../utils/notesModel.js';
+import { detectLanguage, highlightCode } from '../utils/codeLanguage.js';
+import { resolveReference, describeReference } from './showRef.js';
+import { saveReference } from './addRef.js';
+import { performAutoSync } from './sync.js';
+
+const PLACEHOLDER_REGEX = /\{\{\s*([\w.-]+)(?::([^}]*))?\s*\}\}/g;
+const MAX_OUTPUT_LINES = 50;
+const MAX_OUTPUT_CHARS = 4000;
+
+/**
+ * Runs a command stored as a reference, filling in its {{placeholders}} first
+ * Placeholders may carry a default value: {{namespace:default}}
+ * @param {string} query - The full or partial reference ID
+ * @param {Date} [date] - The day to save the output to (defaults to today)
+ * @returns {Promise<void>}
+ */
+export async function runRef(query, date) {
+  const ref = await resolveReference(query);
+  if (!ref) return;
+
+  const language = ref.language || 'bash';
+  console.log(chalk.cyan(`[${ref.id}]`) + chalk.gray(` ${describeReference(ref)}\n`));
+  highlightCode(ref.content, language).forEach(line => console.log(`  ${line}`));
+  console.log('');
+
+  const values = await promptForPlaceholders(ref.content);
+  const command = fillPlaceholders(ref.content, values);
+  if (Object.keys(values).length > 0) {
+    console.log(chalk.gray('\nCommand to run:'));
+    highlightCode(command, language).forEach(line => console.log(`  ${line}`));
+    console.log('');
+  }
+
+  const { confirm } = await inquirer.prompt([
+    {
+      type: 'confirm',
+      name: 'confirm',
+      message: 'Run this command?',
+      default: false
+    }
+  ]);
+  if (!confirm) {
+    console.log(chalk.yellow('Cancelled.'));
+    return;
+  }
+
+  let result;
+  try {
+    result = await runInShell(command);
+  } catch (error) {
+    console.error(chalk.red('Could not start the command:'), error.message);
+    process.exitCode = 1;
+    return;
+  }
+
+  const status = result.signal ? `killed by ${result.signal}` : `exit ${result.code}`;
+  console.log(result.code === 0 ? chalk.green(`\n✓ Finished (${status})`) : chalk.red(`\n✗ Failed (${status})`));
+
+  const output = truncateOutput(result.output);
+  if (!output) {
+    return;
+  }
+
+  const { saveAs } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'saveAs',
+      message: 'Save the output?',
+      choices: [
+        { name: 'No', value: null },
+        { name: 'As a note', value: 'note' },
+        { name: 'As a new reference', value: 'reference' }
+      ]
+    }
+  ]);
+
+  if (saveAs === 'note') {
+    const now = new Date();
+    const timeString = now.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', hour12: true });
+    const formattedContent = `<p style="color: #888; font-size: 0.85em; margin-bottom: 5px;">${timeString}</p>\n<p>Output of [${escapeXml(ref.id)}] (${status}):</p>\n<pre>${escapeXml(output)}</pre>`;
+    await addContentToSection('Notes', formattedContent, date);
+    console.log(chalk.green('✓') + ' Output saved as a note');
+  } else if (saveAs === 'reference') {
+    const refId = await saveReference(output, date, { lang: detectLanguage(output), sourceId: ref.id });
+    console.log(chalk.green('✓') + ` Output saved as reference ${chalk.cyan(refId)}`);
+  } else {
+    return;
+  }
+
+  // Sync to Confluence if enabled (respects silentSync setting)
+  await performAutoSync(date);
+}
+
+/**
+ * Asks for a value for each distinct placeholder in a command
+ * @param {string} command - The command template
+ * @returns {Promise<Object<string, string>>} Values by placeholder name
+ */
+async function promptForPlaceholders(command) {
+  const defaults = new Map();
+  for (const match of command.matchAll(PLACEHOLDER_REGEX)) {
+    if (!defaults.has(match[1]) || (defaults.get(match[1]) === undefined && match[2] !== undefined)) {
+      defaults.set(match[1], match[2]);
+    }
+  }
+
+  if (defaults.size === 0) {
+    return {};
+  }
+
+  return inquirer.prompt([...defaults].map(([name, defaultValue]) => ({
+    type: 'input',
+    name,
+    message: `${name}:`,
+    default: defaultValue,
+    validate: (input) => {
+      if (!input.trim()) {
+        return 'A value is required';
+      }
+      return true;
+    }
+  })));
+}
+
+/**
+ * Replaces {{placeholders}} in a command with the given values
+ * @param {string} command - The command template
+ * @param {Object<string, string>} values - Values by placeholder name
+ * @returns {string} The command ready to run
+ */
+function fillPlaceholders(command, values) {
+  return command.replace(PLACEHOLDER_REGEX, (match, name) => (name in values ? values[name] : match));
+}
+
+/**
+ * Runs a command in the user's shell, echoing its output while capturing it
+ * @param {string} command - The command to run
+ * @returns {Promise<{code: number|null, signal: string|null, output: string}>} The exit status and combined output
+ */
+function runInShell(command) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.env.SHELL || '/bin/sh', ['-c', command], { stdio: ['inherit', 'pipe', 'pipe'] });
+    let output = '';
+
+    child.stdout.on('data', (chunk) => {
+      process.stdout.write(chunk);
+      output += chunk;
+    });
+    child.stderr.on('data', (chunk) => {
+      process.stderr.write(chunk);
+      output += chunk;
+    });
+    child.on('error', reject);
+    child.on('close', (code, signal) => resolve({ code, signal, output }));
+  });
+}
+
+/**
+ * Removes terminal escape sequences and control characters from command output
+ * XML doesn't allow most control characters, even escaped, so they would make the notes file invalid
+ * @param {string} output - The raw output
+ * @returns {string} The output with only printable text, tabs and line breaks left
+ */
+function stripControlCharacters(output) {
+  return output
+    .replace(/\x1b\][^\x07\x1b]*(?:\x07|\x1b\\)/g, '')
+    .replace(/\x1b\[[0-9;?]*[A-Za-z]/g, '')
+    .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\x7F]/g, '');
+}
+
+/**
+ * Shortens command output so it fits in the notes file
+ * @param {string} output - The raw output
+ * @returns {string} The output without color codes or control characters, cut to MAX_OUTPUT_LINES lines and MAX_OUTPUT_CHARS characters
+ */
+function truncateOutput(output) {
+  const lines = stripControlCharacters(output).replace(/\s+$/, '').split('\n');
+  let text = lines.slice(0, MAX_OUTPUT_LINES).join('\n');
+  if (text.length > MAX_OUTPUT_CHARS) {
+    text = text.substring(0, MAX_OUTPUT_CHARS);
+  }
+
+  const hiddenLines = lines.length - text.split('\n').length;
+  if (text.length < lines.join('\n').length) {
+    text += `\n… (output truncated${hiddenLines > 0 ? `, ${hiddenLines} more lines` : ''})`;
+  }
+  return text;
+}
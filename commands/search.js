@@ -0,0 +1,129 @@
+import inquirer from 'inquirer';
+import chalk from 'chalk';
+import { getDateString, formatISODate, parseDateInput } from '../utils/dates.js';
+import { parseSearchTerms, highlightExcerpt, normalizeSearchType, SEARCH_TYPES } from '../utils/search.js';
+import { getAllMonthlyNotesFiles } from '../utils/fileHandler.js';
+import { searchIndex } from '../utils/searchIndex.js';
+import { listTodos } from './listTodos.js';
+import { listNotes } from './listNotes.js';
+import { listRefs } from './listRefs.js';
+
+/**
+ * @typedef {Object} SearchOptions
+ * @property {string} [type] - Only search one kind of item (todo, context, note, ref)
+ * @property {Date} [since] - Only search days on or after this date
+ * @property {boolean} [done] - Only search completed todos
+ */
+
+const TYPE_LABELS = {
+  todo: chalk.green('todo   '),
+  context: chalk.blue('context'),
+  note: chalk.magenta('note   '),
+  ref: chalk.cyan('ref    ')
+};
+
+/**
+ * Searches todos, context, notes and references in every monthly notes file
+ * and offers to open the day of a match in its interactive manager
+ * @param {string[]} query - The search terms (a quoted term matches as a phrase)
+ * @param {SearchOptions} [options] - Search filters
+ * @returns {Promise<void>}
+ */
+export async function search(query, options = {}) {
+  const terms = parseSearchTerms(query);
+  if (terms.length === 0) {
+    console.log(chalk.red('Please enter something to search for.'));
+    return;
+  }
+
+  const type = options.type ? normalizeSearchType(options.type) : null;
+  if (options.type && !type) {
+    console.log(chalk.red(`Unknown type: ${options.type} (use ${SEARCH_TYPES.join(', ')})`));
+    return;
+  }
+
+  const filters = {
+    type,
+    since: options.since ? formatISODate(options.since) : null,
+    done: Boolean(options.done)
+  };
+
+  const results = await searchIndex(await getAllMonthlyNotesFiles(), terms, filters);
+
+  const queryText = query.join(' ');
+  if (results.length === 0) {
+    console.log(chalk.yellow(`No matches for "${queryText}".`));
+    return;
+  }
+
+  console.log(chalk.cyan.bold(`🔍 ${results.length} match${results.length === 1 ? '' : 'es'} for "${queryText}"\n`));
+
+  let currentDate = null;
+  results.forEach(entry => {
+    if (entry.date !== currentDate) {
+      currentDate = entry.date;
+      console.log(chalk.bold(getDateString(parseDateInput(entry.date))));
+    }
+    console.log(`  ${formatResult(entry, terms)}`);
+  });
+  console.log('');
+
+  if (!process.stdin.isTTY || !process.stdout.isTTY) {
+    return;
+  }
+
+  const { entry } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'entry',
+      message: 'Open the day of a match?',
+      pageSize: 15,
+      choices: [
+        { name: 'No, exit', value: null },
+        ...results.map(result => ({
+          name: `${result.date}  ${formatResult(result, terms, 70)}`,
+          value: result
+        }))
+      ]
+    }
+  ]);
+
+  if (entry) {
+    await openInManager(entry);
+  }
+}
+
+/**
+ * Formats a search result line
+ * @param {import('../utils/search.js').SearchEntry} entry - The matching entry
+ * @param {string[]} terms - The search terms
+ * @param {number} [width] - Maximum excerpt length
+ * @returns {string} Type label, status or ID, and highlighted excerpt
+ */
+function formatResult(entry, terms, width = 100) {
+  let marker = '';
+  if (entry.type === 'todo') {
+    marker = entry.checked ? chalk.green('✓ ') : chalk.gray('☐ ');
+  } else if (entry.id) {
+    marker = chalk.gray(`[${entry.id}] `);
+  }
+  return `${TYPE_LABELS[entry.type]} ${marker}${highlightExcerpt(entry, terms, width)}`;
+}
+
+/**
+ * Opens the day holding a search result in the manager for its type
+ * @param {import('../utils/search.js').SearchEntry} entry - The search result
+ * @returns {Promise<void>}
+ */
+async function openInManager(entry) {
+  const date = parseDateInput(entry.date);
+
+  if (entry.type === 'note') {
+    await listNotes(date);
+  } else if (entry.type === 'ref') {
+    await listRefs(date);
+  } else {
+    // Context is managed alongside the todos that link to it
+    await listTodos(date);
+  }
+}
@@ -0,0 +1,154 @@
+import fs from 'fs';
+import inquirer from 'inquirer';
+import chalk from 'chalk';
+import { getAllReferences } from '../utils/fileHandler.js';
+import { formatISODate } from '../utils/dates.js';
+import { highlightCode } from '../utils/codeLanguage.js';
+
+/** @typedef {import('../utils/fileHandler.js').StoredReference} StoredReference */
+
+/**
+ * Prints a reference from any month by its ID
+ * When piped, only the raw content is written so it can feed other commands
+ * @param {string} query - The full or partial reference ID (e.g., "quick-fox")
+ * @returns {Promise<void>}
+ */
+export async function showRef(query) {
+  const ref = await resolveReference(query);
+  if (!ref) return;
+
+  if (!process.stdout.isTTY) {
+    process.stdout.write(`${ref.content}\n`);
+    return;
+  }
+
+  console.log(chalk.cyan(`[${ref.id}]`) + chalk.gray(` ${describeReference(ref)}\n`));
+  highlightCode(ref.content, ref.language).forEach(line => console.log(line));
+}
+
+/**
+ * Copies a reference from any month to the terminal clipboard using OSC 52
+ * @param {string} query - The full or partial reference ID (e.g., "quick-fox")
+ * @returns {Promise<void>}
+ */
+export async function copyRef(query) {
+  const ref = await resolveReference(query);
+  if (!ref) return;
+
+  if (!writeToClipboard(ref.content)) {
+    console.error(chalk.red('No terminal to copy to. Use `wdidt ref show` and pipe the output instead.'));
+    process.exitCode = 1;
+    return;
+  }
+
+  const lineCount = ref.content.split('\n').length;
+  console.error(chalk.green('✓') + ` Copied ${chalk.cyan(`[${ref.id}]`)} to the clipboard${lineCount > 1 ? chalk.gray(` (${lineCount} lines)`) : ''}`);
+}
+
+/**
+ * Finds the reference a user means, asking them to pick when the ID is ambiguous
+ * @param {string} query - The full or partial reference ID
+ * @returns {Promise<StoredReference|null>} The reference, or null if none was found or chosen
+ */
+export async function resolveReference(query) {
+  const normalized = String(query).trim().toLowerCase().replace(/^\[|\]$/g, '').replace(/\s+/g, '-');
+  const refs = await getAllReferences();
+
+  // Keep only the best tier of matches so an exact ID wins over partial ones
+  const scored = refs.map(ref => ({ ref, score: matchScore(ref.id, normalized) })).filter(match => match.score > 0);
+  const bestScore = Math.max(0, ...scored.map(match => match.score));
+  const matches = scored.filter(match => match.score === bestScore).map(match => match.ref);
+
+  if (matches.length === 0) {
+    console.error(chalk.red(`No reference matches "${query}".`));
+    process.exitCode = 1;
+    return null;
+  }
+
+  if (matches.length === 1) {
+    return matches[0];
+  }
+
+  if (!process.stdin.isTTY || !process.stdout.isTTY) {
+    console.error(chalk.yellow(`"${query}" matches ${matches.length} references, be more specific:`));
+    matches.forEach(ref => console.error(`  ${chalk.cyan(`[${ref.id}]`)} ${chalk.gray(describeReference(ref))}`));
+    process.exitCode = 1;
+    return null;
+  }
+
+  const { ref } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'ref',
+      message: `"${query}" matches ${matches.length} references:`,
+      choices: matches.map(match => ({
+        name: `[${match.id}] ${chalk.gray(`${describeReference(match)} · ${match.content.split('\n')[0].substring(0, 50)}`)}`,
+        value: match
+      }))
+    }
+  ]);
+  return ref;
+}
+
+/**
+ * Scores how well a reference ID matches a query
+ * Exact IDs score highest, then substrings, then queries whose words are
+ * prefixes of the ID's words in order (so "quick-fox" finds "quick-brown-fox")
+ * @param {string} id - The reference ID
+ * @param {string} query - The normalized query
+ * @returns {number} 3 for exact, 2 for substring, 1 for word-prefix matches, 0 for no match
+ */
+function matchScore(id, query) {
+  if (!query) return 0;
+  if (id === query) return 3;
+  if (id.includes(query)) return 2;
+
+  const words = id.split('-');
+  let wordIdx = 0;
+  for (const part of query.split('-').filter(Boolean)) {
+    while (wordIdx < words.length && !words[wordIdx].startsWith(part)) {
+      wordIdx++;
+    }
+    if (wordIdx === words.length) {
+      return 0;
+    }
+    wordIdx++;
+  }
+  return 1;
+}
+
+/**
+ * Describes where a reference lives, for headers and pick lists
+ * @param {StoredReference} ref - The reference
+ * @returns {string} Day, time, language and source (e.g., "2025-11-03 2:15 PM json ← [quick-brown-fox]")
+ */
+export function describeReference(ref) {
+  return [formatISODate(ref.date), ref.timestamp, ref.language, ref.sourceId ? `← [${ref.sourceId}]` : null].filter(Boolean).join(' ');
+}
+
+/**
+ * Sends text to the system clipboard through the terminal's OSC 52 escape sequence
+ * Works over SSH and inside tmux as long as the terminal allows clipboard writes
+ * @param {string} text - The text to copy
+ * @returns {boolean} False if there is no terminal to write the sequence to
+ */
+function writeToClipboard(text) {
+  let sequence = `\x1b]52;c;${Buffer.from(text, 'utf-8').toString('base64')}\x07`;
+  if (process.env.TMUX) {
+    // tmux only forwards escape sequences wrapped in a DCS passthrough
+    sequence = `\x1bPtmux;${sequence.replace(/\x1b/g, '\x1b\x1b')}\x1b\\`;
+  }
+
+  if (process.stdout.isTTY) {
+    process.stdout.write(sequence);
+    return true;
+  }
+
+  // stdout is redirected, so talk to the controlling terminal directly
+  try {
+    fs.writeFileSync('/dev/tty', sequence);
+    return true;
+  } catch {
+    return false;
+  }
+}
@@ -0,0 +1,64 @@
+import fs from 'fs';
+import chalk from 'chalk';
+import { getConfig } from '../utils/config.js';
+import { getAllMonthlyNotesFiles, getAllDaySections, extractTodos } from '../utils/fileHandler.js';
+import { getDateString, startOfDay } from '../utils/dates.js';
+import { getStaleDays, getTodoAge, isStale } from '../utils/staleness.js';
+
+/**
+ * @typedef {Object} StaleOptions
+ * @property {number} [days] - Minimum age in days (defaults to carryover.staleDays or 7)
+ */
+
+/**
+ * Lists open todos that have been carried along for N days or more
+ * @param {Date} [date] - The day to measure ages against (defaults to today)
+ * @param {StaleOptions} [options] - Report options
+ * @returns {Promise<void>}
+ */
+export async function staleTodos(date, options = {}) {
+  const config = await getConfig();
+  const staleDays = options.days !== undefined ? options.days : getStaleDays(config);
+
+  const today = startOfDay(date || new Date());
+
+  // Newest files and days first, so the first sighting of a todo is where it lives now
+  const files = (await getAllMonthlyNotesFiles()).sort().reverse();
+  const seen = new Set();
+  const stale = [];
+
+  for (const filePath of files) {
+    const content = fs.readFileSync(filePath, 'utf-8');
+
+    for (const day of getAllDaySections(content)) {
+      if (day.date.getTime() > today.getTime()) {
+        continue;
+      }
+
+      for (const todo of extractTodos(day.content)) {
+        if (todo.checked || !todo.uid || !todo.created || seen.has(todo.uid)) {
+          continue;
+        }
+        seen.add(todo.uid);
+
+        if (isStale(todo, staleDays, today)) {
+          stale.push({ todo, age: getTodoAge(todo, today), day: day.date });
+        }
+      }
+    }
+  }
+
+  if (stale.length === 0) {
+    console.log(chalk.green(`✓ No carried todos have been open for ${staleDays} day${staleDays === 1 ? '' : 's'} or more.`));
+    return;
+  }
+
+  stale.sort((a, b) => b.age - a.age);
+
+  console.log(chalk.yellow(`⏳ ${stale.length} stale todo${stale.length > 1 ? 's' : ''} (carried and open for ${staleDays} day${staleDays === 1 ? '' : 's'} or more)\n`));
+  stale.forEach(({ todo, age, day }) => {
+    console.log(`  ${chalk.yellow(`${age}d`.padStart(4))}  ${chalk.gray(`↻${todo.carryCount}`.padEnd(4))} ${todo.text}${todo.contextIds.length > 0 ? chalk.blue(' 📎') : ''}`);
+    console.log(chalk.gray(`              since ${todo.created}, now on ${getDateString(day)}`));
+  });
+  console.log(chalk.gray(`\nRun ${chalk.cyan('wdidt carryover -i')} to defer, backlog or drop them.\n`));
+}
@@ -30,14 +30,15 @@ function generatePageTitle(fileName) {
 }
 
 /**
- * Syncs only the current month's notes file to Confluence
+ * Syncs only a single month's notes file to Confluence
  * @param {ConfluenceClient} client - The Confluence client
  * @param {string} spaceKey - The Confluence space key
  * @param {string} parentPageId - The parent page ID (optional)
  * @param {boolean} verbose - Whether to show console output
+ * @param {Date} [date] - A day in the month to sync (defaults to today)
  * @returns {Promise<void>}
  */
-async function syncCurrentMonth(client, spaceKey, parentPageId, verbose) {
+async function syncCurrentMonth(client, spaceKey, parentPageId, verbose, date) {
   // Find or create the "Daily Notes" parent page
   if (verbose) console.log(chalk.gray('Setting up Daily Notes folder...\n'));
   const dailyNotesParentId = await client.findOrCreateParentPage(
@@ -46,8 +47,8 @@ async function syncCurrentMonth(client, spaceKey, parentPageId, verbose) {
     parentPageId || undefined
   );
 
-  // Get current month's file
-  const filePath = await getNotesFilePath();
+  // Get the month's file
+  const filePath = await getNotesFilePath(date);
   if (!fs.existsSync(filePath)) {
     if (verbose) console.log(chalk.yellow('No notes file found for the current month.\n'));
     return;
@@ -89,9 +90,10 @@ async function syncCurrentMonth(client, spaceKey, parentPageId, verbose) {
 /**
  * Silently syncs current month's notes to Confluence if enabled
  * Used for automatic background syncing after operations
+ * @param {Date} [date] - A day in the month to sync (defaults to today)
  * @returns {Promise<void>}
  */
-export async function autoSyncToConfluence() {
+export async function autoSyncToConfluence(date) {
   try {
     const config = await getConfig();
 
@@ -111,7 +113,7 @@ export async function autoSyncToConfluence() {
       return; // Silently fail
     }
 
-    await syncCurrentMonth(client, spaceKey, parentPageId, false);
+    await syncCurrentMonth(client, spaceKey, parentPageId, false, date);
   } catch (error) {
     // Silently ignore all errors in auto-sync
   }
@@ -121,9 +123,10 @@ export async function autoSyncToConfluence() {
  * Performs sync based on user's silentSync configuration setting
  * If silentSync is true, syncs silently in the background
  * If silentSync is false or not set, shows verbose sync output
+ * @param {Date} [date] - A day in the month to sync (defaults to today)
  * @returns {Promise<void>}
  */
-export async function performAutoSync() {
+export async function performAutoSync(date) {
   try {
     const config = await getConfig();
 
@@ -139,7 +142,7 @@ export async function performAutoSync() {
     const silentSync = config.confluence.silentSync === true;
 
     if (silentSync) {
-      await autoSyncToConfluence();
+      await autoSyncToConfluence(date);
     } else {
       // Verbose auto-sync: only sync current month
       console.log(chalk.blue('🔄 Syncing current month to Confluence...\n'));
@@ -151,7 +154,7 @@ export async function performAutoSync() {
       }
       console.log(chalk.green('✓ Connected to Confluence successfully\n'));
 
-      await syncCurrentMonth(client, spaceKey, parentPageId, true);
+      await syncCurrentMonth(client, spaceKey, parentPageId, true, date);
     }
   } catch (error) {
     // Silently ignore errors
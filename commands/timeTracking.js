@@ -0,0 +1,173 @@
+import fs from 'fs';
+import inquirer from 'inquirer';
+import chalk from 'chalk';
+import { readDaySection, extractTodos } from '../utils/fileHandler.js';
+import { getDateString, formatISODate, addDays, startOfDay } from '../utils/dates.js';
+import {
+  loadTimeEntries,
+  getRunningEntry,
+  getTodoKey,
+  startTimer,
+  stopTimer,
+  getEntryMinutes,
+  summarizeTime,
+  formatTimeCsv,
+  formatDuration
+} from '../utils/timeLog.js';
+
+/**
+ * @typedef {Object} TimesheetOptions
+ * @property {boolean} [week] - Cover the whole week (Monday to Sunday) of the day
+ * @property {Date} [since] - First day to cover (defaults to the day itself; can't be combined with week)
+ * @property {string|boolean} [csv] - Export as CSV: a file path, or true to print it
+ */
+
+/**
+ * Starts tracking time on a todo of a day, found by its text
+ * @param {string} query - Text of the todo, or part of it
+ * @param {Date} [date] - The day holding the todo (defaults to today)
+ * @returns {Promise<void>}
+ */
+export async function startTracking(query, date) {
+  const todo = await findTodoToTrack(query, date);
+  if (!todo) {
+    return;
+  }
+
+  const running = getRunningEntry(await loadTimeEntries());
+  if (running && running.todo === getTodoKey(todo)) {
+    console.log(chalk.yellow(`Already tracking "${todo.text}" (${formatDuration(getEntryMinutes(running))} so far).`));
+    return;
+  }
+
+  const stopped = await startTimer(todo, date);
+  if (stopped) {
+    console.log(chalk.gray(`■ Stopped "${stopped.text}" after ${formatDuration(getEntryMinutes(stopped))}`));
+  }
+  console.log(chalk.green('▶') + ` Tracking time on: ${todo.text}`);
+  console.log(chalk.gray('  Run wdidt stop when you are done.'));
+}
+
+/**
+ * Stops the running timer
+ * @returns {Promise<void>}
+ */
+export async function stopTracking() {
+  const stopped = await stopTimer();
+  if (!stopped) {
+    console.log(chalk.yellow('No timer is running.'));
+    return;
+  }
+
+  console.log(chalk.green('■') + ` Stopped "${stopped.text}" after ${formatDuration(getEntryMinutes(stopped))}`);
+}
+
+/**
+ * Shows the time tracked per todo and per tag over a day or a range of days,
+ * or exports it as CSV
+ * @param {Date} [date] - The day, or any day of the week with --week (defaults to today)
+ * @param {TimesheetOptions} [options] - Range and export options
+ * @returns {Promise<void>}
+ */
+export async function timesheet(date, options = {}) {
+  if (options.week && options.since) {
+    console.log(chalk.red('Use either --week or --since, not both.'));
+    process.exitCode = 1;
+    return;
+  }
+
+  let until = startOfDay(date || new Date());
+  let since = startOfDay(options.since || until);
+  if (options.week) {
+    since = addDays(until, -((until.getDay() + 6) % 7));
+    until = addDays(since, 6);
+  }
+
+  if (since.getTime() > until.getTime()) {
+    console.log(chalk.red(`--since ${formatISODate(since)} is after ${formatISODate(until)}.`));
+    process.exitCode = 1;
+    return;
+  }
+
+  const entries = await loadTimeEntries();
+  const summary = summarizeTime(entries, formatISODate(since), formatISODate(until));
+
+  if (options.csv) {
+    const csv = formatTimeCsv(summary);
+    if (options.csv === true) {
+      process.stdout.write(csv);
+    } else {
+      fs.writeFileSync(options.csv, csv, 'utf-8');
+      console.log(chalk.green('✓') + ` Timesheet written to ${options.csv}`);
+    }
+    return;
+  }
+
+  const range = since.getTime() === until.getTime()
+    ? getDateString(since)
+    : `${getDateString(since)} – ${getDateString(until)}`;
+
+  if (summary.todos.length === 0) {
+    console.log(chalk.yellow(`No time tracked for ${range}.`));
+    return;
+  }
+
+  console.log(chalk.cyan.bold(`⏱  Timesheet: ${range}\n`));
+  summary.todos.forEach(todo => {
+    console.log(`  ${chalk.cyan(formatDuration(todo.minutes).padStart(6))}  ${todo.name}`);
+  });
+
+  console.log(chalk.bold('\n  By tag'));
+  summary.tags.forEach(tag => {
+    console.log(`  ${chalk.cyan(formatDuration(tag.minutes).padStart(6))}  ${tag.name.startsWith('#') ? tag.name : chalk.gray(tag.name)}`);
+  });
+
+  console.log(`\n  ${chalk.bold(formatDuration(summary.minutes).padStart(6))}  ${chalk.bold('Total')}`);
+
+  const running = getRunningEntry(entries);
+  if (running) {
+    console.log(chalk.yellow(`\n  ▶ "${running.text}" is still running (${formatDuration(getEntryMinutes(running))} so far)`));
+  }
+  console.log('');
+}
+
+/**
+ * Finds the todo to start a timer on, asking which one when several match
+ * @param {string} query - Text of the todo, or part of it
+ * @param {Date} [date] - The day holding the todo (defaults to today)
+ * @returns {Promise<import('../utils/fileHandler.js').TodoItem|null>} The todo, or null if none was found
+ */
+async function findTodoToTrack(query, date) {
+  const flatten = (todos) => todos.flatMap(todo => [todo, ...flatten(todo.subtasks)]);
+  const todos = flatten(extractTodos(await readDaySection(date))).filter(todo => !todo.checked);
+  const search = query.trim().toLowerCase();
+
+  const exact = todos.filter(todo => todo.text.toLowerCase() === search);
+  const matches = exact.length > 0 ? exact : todos.filter(todo => todo.text.toLowerCase().includes(search));
+
+  if (matches.length === 0) {
+    console.log(chalk.red(`No open todo matching "${query}" on ${getDateString(date || new Date())}.`));
+    process.exitCode = 1;
+    return null;
+  }
+  if (matches.length === 1) {
+    return matches[0];
+  }
+
+  if (!process.stdin.isTTY || !process.stdout.isTTY) {
+    console.log(chalk.red(`"${query}" matches ${matches.length} todos; be more specific:`));
+    matches.forEach(todo => console.log(chalk.gray(`  ${todo.text}`)));
+    process.exitCode = 1;
+    return null;
+  }
+
+  const { todo } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'todo',
+      message: 'Which todo?',
+      choices: matches.map(match => ({ name: match.text, value: match }))
+    }
+  ]);
+  return todo;
+}
@@ -0,0 +1,90 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// The config directory is resolved from the home directory when config.js loads
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'wdidt-carryover-'));
+const notesDirectory = path.join(home, 'notes');
+process.env.HOME = home;
+fs.mkdirSync(path.join(home, '.wdidt'));
+fs.mkdirSync(notesDirectory);
+
+const { findCarryoverSourceDay, initializeDaySection, readDaySection, extractTodos } = await import('../utils/fileHandler.js');
+const { createDay, getSection, serializeMonth } = await import('../utils/notesModel.js');
+const { formatISODate, getMonthString, addDays, startOfDay } = await import('../utils/dates.js');
+
+after(() => fs.rmSync(home, { recursive: true, force: true }));
+
+/**
+ * Writes the config file
+ * @param {Object} [settings] - Settings besides the notes directory
+ * @returns {void}
+ */
+function writeConfig(settings = {}) {
+  fs.writeFileSync(path.join(home, '.wdidt', 'config.json'), JSON.stringify({ notesDirectory, ...settings }), 'utf-8');
+}
+
+/**
+ * Writes days holding open todos to their monthly notes files, replacing what those files held
+ * @param {Date[]} dates - The days
+ * @param {string[]} [texts] - The todos each day holds (defaults to one numbered todo)
+ * @returns {void}
+ */
+function writeDays(dates, texts) {
+  const months = new Map();
+  [...dates].sort((a, b) => b - a).forEach((date, idx) => {
+    const day = createDay(date);
+    getSection(day, 'Todos').items.push(...(texts || [`Todo ${idx + 1}`]).map((text, taskIdx) => ({
+      type: 'todo', taskId: taskIdx + 1, checked: false, html: text, contextIds: [], migration: null, uid: `uid-${idx + 1}-${taskIdx + 1}`,
+      created: formatISODate(date), carryCount: 0, due: null, priority: null, completedAt: null, reopenedAt: null, subtasks: []
+    })));
+    const month = getMonthString(date);
+    months.set(month, [...(months.get(month) || []), day]);
+  });
+
+  months.forEach((days, month) => {
+    fs.writeFileSync(path.join(notesDirectory, `${month}-notes.html`), serializeMonth({ preamble: [], days }), 'utf-8');
+  });
+}
+
+test('carryover finds the previous day in an earlier month', async () => {
+  writeConfig();
+  // Thursday to Saturday, February 26-28, 2026, carried into Monday, March 2
+  writeDays([new Date(2026, 1, 26), new Date(2026, 1, 27), new Date(2026, 1, 28)]);
+  const monday = new Date(2026, 2, 2);
+
+  assert.equal(formatISODate((await findCarryoverSourceDay(monday)).date), '2026-02-28');
+  assert.equal(formatISODate((await findCarryoverSourceDay(monday, true)).date), '2026-02-27');
+});
+
+test('carryover follows the working day settings and calendar', async () => {
+  writeConfig({ carryover: { skipNonWorkingDays: true }, calendar: { holidays: ['2026-02-27'] } });
+  const monday = new Date(2026, 2, 2);
+
+  assert.equal(formatISODate((await findCarryoverSourceDay(monday)).date), '2026-02-26');
+  assert.equal(formatISODate((await findCarryoverSourceDay(monday, false)).date), '2026-02-28');
+  assert.equal(await findCarryoverSourceDay(new Date(2026, 1, 26)), null);
+});
+
+test('auto carryover brings tagged todos into today once', async () => {
+  writeConfig({ carryover: { auto: true, autoTags: ['work'] } });
+  const today = startOfDay(new Date());
+  const yesterday = addDays(today, -1);
+  writeDays([yesterday], ['Deploy #work', 'Buy milk']);
+
+  const log = console.log;
+  console.log = () => {};
+  try {
+    await initializeDaySection(today);
+    await initializeDaySection(today);
+  } finally {
+    console.log = log;
+  }
+
+  assert.deepEqual(extractTodos(await readDaySection(today)).map(todo => [todo.text, todo.carryCount]), [['Deploy #work', 1]]);
+  assert.deepEqual(extractTodos(await readDaySection(yesterday)).map(todo => [todo.text, todo.checked, todo.migration && todo.migration.action]),
+    [['Deploy #work', true, 'carried'], ['Buy milk', false, null]]);
+  assert.deepEqual(JSON.parse(fs.readFileSync(path.join(notesDirectory, '.wdidt-carryover.json'), 'utf-8')), { lastAutoCarryover: formatISODate(today) });
+});
@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseDateInput, formatISODate, isWorkingDay, daysBetween } from '../utils/dates.js';
+
+// Wednesday, March 4, 2026, in the afternoon
+const now = new Date(2026, 2, 4, 15, 30);
+
+/**
+ * Parses a date relative to `now` and formats it for comparison
+ * @param {string} input - The user-supplied date
+ * @param {boolean} [preferFuture] - Resolve weekday names forward
+ * @returns {string} The parsed day, YYYY-MM-DD
+ */
+function parse(input, preferFuture) {
+  return formatISODate(parseDateInput(input, { now, preferFuture }));
+}
+
+test('relative days and ISO dates resolve to local midnight', () => {
+  assert.equal(parse('today'), '2026-03-04');
+  assert.equal(parse(' Yesterday '), '2026-03-03');
+  assert.equal(parse('tomorrow'), '2026-03-05');
+  assert.equal(parse('2026-02-28'), '2026-02-28');
+  assert.equal(parseDateInput('today', { now }).getHours(), 0);
+});
+
+test('weekday names resolve to the previous such day', () => {
+  assert.equal(parse('monday'), '2026-03-02');
+  assert.equal(parse('Fri'), '2026-02-27');
+  // The same weekday as today means a week ago
+  assert.equal(parse('wednesday'), '2026-02-25');
+});
+
+test('weekday names resolve to the next such day with preferFuture', () => {
+  assert.equal(parse('friday', true), '2026-03-06');
+  assert.equal(parse('mon', true), '2026-03-09');
+  // The same weekday as today means a week ahead
+  assert.equal(parse('wednesday', true), '2026-03-11');
+  // Other inputs don't change
+  assert.equal(parse('yesterday', true), '2026-03-03');
+  assert.equal(parse('2026-01-15', true), '2026-01-15');
+});
+
+test('dates that do not exist are rejected', () => {
+  assert.throws(() => parseDateInput('2026-02-30', { now }), /Invalid date/);
+  assert.throws(() => parseDateInput('2026-13-01', { now }), /Invalid date/);
+  assert.throws(() => parseDateInput('mo', { now }), /Invalid date/);
+  assert.throws(() => parseDateInput('next week', { now }), /Invalid date/);
+});
+
+test('working days follow the calendar', () => {
+  assert.equal(isWorkingDay(new Date(2026, 2, 4)), true);
+  assert.equal(isWorkingDay(new Date(2026, 2, 7)), false);
+  assert.equal(isWorkingDay(new Date(2026, 2, 7), { workingDays: ['Saturday'] }), true);
+  assert.equal(isWorkingDay(new Date(2026, 2, 4), { holidays: ['2026-03-04'] }), false);
+});
+
+test('days between dates ignore the time of day', () => {
+  assert.equal(daysBetween(new Date(2026, 2, 1, 23, 0), now), 3);
+  assert.equal(daysBetween(now, new Date(2026, 1, 25)), -7);
+});
@@ -0,0 +1,92 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// The config directory is resolved from the home directory when config.js loads
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'wdidt-done-'));
+const notesDirectory = path.join(home, 'notes');
+process.env.HOME = home;
+fs.mkdirSync(path.join(home, '.wdidt'));
+fs.mkdirSync(notesDirectory);
+fs.writeFileSync(path.join(home, '.wdidt', 'config.json'), JSON.stringify({ notesDirectory }), 'utf-8');
+
+const { collectCompletedTodos } = await import('../commands/done.js');
+const { createDay, getSection, serializeMonth } = await import('../utils/notesModel.js');
+
+after(() => fs.rmSync(home, { recursive: true, force: true }));
+
+/**
+ * Builds a todo node
+ * @param {number} taskId - Task ID within the day
+ * @param {string} text - The todo text
+ * @param {Object} [fields] - Fields to set, e.g. checked and completedAt
+ * @returns {import('../utils/notesModel.js').TodoNode} The todo
+ */
+function todo(taskId, text, fields = {}) {
+  return {
+    type: 'todo', taskId, checked: false, html: text, contextIds: [], migration: null, uid: null, created: null,
+    carryCount: 0, due: null, priority: null, completedAt: null, reopenedAt: null, subtasks: [], ...fields
+  };
+}
+
+/**
+ * Builds a day holding todos
+ * @param {Date} date - The day
+ * @param {import('../utils/notesModel.js').TodoNode[]} todos - Its todos
+ * @returns {import('../utils/notesModel.js').DayNode} The day
+ */
+function day(date, todos) {
+  const node = createDay(date);
+  getSection(node, 'Todos').items.push(...todos);
+  return node;
+}
+
+const subtasks = () => [
+  todo(2, 'Write the query', { uid: 's1', checked: true, completedAt: '2026-03-03T09:00' }),
+  todo(3, 'Check the numbers', { uid: 's2' })
+];
+
+fs.writeFileSync(path.join(notesDirectory, '2026-03-notes.html'), serializeMonth({
+  preamble: [],
+  days: [
+    day(new Date(2026, 2, 3), [
+      // Carried from March 2 with its subtasks, one of them already done
+      todo(1, 'Monthly report', { uid: 'r1', subtasks: subtasks() }),
+      todo(4, 'Planned here, done the next day', { checked: true, completedAt: '2026-03-04T08:00' }),
+      todo(5, 'Release', { checked: true, completedAt: '2026-03-03T17:00', subtasks: [todo(6, 'Tag it', { checked: true, completedAt: '2026-03-03T16:00' })] })
+    ]),
+    day(new Date(2026, 2, 2), [
+      todo(1, 'Monthly report', { uid: 'r1', checked: true, migration: { action: 'carried', target: '2026-03-03' }, subtasks: subtasks() }),
+      todo(4, 'Standup', { checked: true, completedAt: '2026-03-02T10:15' }),
+      todo(5, 'Checked off in Confluence', { checked: true })
+    ])
+  ]
+}), 'utf-8');
+
+/**
+ * Lists completed todos as day, time and text
+ * @param {string} since - First day, YYYY-MM-DD
+ * @param {string} until - Last day, YYYY-MM-DD
+ * @returns {Promise<string[][]>} One [day, time, text] row per entry
+ */
+async function collect(since, until) {
+  return (await collectCompletedTodos(since, until))
+    .map(entry => [entry.day, entry.time, entry.parentText ? `${entry.parentText} › ${entry.todo.text}` : entry.todo.text]);
+}
+
+test('completed todos are listed on the day they were completed, oldest first', async () => {
+  assert.deepEqual(await collect('2026-03-02', '2026-03-04'), [
+    ['2026-03-02', null, 'Checked off in Confluence'],
+    ['2026-03-02', '10:15', 'Standup'],
+    ['2026-03-03', '09:00', 'Monthly report › Write the query'],
+    ['2026-03-03', '17:00', 'Release'],
+    ['2026-03-04', '08:00', 'Planned here, done the next day']
+  ]);
+});
+
+test('only completions within the range are listed', async () => {
+  assert.deepEqual(await collect('2026-03-04', '2026-03-04'), [['2026-03-04', '08:00', 'Planned here, done the next day']]);
+  assert.deepEqual(await collect('2026-03-05', '2026-03-31'), []);
+});
@@ -0,0 +1,78 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// The config directory is resolved from the home directory when config.js loads
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'wdidt-files-'));
+const notesDirectory = path.join(home, 'notes');
+process.env.HOME = home;
+fs.mkdirSync(path.join(home, '.wdidt'));
+fs.mkdirSync(notesDirectory);
+fs.writeFileSync(path.join(home, '.wdidt', 'config.json'), JSON.stringify({ notesDirectory }), 'utf-8');
+
+const {
+  appendTodosToSection, markTodoMigrated, extractTodos, getAllContexts, addTodoToSection,
+  readDaySection, replaceDaySection, applyCarryoverDecisions
+} = await import('../utils/fileHandler.js');
+
+after(() => fs.rmSync(home, { recursive: true, force: true }));
+
+const BASELINE = fs.readFileSync(new URL('./fixtures/baseline-2026-03-notes.html', import.meta.url), 'utf-8');
+const march2 = new Date(2026, 2, 2);
+const march3 = new Date(2026, 2, 3);
+
+/**
+ * Gets one day of the fixture as a section
+ * @param {string} heading - The day's heading
+ * @returns {string} The day section content
+ */
+function fixtureDay(heading) {
+  return BASELINE.split('<hr>').find(day => day.includes(heading)).trim();
+}
+
+test('appended todos keep their identity and bring their context along', () => {
+  const source = fixtureDay('March 2');
+  const [, writeDocs] = extractTodos(source);
+
+  const updated = appendTodosToSection(fixtureDay('March 3'), [writeDocs], source);
+  const todos = extractTodos(updated);
+
+  assert.deepEqual(todos.map(todo => todo.text), ['Day two todo', 'Write docs']);
+  assert.equal(todos[1].todoId, 'todo-2');
+  assert.equal(todos[1].checked, false);
+  assert.equal(todos[1].carryCount, 1);
+  assert.equal(todos[1].created, '2026-03-02');
+  assert.deepEqual(todos[1].contextIds, ['tame-smiles-wolf']);
+  assert.deepEqual(getAllContexts(updated).map(context => context.id), ['tame-smiles-wolf', 'loose-thinks-ocean']);
+
+  // A todo is never copied twice
+  assert.equal(appendTodosToSection(updated, [extractTodos(updated)[1]], source), updated);
+});
+
+test('a migrated todo is closed with a marker saying where it went', () => {
+  const updated = markTodoMigrated(fixtureDay('March 2'), 1, 'moved', '2026-03-05');
+  const todos = extractTodos(updated);
+
+  assert.equal(todos[1].checked, true);
+  assert.deepEqual(todos[1].migration, { action: 'moved', target: '2026-03-05' });
+  assert.equal(todos[0].checked, false);
+  assert.equal(todos[0].migration, null);
+  assert.equal(extractTodos(markTodoMigrated(updated, 1, 'moved', '2026-03-05'))[1].html, todos[1].html);
+});
+
+test('carrying over leaves todos open when the target day already has them', async () => {
+  fs.writeFileSync(path.join(notesDirectory, '2026-03-notes.html'), BASELINE, 'utf-8');
+  await replaceDaySection(march3, addTodoToSection(await readDaySection(march3), 'write  docs'));
+
+  const source = await readDaySection(march2);
+  const decisions = extractTodos(source).map(todo => ({ todo, action: 'carried', target: null }));
+  const kept = await applyCarryoverDecisions(decisions, { date: march2, content: source }, march3);
+
+  assert.deepEqual(kept.map(todo => todo.text), ['Write docs']);
+  assert.deepEqual(extractTodos(await readDaySection(march3)).map(todo => todo.text),
+    ['Day two todo', 'write docs', 'Plain todo', 'Review PR #42']);
+  assert.deepEqual(extractTodos(await readDaySection(march2)).map(todo => [todo.text, todo.checked]),
+    [['Plain todo', true], ['Write docs', false], ['Review PR #42', true]]);
+});
@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import {
+  parseMonth, serializeMonth, parseDay, serializeDay, createDay, getSection, getItems,
+  escapeXml, escapeAttr, escapeCdata, decodeEntities, markupToText
+} from '../utils/notesModel.js';
+
+// Written by wdidt before notes files were parsed into a document model
+const BASELINE = fs.readFileSync(new URL('./fixtures/baseline-2026-03-notes.html', import.meta.url), 'utf-8');
+// The same file after that version added a note to March 3
+const BASELINE_WITH_NOTE = fs.readFileSync(new URL('./fixtures/baseline-2026-03-notes-with-note.html', import.meta.url), 'utf-8');
+
+test('an unchanged notes file serializes to the same bytes', () => {
+  assert.equal(serializeMonth(parseMonth(BASELINE)), BASELINE);
+  assert.equal(serializeMonth(parseMonth(BASELINE_WITH_NOTE)), BASELINE_WITH_NOTE);
+});
+
+test('a changed day is written in the layout it had, leaving other days untouched', () => {
+  const doc = parseMonth(BASELINE);
+  getSection(doc.days[0], 'Notes', true).items.unshift({ type: 'note', timestamp: '11:00 AM', html: '<p>Later note</p>' });
+
+  assert.equal(serializeMonth(doc), BASELINE_WITH_NOTE);
+});
+
+test('a day parsed from a serialized day keeps its markup when nothing changed', () => {
+  const doc = parseMonth(BASELINE);
+  const [march3] = parseMonth(serializeMonth({ preamble: [], days: [doc.days[0]] })).days;
+  doc.days[0] = { ...march3, source: doc.days[0].source };
+
+  assert.equal(serializeMonth(doc), BASELINE);
+});
+
+// Text that breaks markup, attributes or CDATA sections when it isn't escaped
+const TRICKY = `Tom & Jerry's <b>"fix"</b> ]]> &amp; &#38;`;
+
+test('escaped text decodes to what was escaped', () => {
+  assert.equal(decodeEntities(escapeXml(TRICKY)), TRICKY);
+  assert.equal(decodeEntities(escapeAttr(TRICKY)), TRICKY);
+  assert.doesNotMatch(escapeAttr(TRICKY), /["'<>]/);
+  assert.equal(`<![CDATA[${escapeCdata(TRICKY)}]]>`.replace(/<!\[CDATA\[|\]\]>/g, ''), TRICKY);
+});
+
+test('user text survives a day being written and read back', () => {
+  const day = createDay(new Date(2026, 2, 4));
+  getSection(day, 'Todos').items.push({
+    type: 'todo', taskId: 1, checked: false, html: escapeXml(TRICKY), contextIds: [`ctx-"quoted"`], migration: null,
+    uid: `a"b'c`, created: '2026-03-04', carryCount: 0, due: null, priority: null, completedAt: null, reopenedAt: null, subtasks: []
+  });
+  getSection(day, 'Context').items.push({ type: 'context', id: 'ctx-<id>', html: `<p>${escapeXml(TRICKY)}</p>` });
+  getSection(day, 'References').items.push({
+    type: 'reference', id: 'ref-&-id', content: TRICKY, timestamp: '9:00 AM', parameters: { language: `x"y` }, sourceId: `src"id`
+  });
+  getSection(day, 'Notes').items.push({ type: 'note', timestamp: '9:05 AM', html: `<p>${escapeXml(TRICKY)}</p>` });
+
+  const parsed = parseDay(serializeDay(day));
+  const [todo] = getItems(parsed, 'Todos', 'todo');
+  const [context] = getItems(parsed, 'Context', 'context');
+  const [reference] = getItems(parsed, 'References', 'reference');
+  const [note] = getItems(parsed, 'Notes', 'note');
+
+  assert.equal(markupToText(todo.html), TRICKY);
+  assert.equal(todo.uid, `a"b'c`);
+  assert.deepEqual(todo.contextIds, [`ctx-"quoted"`]);
+  assert.equal(context.id, 'ctx-<id>');
+  assert.equal(markupToText(context.html), TRICKY);
+  assert.equal(reference.id, 'ref-&-id');
+  assert.equal(reference.content, TRICKY);
+  assert.deepEqual(reference.parameters, { language: `x"y` });
+  assert.equal(reference.sourceId, `src"id`);
+  assert.equal(markupToText(note.html), TRICKY);
+});
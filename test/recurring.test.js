@@ -0,0 +1,81 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// The config directory is resolved from the home directory when config.js loads
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'wdidt-recurring-'));
+const notesDirectory = path.join(home, 'notes');
+process.env.HOME = home;
+fs.mkdirSync(path.join(home, '.wdidt'));
+fs.mkdirSync(notesDirectory);
+fs.writeFileSync(path.join(home, '.wdidt', 'config.json'), JSON.stringify({ notesDirectory }), 'utf-8');
+
+const { parseSchedule, isRecurringTodoDue, loadRecurringTodos, saveRecurringTodos } = await import('../utils/recurring.js');
+
+after(() => fs.rmSync(home, { recursive: true, force: true }));
+
+test('schedules are stored in one form', () => {
+  assert.equal(parseSchedule('Daily'), 'daily');
+  assert.equal(parseSchedule('working days'), 'weekdays');
+  assert.equal(parseSchedule('every Monday'), 'monday');
+  assert.equal(parseSchedule('fridays'), 'friday');
+  assert.equal(parseSchedule('tue'), 'tuesday');
+  assert.equal(parseSchedule('monthly'), 'monthly:1');
+  assert.equal(parseSchedule('15th of the month'), 'monthly:15');
+  assert.throws(() => parseSchedule('32nd'), /Invalid schedule/);
+  assert.throws(() => parseSchedule('fortnightly'), /Invalid schedule/);
+});
+
+test('recurring todos are due on the days of their schedule', () => {
+  // Saturday, March 7 and Monday, March 9, 2026
+  const saturday = new Date(2026, 2, 7);
+  const monday = new Date(2026, 2, 9);
+
+  assert.equal(isRecurringTodoDue({ every: 'daily' }, saturday), true);
+  assert.equal(isRecurringTodoDue({ every: 'weekdays' }, saturday), false);
+  assert.equal(isRecurringTodoDue({ every: 'weekdays' }, monday), true);
+  assert.equal(isRecurringTodoDue({ every: 'weekdays' }, monday, { holidays: ['2026-03-09'] }), false);
+  assert.equal(isRecurringTodoDue({ every: 'monday' }, monday), true);
+  assert.equal(isRecurringTodoDue({ every: 'monday' }, saturday), false);
+  assert.equal(isRecurringTodoDue({ every: 'monthly:9' }, monday), true);
+});
+
+test('monthly todos on a day the month lacks fall on its last day', () => {
+  const todo = { every: 'monthly:31' };
+
+  assert.equal(isRecurringTodoDue(todo, new Date(2026, 1, 28)), true);
+  assert.equal(isRecurringTodoDue(todo, new Date(2026, 2, 30)), false);
+  assert.equal(isRecurringTodoDue(todo, new Date(2026, 2, 31)), true);
+});
+
+test('invalid definitions are skipped when loading and kept when saving', async () => {
+  const filePath = path.join(notesDirectory, 'recurring.json');
+  const valid = { id: 1, text: 'Weekly report', every: 'friday' };
+  const invalid = [
+    { id: 2, text: 'No schedule' },
+    { id: 3, text: 'Bad schedule', every: 'sometimes' },
+    { id: 4, text: 'Day 40', every: 'monthly:40' },
+    { id: 5, every: 'daily' },
+    'daily'
+  ];
+  fs.writeFileSync(filePath, JSON.stringify({ todos: [valid, ...invalid] }), 'utf-8');
+
+  const warn = console.warn;
+  const warnings = [];
+  console.warn = message => warnings.push(message);
+  let todos;
+  try {
+    todos = await loadRecurringTodos();
+  } finally {
+    console.warn = warn;
+  }
+
+  assert.deepEqual(todos, [valid]);
+  assert.equal(warnings.length, invalid.length);
+  assert.doesNotThrow(() => todos.forEach(todo => isRecurringTodoDue(todo, new Date())));
+
+  await saveRecurringTodos([]);
+  assert.deepEqual(JSON.parse(fs.readFileSync(filePath, 'utf-8')).todos, invalid);
+});
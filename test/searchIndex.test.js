@@ -0,0 +1,69 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// The config directory is resolved from the home directory when config.js loads
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'wdidt-search-'));
+const notesDirectory = path.join(home, 'notes');
+process.env.HOME = home;
+fs.mkdirSync(path.join(home, '.wdidt'));
+fs.mkdirSync(notesDirectory);
+fs.writeFileSync(path.join(home, '.wdidt', 'config.json'), JSON.stringify({ notesDirectory }), 'utf-8');
+
+fs.copyFileSync(new URL('./fixtures/baseline-2026-03-notes.html', import.meta.url), path.join(notesDirectory, '2026-03-notes.html'));
+fs.writeFileSync(path.join(notesDirectory, '2026-04-notes.html'), `<h2>Wednesday, April 1, 2026</h2>
+
+<h3>Todos</h3>
+<ac:task-list>
+<ac:task><ac:task-id>1</ac:task-id><ac:task-status>incomplete</ac:task-status><ac:task-body><span class="placeholder-inline-tasks">fix readtimeout in redis client</span></ac:task-body></ac:task>
+</ac:task-list>
+
+<hr>
+`, 'utf-8');
+
+const { searchIndex } = await import('../utils/searchIndex.js');
+const { parseMonth } = await import('../utils/notesModel.js');
+const { extractSearchEntries, matchesSearch } = await import('../utils/search.js');
+
+after(() => fs.rmSync(home, { recursive: true, force: true }));
+
+const files = fs.readdirSync(notesDirectory).filter(name => name.endsWith('-notes.html')).map(name => path.join(notesDirectory, name));
+
+/**
+ * Searches every notes file without the index
+ * @param {string[]} terms - Lowercase search terms
+ * @param {import('../utils/search.js').SearchFilters} [filters] - Type, date and status filters
+ * @returns {import('../utils/search.js').SearchEntry[]} Matching entries, newest first
+ */
+function fullScan(terms, filters) {
+  return [...files].sort().reverse()
+    .flatMap(file => extractSearchEntries(parseMonth(fs.readFileSync(file, 'utf-8'))))
+    .filter(entry => matchesSearch(entry, terms, filters));
+}
+
+test('the index finds text inside words', async () => {
+  assert.equal((await searchIndex(files, ['timeout'])).length, 1);
+  assert.equal((await searchIndex(files, ['edis'])).length, 1);
+});
+
+test('indexed results are the same as a full scan', async () => {
+  const searches = [['timeout'], ['edis'], ['redis client'], ['dis cli'], ['readtimeout in re'], ['fix', 'redis'],
+    ['note'], ['day two'], ['<care>'], ['& quick'], ['#42'], ['tame-smiles'], ['nowhere'], ['constructor']];
+
+  for (const terms of searches) {
+    assert.deepEqual(await searchIndex(files, terms), fullScan(terms), `search for ${terms.join(', ')}`);
+  }
+});
+
+test('filtered indexed results are the same as a full scan', async () => {
+  const filters = [{ type: 'todo' }, { type: 'context' }, { type: 'ref' }, { since: '2026-03-03' }, { since: '2026-04-01', type: 'todo' }, { done: true }];
+
+  for (const filter of filters) {
+    for (const terms of [[], ['o'], ['day']]) {
+      assert.deepEqual(await searchIndex(files, terms, filter), fullScan(terms, filter), `search for ${terms.join(', ')} with ${JSON.stringify(filter)}`);
+    }
+  }
+  assert.deepEqual((await searchIndex(files, [], { type: 'ref' })).map(entry => entry.id), ['light-builds-hawk', 'brave-hopes-arrow']);
+});
@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { summarizeTime, formatTimeCsv, formatDuration } from '../utils/timeLog.js';
+
+/**
+ * Builds a finished interval
+ * @param {string} todo - Key of the todo
+ * @param {string} text - The todo text
+ * @param {string[]} tags - The todo's tags
+ * @param {string} start - Local start time, YYYY-MM-DDTHH:MM
+ * @param {number} minutes - Length of the interval
+ * @returns {import('../utils/timeLog.js').TimeEntry} The interval
+ */
+function entry(todo, text, tags, start, minutes) {
+  const startTime = new Date(start);
+  return {
+    todo,
+    text,
+    tags,
+    day: start.slice(0, 10),
+    start: startTime.toISOString(),
+    end: new Date(startTime.getTime() + minutes * 60000).toISOString()
+  };
+}
+
+const ENTRIES = [
+  entry('a1', 'Review PR #work', ['work'], '2026-03-02T09:00', 30),
+  entry('b2', 'Write "docs", then ship #work #writing', ['work', 'writing'], '2026-03-02T10:00', 90),
+  entry('a1', 'Review PR again #work', ['work'], '2026-03-03T09:00', 45),
+  entry('c3', 'Call the bank', [], '2026-03-03T12:00', 15),
+  entry('c3', 'Call the bank', [], '2026-03-04T12:00', 60)
+];
+
+test('time is added up per todo and per tag within the range', () => {
+  const summary = summarizeTime(ENTRIES, '2026-03-02', '2026-03-03');
+
+  assert.equal(summary.minutes, 180);
+  assert.deepEqual(summary.todos, [
+    { name: 'Write "docs", then ship #work #writing', tags: ['work', 'writing'], minutes: 90 },
+    { name: 'Review PR again #work', tags: ['work'], minutes: 75 },
+    { name: 'Call the bank', tags: [], minutes: 15 }
+  ]);
+  assert.deepEqual(summary.tags, [
+    { name: '#work', tags: [], minutes: 165 },
+    { name: '#writing', tags: [], minutes: 90 },
+    { name: '(untagged)', tags: [], minutes: 15 }
+  ]);
+});
+
+test('timesheets are written as CSV with quoted fields', () => {
+  assert.equal(formatTimeCsv(summarizeTime(ENTRIES, '2026-03-02', '2026-03-03')), [
+    'type,name,tags,minutes,hours',
+    'todo,"Write ""docs"", then ship #work #writing",work writing,90,1.50',
+    'todo,Review PR again #work,work,75,1.25',
+    'todo,Call the bank,,15,0.25',
+    'tag,#work,,165,2.75',
+    'tag,#writing,,90,1.50',
+    'tag,(untagged),,15,0.25',
+    ''
+  ].join('\n'));
+  assert.equal(formatTimeCsv(summarizeTime([], '2026-03-02', '2026-03-03')), 'type,name,tags,minutes,hours\n');
+});
+
+test('durations are shown in hours and minutes', () => {
+  assert.equal(formatDuration(0), '0:00');
+  assert.equal(formatDuration(65.9), '1:05');
+  assert.equal(formatDuration(600), '10:00');
+});
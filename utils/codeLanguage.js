@@ -0,0 +1,164 @@
+/**
+ * @fileoverview Language detection and terminal syntax highlighting for code references
+ */
+
+import chalk from 'chalk';
+
+// Languages we detect and highlight; others given with --lang are stored as-is
+export const SUPPORTED_LANGUAGES = ['bash', 'sql', 'json', 'yaml', 'http'];
+
+const LANGUAGE_ALIASES = {
+  sh: 'bash',
+  shell: 'bash',
+  zsh: 'bash',
+  yml: 'yaml',
+  mysql: 'sql',
+  psql: 'sql',
+  postgres: 'sql'
+};
+
+const SHELL_COMMANDS = [
+  'awk', 'cat', 'cd', 'chmod', 'cp', 'curl', 'docker', 'echo', 'export', 'find', 'git', 'grep', 'helm',
+  'kubectl', 'ls', 'make', 'mkdir', 'mv', 'node', 'npm', 'npx', 'pip', 'python', 'rm', 'scp', 'sed',
+  'ssh', 'sudo', 'tail', 'tar', 'terraform', 'wget', 'yarn'
+];
+
+const SQL_KEYWORDS = [
+  'select', 'from', 'where', 'and', 'or', 'not', 'in', 'is', 'null', 'insert', 'into', 'values', 'update',
+  'set', 'delete', 'create', 'alter', 'drop', 'table', 'index', 'view', 'join', 'left', 'right', 'inner',
+  'outer', 'on', 'as', 'group', 'by', 'order', 'having', 'limit', 'offset', 'with', 'distinct', 'union',
+  'all', 'case', 'when', 'then', 'else', 'end', 'like', 'between', 'exists', 'asc', 'desc', 'returning'
+];
+
+const HTTP_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD', 'OPTIONS'];
+
+const STYLES = {
+  comment: chalk.gray,
+  string: chalk.green,
+  number: chalk.yellow,
+  keyword: chalk.magenta,
+  literal: chalk.magenta,
+  variable: chalk.cyan,
+  key: chalk.cyan,
+  method: chalk.bold.magenta
+};
+
+// Token rules per language, tried left to right; the patterns must not contain capture groups
+const RULES = {
+  bash: [
+    ['comment', /(?:^|\s)#(?!!).*$/],
+    ['string', /"(?:\\.|[^"\\])*"|'[^']*'/],
+    ['variable', /\$\{[^}]*\}|\$\w+/],
+    ['keyword', /\b(?:if|then|else|elif|fi|for|while|until|do|done|case|esac|function|export|local|return|in)\b/],
+    ['number', /\b\d+\b/]
+  ],
+  sql: [
+    ['comment', /--.*$/],
+    ['string', /'(?:''|[^'])*'/],
+    ['keyword', new RegExp(`\\b(?:${SQL_KEYWORDS.join('|')})\\b`, 'i')],
+    ['number', /\b\d+(?:\.\d+)?\b/]
+  ],
+  json: [
+    ['key', /"(?:\\.|[^"\\])*"(?=\s*:)/],
+    ['string', /"(?:\\.|[^"\\])*"/],
+    ['literal', /\b(?:true|false|null)\b/],
+    ['number', /-?\b\d+(?:\.\d+)?(?:[eE][+-]?\d+)?\b/]
+  ],
+  yaml: [
+    ['comment', /(?:^|\s)#.*$/],
+    ['key', /^\s*(?:-\s+)?[\w.-]+(?=:(?:\s|$))/],
+    ['string', /"(?:\\.|[^"\\])*"|'[^']*'/],
+    ['literal', /\b(?:true|false|null|yes|no)\b/],
+    ['number', /\b\d+(?:\.\d+)?\b/]
+  ],
+  http: [
+    ['method', new RegExp(`^(?:${HTTP_METHODS.join('|')})\\b`)],
+    ['keyword', /HTTP\/\d(?:\.\d)?/],
+    ['key', /^[\w-]+(?=:\s)/],
+    ['string', /"(?:\\.|[^"\\])*"/],
+    ['number', /\b\d+\b/]
+  ]
+};
+
+/**
+ * Normalizes a language name given by the user
+ * @param {string} language - The language name (e.g., "SQL", "yml")
+ * @returns {string|null} The Confluence language name, or null if the name isn't usable
+ */
+export function normalizeLanguage(language) {
+  const name = String(language).trim().toLowerCase();
+  if (!/^[a-z0-9#+-]+$/.test(name)) {
+    return null;
+  }
+  return LANGUAGE_ALIASES[name] || name;
+}
+
+/**
+ * Guesses the language of a code snippet
+ * @param {string} content - The snippet
+ * @returns {string|null} One of SUPPORTED_LANGUAGES, or null if unsure
+ */
+export function detectLanguage(content) {
+  const trimmed = content.trim();
+  if (!trimmed) {
+    return null;
+  }
+
+  const lines = trimmed.split('\n');
+  const firstLine = lines[0].trim();
+
+  if (/^[{[]/.test(trimmed)) {
+    try {
+      JSON.parse(trimmed);
+      return 'json';
+    } catch {
+      // Not JSON after all
+    }
+  }
+
+  if (new RegExp(`^(?:${HTTP_METHODS.join('|')}) \\S+(?: HTTP/\\d(?:\\.\\d)?)?$`).test(firstLine) || /^HTTP\/\d(?:\.\d)? \d{3}\b/.test(firstLine)) {
+    return 'http';
+  }
+
+  if (/^(?:select|insert|update|delete|create|alter|drop|with)\b/i.test(trimmed) && /\b(?:from|into|set|table|index|view|as)\b/i.test(trimmed)) {
+    return 'sql';
+  }
+
+  if (/^#!.*\b(?:ba|z)?sh\b/.test(firstLine) || /^\$ /.test(firstLine)) {
+    return 'bash';
+  }
+
+  const keyLines = lines.filter(line => /^\s*(?:-\s+)?[\w.-]+:(?:\s|$)/.test(line)).length;
+  if (firstLine === '---' || (keyLines >= 2 && keyLines >= lines.length / 2)) {
+    return 'yaml';
+  }
+
+  const command = firstLine.replace(/^sudo\s+/, '').split(/\s+/)[0];
+  if (SHELL_COMMANDS.includes(command)) {
+    return 'bash';
+  }
+
+  return null;
+}
+
+/**
+ * Highlights a code snippet for the terminal
+ * @param {string} content - The snippet
+ * @param {string|null} language - The snippet's language
+ * @returns {string[]} The snippet's lines with ANSI colors (unchanged for unknown languages)
+ */
+export function highlightCode(content, language) {
+  const lines = content.split('\n');
+  const rules = RULES[language];
+  if (!rules) {
+    return lines;
+  }
+
+  const flags = language === 'sql' ? 'gi' : 'g';
+  const pattern = new RegExp(rules.map(([, rule]) => `(${rule.source})`).join('|'), flags);
+
+  return lines.map(line => line.replace(pattern, (match, ...groups) => {
+    const ruleIdx = groups.slice(0, rules.length).findIndex(group => group !== undefined);
+    return ruleIdx === -1 ? match : STYLES[rules[ruleIdx][0]](match);
+  }));
+}
@@ -16,10 +16,21 @@ const CONFIG_FILE = path.join(CONFIG_DIR, 'config.json');
  * @property {string} parentPageId - Parent page ID under which notes will be created
  */
 
+/**
+ * @typedef {Object} CarryoverConfig
+ * @property {boolean} [skipNonWorkingDays] - Only carry over from working days in the calendar
+ * @property {boolean} [auto] - Carry open todos over automatically when a new day is started
+ * @property {string[]} [autoTags] - Only auto-carry todos tagged with one of these (e.g., ["work"])
+ * @property {number} [staleDays] - Days a todo can stay open before it is flagged as stale (default 7)
+ */
+
 /**
  * @typedef {Object} Config
  * @property {string} notesDirectory - The directory where notes are stored
  * @property {ConfluenceConfig} [confluence] - Confluence sync configuration
+ * @property {import('./dates.js').WorkCalendar} [calendar] - Working days and holidays
+ * @property {CarryoverConfig} [carryover] - Carryover preferences
+ * @property {import('./wordGenerator.js').IdWordsConfig} [ids] - Extra words for generated IDs
  */
 
 /**
@@ -0,0 +1,195 @@
+/**
+ * @fileoverview Date helpers for addressing day sections and monthly files
+ */
+
+const MONTH_NAMES = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+export const WEEKDAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+/**
+ * Returns a copy of the date set to local midnight
+ * @param {Date} date - The date to normalize
+ * @returns {Date} The start of that day
+ */
+export function startOfDay(date) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+/**
+ * Returns a new date offset by a number of days
+ * @param {Date} date - The base date
+ * @param {number} days - Number of days to add (negative to go back)
+ * @returns {Date} The offset date at local midnight
+ */
+export function addDays(date, days) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+/**
+ * Checks whether two dates fall on the same calendar day
+ * @param {Date} a - First date
+ * @param {Date} b - Second date
+ * @returns {boolean} True if both dates are the same day
+ */
+export function isSameDay(a, b) {
+  return a.getFullYear() === b.getFullYear() && a.getMonth() === b.getMonth() && a.getDate() === b.getDate();
+}
+
+/**
+ * Formats a date as YYYY-MM-DD
+ * @param {Date} date - The date to format
+ * @returns {string} ISO-style date string
+ */
+export function formatISODate(date) {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+}
+
+/**
+ * Formats a date and time as YYYY-MM-DDTHH:MM in local time
+ * @param {Date} date - The date to format
+ * @returns {string} ISO-style local date and time, to the minute
+ */
+export function formatISODateTime(date) {
+  const hours = String(date.getHours()).padStart(2, '0');
+  const minutes = String(date.getMinutes()).padStart(2, '0');
+  return `${formatISODate(date)}T${hours}:${minutes}`;
+}
+
+/**
+ * Gets the month of a date in YYYY-MM format
+ * @param {Date} date - The date
+ * @returns {string} Month string used in notes file names
+ */
+export function getMonthString(date) {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  return `${year}-${month}`;
+}
+
+/**
+ * Gets the long display string used in day headers (e.g., "Monday, November 3, 2025")
+ * @param {Date} date - The date
+ * @returns {string} Date in long format
+ */
+export function getDateString(date) {
+  const options = { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' };
+  return date.toLocaleDateString('en-US', options);
+}
+
+/**
+ * Parses a day header line (e.g., "<h2>Monday, November 3, 2025</h2>") into a date
+ * @param {string} line - A line from a notes file
+ * @returns {Date|null} The date of the header or null if the line is not a day header
+ */
+export function parseDayHeader(line) {
+  const match = line.match(/^<h2>(.*)<\/h2>$/);
+  return match ? parseDayTitle(match[1]) : null;
+}
+
+/**
+ * Parses the text of a day header (e.g., "Monday, November 3, 2025") into a date
+ * @param {string} title - The header text, without tags
+ * @returns {Date|null} The date of the header or null if the text is not a day title
+ */
+export function parseDayTitle(title) {
+  const match = title.trim().replace(/\s+/g, ' ').match(/^(?:[A-Za-z]+, )?([A-Za-z]+) (\d{1,2}), (\d{4})$/);
+  if (!match) {
+    return null;
+  }
+
+  const monthIdx = MONTH_NAMES.indexOf(match[1]);
+  if (monthIdx === -1) {
+    return null;
+  }
+
+  return new Date(parseInt(match[3], 10), monthIdx, parseInt(match[2], 10));
+}
+
+/**
+ * @typedef {Object} ParseDateOptions
+ * @property {Date} [now] - Reference date (defaults to today)
+ * @property {boolean} [preferFuture] - Resolve weekday names to the next such day instead of the previous one
+ */
+
+/**
+ * Parses user date input into a date at local midnight
+ * Accepts YYYY-MM-DD, "today", "yesterday", "tomorrow" and weekday names
+ * (full or three-letter), which resolve to the most recent such day before today
+ * unless preferFuture is set
+ * @param {string} input - The user-supplied date
+ * @param {ParseDateOptions} [options] - Parsing options
+ * @returns {Date} The parsed date
+ * @throws {Error} If the input cannot be parsed
+ */
+export function parseDateInput(input, options = {}) {
+  const value = String(input).trim().toLowerCase();
+  const today = startOfDay(options.now || new Date());
+
+  if (value === 'today') return today;
+  if (value === 'yesterday') return addDays(today, -1);
+  if (value === 'tomorrow') return addDays(today, 1);
+
+  const isoMatch = value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (isoMatch) {
+    const year = parseInt(isoMatch[1], 10);
+    const month = parseInt(isoMatch[2], 10) - 1;
+    const day = parseInt(isoMatch[3], 10);
+    const date = new Date(year, month, day);
+
+    // Reject rollovers such as 2025-02-30
+    if (date.getFullYear() !== year || date.getMonth() !== month || date.getDate() !== day) {
+      throw new Error(`Invalid date: ${input}`);
+    }
+    return date;
+  }
+
+  const weekdayIdx = WEEKDAY_NAMES.findIndex(name => name === value || (value.length >= 3 && name.startsWith(value)));
+  if (weekdayIdx !== -1) {
+    if (options.preferFuture) {
+      return addDays(today, (weekdayIdx - today.getDay() + 7) % 7 || 7);
+    }
+    return addDays(today, -((today.getDay() - weekdayIdx + 7) % 7 || 7));
+  }
+
+  throw new Error(`Invalid date: ${input} (use YYYY-MM-DD, today, yesterday or a weekday name)`);
+}
+
+/**
+ * @typedef {Object} WorkCalendar
+ * @property {string[]} [workingDays] - Weekday names that count as working days (defaults to Monday-Friday)
+ * @property {string[]} [holidays] - Non-working dates in YYYY-MM-DD format
+ */
+
+/**
+ * Checks whether a date is a working day according to a calendar
+ * @param {Date} date - The date to check
+ * @param {WorkCalendar} [calendar] - The work calendar (defaults to Monday-Friday, no holidays)
+ * @returns {boolean} True if the date is a working day
+ */
+export function isWorkingDay(date, calendar = {}) {
+  const workingDays = (calendar.workingDays || WEEKDAY_NAMES.slice(1, 6)).map(day => day.toLowerCase());
+  const holidays = calendar.holidays || [];
+
+  if (!workingDays.includes(WEEKDAY_NAMES[date.getDay()])) {
+    return false;
+  }
+
+  return !holidays.includes(formatISODate(date));
+}
+
+/**
+ * Counts whole calendar days from one date to another
+ * @param {Date} from - The earlier date
+ * @param {Date} to - The later date
+ * @returns {number} Number of days (negative if `to` is before `from`)
+ */
+export function daysBetween(from, to) {
+  // Round to absorb DST shifts between the two midnights
+  return Math.round((startOfDay(to).getTime() - startOfDay(from).getTime()) / 86400000);
+}
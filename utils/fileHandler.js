@@ -1,32 +1,88 @@
 import fs from 'fs';
 import path from 'path';
+import crypto from 'crypto';
 import { getConfig } from './config.js';
 import { glob } from 'glob';
+import chalk from 'chalk';
+import { getDateString, getMonthString, startOfDay, isSameDay, isWorkingDay, formatISODate, formatISODateTime } from './dates.js';
+import { updateSearchIndexForFile } from './searchIndex.js';
+import { getRecurringTodosDue } from './recurring.js';
+import { parseMonth, serializeMonth, parseDay, serializeDay, parseItems, createDay, getSection, getItems, flattenTodos, escapeXml, markupToText } from './notesModel.js';
+
+/** @typedef {import('./notesModel.js').MonthDocument} MonthDocument */
+/** @typedef {import('./notesModel.js').DayNode} DayNode */
+/** @typedef {import('./notesModel.js').TodoNode} TodoNode */
+/** @typedef {import('./notesModel.js').SectionItem} SectionItem */
+
+/**
+ * @typedef {Object} TodoMigration
+ * @property {'carried'|'deferred'|'moved'|'backlog'|'dropped'} action - What happened to the todo
+ * @property {string|null} target - The YYYY-MM-DD day the todo moved to, if any
+ */
 
 /**
  * @typedef {Object} TodoItem
  * @property {boolean} checked - Whether the todo is checked
- * @property {string} text - The todo text
- * @property {number} lineNumber - The line number in the section
+ * @property {string} text - The todo text as plain text
+ * @property {string} html - The todo text as stored (inline markup)
+ * @property {number} index - Position of the todo in the day's task list, or among its parent's subtasks
+ * @property {number[]} path - Positions from the day's task list down to the todo ([index] for top-level todos)
  * @property {string[]} contextIds - Array of context IDs linked to this todo
+ * @property {string} todoId - The todo ID (e.g., "todo-3")
+ * @property {TodoMigration|null} migration - Set when the todo was moved off this day
+ * @property {string|null} uid - Stable identity that survives carryover (null for legacy todos)
+ * @property {string|null} created - YYYY-MM-DD day the todo was first added
+ * @property {number} carryCount - How many times the todo has been moved to another day
+ * @property {string|null} due - YYYY-MM-DD due date
+ * @property {number|null} priority - Priority from 1 (highest) to 3
+ * @property {string[]} tags - Lowercase #tags in the todo text, without the #
+ * @property {string|null} completedAt - YYYY-MM-DDTHH:MM local time the todo was last checked off
+ * @property {string|null} reopenedAt - YYYY-MM-DDTHH:MM local time the todo was last reopened
+ * @property {TodoItem[]} subtasks - The todo's subtasks
  */
 
 /**
- * @typedef {Object} TodaySection
- * @property {number} startIdx - Starting line index
- * @property {number} endIdx - Ending line index
+ * @typedef {Object} TodoIdentity
+ * @property {string} [uid] - Stable identity that survives carryover
+ * @property {string} [created] - YYYY-MM-DD day the todo was first added
+ * @property {number} [carryCount] - How many times the todo has been moved to another day
+ */
+
+const BACKLOG_FILE_NAME = 'backlog.html';
+const CARRYOVER_STATE_FILE_NAME = '.wdidt-carryover.json';
+
+// Summary of the last automatic carryover and recurring todos, kept for interactive managers that clear the screen
+let autoCarryoverSummary = null;
+
+// Set while carryover decisions are written, so creating a target day can't trigger auto carryover
+let applyingCarryover = false;
+
+/**
+ * @typedef {Object} DaySection
+ * @property {Date} date - The day of the section
  * @property {string} content - The section content
  */
 
+/**
+ * @typedef {Object} PreviousDaySection
+ * @property {Date} date - The day of the section
+ * @property {string} content - The section content
+ * @property {string} filePath - The monthly notes file holding the section
+ */
+
+/**
+ * @typedef {Object} CarryoverDecision
+ * @property {TodoItem} todo - The open todo from the previous day
+ * @property {'carried'|'skipped'|'deferred'|'moved'|'backlog'|'dropped'} action - What to do with it
+ * @property {Date|null} target - The day a deferred or moved todo goes to
+ */
+
 /**
  * Gets the current month in YYYY-MM format
  * @returns {string} Current month string
  */
 export function getCurrentMonthString() {
-  const today = new Date();
-  const year = today.getFullYear();
-  const month = String(today.getMonth() + 1).padStart(2, '0');
-  return `${year}-${month}`;
+  return getMonthString(new Date());
 }
 
 /**
@@ -40,12 +96,13 @@ export function getMonthYearDisplay() {
 }
 
 /**
- * Gets the path to the notes file for the current month
- * @returns {Promise<string>} The path to the current month's notes file
+ * Gets the path to the monthly notes file containing a date
+ * @param {Date} [date] - The date (defaults to today)
+ * @returns {Promise<string>} The path to that month's notes file
  */
-export async function getNotesFilePath() {
+export async function getNotesFilePath(date = new Date()) {
   const config = await getConfig();
-  const monthString = getCurrentMonthString();
+  const monthString = getMonthString(date);
   return path.join(config.notesDirectory, `${monthString}-notes.html`);
 }
 
@@ -65,22 +122,21 @@ export async function ensureNotesDir() {
  * @returns {string} Today's date in long format
  */
 export function getTodayString() {
-  const today = new Date();
-  const options = { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' };
-  return today.toLocaleDateString('en-US', options);
+  return getDateString(new Date());
 }
 
 /**
- * Reads the notes file for the current month
+ * Reads the monthly notes file containing a date
+ * @param {Date} [date] - The date (defaults to today)
  * @returns {Promise<string>} The content of the notes file
  */
-export async function readNotesFile() {
+export async function readNotesFile(date = new Date()) {
   await ensureNotesDir();
-  const notesFile = await getNotesFilePath();
+  const notesFile = await getNotesFilePath(date);
 
   if (!fs.existsSync(notesFile)) {
     // Create new monthly file (empty)
-    await writeNotesFile('');
+    await writeNotesFile(parseMonth(''), date);
     return '';
   }
 
@@ -88,227 +144,514 @@ export async function readNotesFile() {
 }
 
 /**
- * Writes content to the notes file
- * @param {string} content - The content to write
+ * Writes the monthly notes file containing a date and updates the search index
+ * @param {MonthDocument} doc - The parsed notes file to write
+ * @param {Date} [date] - The date (defaults to today)
  * @returns {Promise<void>}
  */
-export async function writeNotesFile(content) {
+export async function writeNotesFile(doc, date = new Date()) {
   await ensureNotesDir();
-  const notesFile = await getNotesFilePath();
+  const notesFile = await getNotesFilePath(date);
+  const content = serializeMonth(doc);
   fs.writeFileSync(notesFile, content, 'utf-8');
+  await updateSearchIndexForFile(notesFile, content, doc);
+}
+
+/**
+ * Inserts a day into a document, keeping days in descending order
+ * @param {MonthDocument} doc - The parsed notes file
+ * @param {DayNode} day - The day to insert
+ * @returns {void}
+ */
+function insertDay(doc, day) {
+  const target = startOfDay(day.date).getTime();
+  const insertIdx = doc.days.findIndex(other => other.date && other.date.getTime() < target);
+  doc.days.splice(insertIdx === -1 ? doc.days.length : insertIdx, 0, day);
+}
+
+/**
+ * Finds a day in a document
+ * @param {MonthDocument} doc - The parsed notes file
+ * @param {Date} date - The day to look for
+ * @returns {DayNode|null} The day or null if not found
+ */
+function findDay(doc, date) {
+  return doc.days.find(day => day.date && isSameDay(day.date, date)) || null;
+}
+
+/**
+ * Parses a day section, applies an update to it and serializes the result
+ * @param {string} sectionContent - The section content
+ * @param {(day: DayNode) => void} update - Mutates the parsed day
+ * @returns {string} The updated section content
+ */
+function updateDay(sectionContent, update) {
+  const day = parseDay(sectionContent);
+  if (!day) {
+    return sectionContent;
+  }
+  update(day);
+  return serializeDay(day);
+}
+
+/**
+ * Gets a day's section from the notes content
+ * @param {string} content - The full notes file content
+ * @param {Date} date - The day to look for
+ * @returns {DaySection|null} The day section or null if not found
+ */
+export function getDaySection(content, date) {
+  const day = findDay(parseMonth(content), date);
+  return day ? { date: day.date, content: serializeDay(day) } : null;
 }
 
 /**
  * Gets today's section from the notes content
  * @param {string} content - The full notes file content
- * @returns {TodaySection|null} The today section or null if not found
+ * @returns {DaySection|null} The today section or null if not found
  */
 export function getTodaySection(content) {
-  const today = getTodayString();
-  const todayHeaderRegex = new RegExp(`^<h2>${today.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}</h2>$`, 'm');
+  return getDaySection(content, new Date());
+}
 
-  if (!todayHeaderRegex.test(content)) {
-    return null;
+/**
+ * Gets the section of the most recent day before a date from the notes content
+ * @param {string} content - The full notes file content
+ * @param {Date} [date] - The reference day (defaults to today)
+ * @returns {DaySection|null} The previous day section or null if not found
+ */
+export function getPreviousDaySection(content, date = new Date()) {
+  const target = startOfDay(date).getTime();
+
+  // Days are stored newest first, so the first older day is the previous day
+  const day = parseMonth(content).days.find(other => other.date && other.date.getTime() < target);
+  return day ? { date: day.date, content: serializeDay(day) } : null;
+}
+
+/**
+ * Finds the most recent day section before a date, searching back through
+ * earlier monthly files when the date's own month has no older day
+ * @param {Date} [date] - The reference day (defaults to today)
+ * @param {(day: Date) => boolean} [accept] - Filter for candidate days (e.g. working days only)
+ * @returns {Promise<PreviousDaySection|null>} The previous day section or null if not found
+ */
+export async function findPreviousDaySection(date = new Date(), accept = () => true) {
+  const target = startOfDay(date).getTime();
+  const monthString = getMonthString(date);
+
+  // Monthly file names sort chronologically, so walk them newest first
+  const files = (await getAllMonthlyNotesFiles())
+    .filter(file => {
+      const match = path.basename(file).match(/^(\d{4}-\d{2})-notes\.html$/);
+      return match && match[1] <= monthString;
+    })
+    .sort()
+    .reverse();
+
+  for (const filePath of files) {
+    const doc = parseMonth(fs.readFileSync(filePath, 'utf-8'));
+    const day = doc.days.find(other => other.date && other.date.getTime() < target && accept(other.date));
+    if (day) {
+      return { date: day.date, content: serializeDay(day), filePath };
+    }
   }
 
-  const lines = content.split('\n');
-  let startIdx = -1;
-  let endIdx = lines.length;
+  return null;
+}
 
-  for (let i = 0; i < lines.length; i++) {
-    if (lines[i] === `<h2>${today}</h2>`) {
-      startIdx = i;
-    } else if (startIdx !== -1 && (lines[i].startsWith('<h2>') || lines[i].startsWith('<hr')) && i > startIdx) {
-      endIdx = i;
-      break;
+/**
+ * Finds the nearest day before or after a date that has any todos, context, references or notes
+ * Searches across monthly files
+ * @param {Date} date - The day to start from
+ * @param {-1|1} direction - -1 for the previous day, 1 for the next day
+ * @returns {Promise<Date|null>} The day, or null if there is none in that direction
+ */
+export async function findAdjacentDayWithContent(date, direction) {
+  const target = startOfDay(date).getTime();
+  const monthString = getMonthString(date);
+
+  const files = (await getAllMonthlyNotesFiles())
+    .filter(file => {
+      const match = path.basename(file).match(/^(\d{4}-\d{2})-notes\.html$/);
+      return match && (direction < 0 ? match[1] <= monthString : match[1] >= monthString);
+    })
+    .sort();
+  if (direction < 0) files.reverse();
+
+  for (const filePath of files) {
+    const days = parseMonth(fs.readFileSync(filePath, 'utf-8')).days
+      .filter(day => day.date && (day.date.getTime() - target) * direction > 0)
+      .filter(day => day.sections.some(section => section.items.some(item => item.type !== 'raw')))
+      .sort((a, b) => (a.date.getTime() - b.date.getTime()) * direction);
+    if (days.length > 0) {
+      return days[0].date;
     }
   }
 
-  if (startIdx === -1) return null;
+  return null;
+}
 
-  return {
-    startIdx,
-    endIdx,
-    content: lines.slice(startIdx, endIdx).join('\n')
+/**
+ * Finds the day todos should be carried over from, honouring the calendar settings
+ * @param {Date} date - The day being carried into
+ * @param {boolean} [workingDays] - Only consider working days (defaults to the config setting)
+ * @returns {Promise<PreviousDaySection|null>} The previous day section or null if not found
+ */
+export async function findCarryoverSourceDay(date, workingDays) {
+  const config = await getConfig();
+  const skipNonWorkingDays = workingDays !== undefined
+    ? workingDays
+    : Boolean(config.carryover && config.carryover.skipNonWorkingDays);
+  const calendar = config.calendar || {};
+
+  return findPreviousDaySection(date, skipNonWorkingDays ? (day) => isWorkingDay(day, calendar) : undefined);
+}
+
+/**
+ * Applies carryover decisions: copies todos to their new day or the backlog,
+ * then marks each moved todo as migrated on its original day
+ * Todos whose destination already has a todo with the same text are left open where they are
+ * @param {CarryoverDecision[]} decisions - The decisions to apply
+ * @param {PreviousDaySection} previousDaySection - The day the todos come from
+ * @param {Date} targetDay - The day being carried into
+ * @returns {Promise<TodoItem[]>} The todos left open because their destination already has them
+ */
+export async function applyCarryoverDecisions(decisions, previousDaySection, targetDay) {
+  applyingCarryover = true;
+  try {
+    return await writeCarryoverDecisions(decisions, previousDaySection, targetDay);
+  } finally {
+    applyingCarryover = false;
+  }
+}
+
+/**
+ * Writes carryover decisions to their target days, the backlog and the original day
+ * @param {CarryoverDecision[]} decisions - The decisions to apply
+ * @param {PreviousDaySection} previousDaySection - The day the todos come from
+ * @param {Date} targetDay - The day being carried into
+ * @returns {Promise<TodoItem[]>} The todos left open because their destination already has them
+ */
+async function writeCarryoverDecisions(decisions, previousDaySection, targetDay) {
+  const sourceContent = previousDaySection.content;
+  const duplicates = [];
+  const append = (sectionContent, todos) => {
+    const found = findDuplicateTodos(sectionContent, todos);
+    duplicates.push(...found);
+    return appendTodosToSection(sectionContent, todos.filter(todo => !found.includes(todo)), sourceContent);
   };
+
+  const carried = decisions.filter(d => d.action === 'carried').map(d => d.todo);
+  if (carried.length > 0) {
+    const section = await initializeDaySection(targetDay);
+    await replaceDaySection(targetDay, append(section, carried));
+  }
+
+  for (const decision of decisions.filter(d => d.action === 'deferred' || d.action === 'moved')) {
+    const section = await initializeDaySection(decision.target);
+    await replaceDaySection(decision.target, append(section, [decision.todo]));
+  }
+
+  const backlogged = decisions.filter(d => d.action === 'backlog').map(d => d.todo);
+  if (backlogged.length > 0) {
+    const backlog = await readBacklog();
+    await writeBacklog(append(backlog, backlogged));
+  }
+
+  // Record on the original day where each todo went; skipped todos, and those that weren't copied, stay open
+  let updatedSource = sourceContent;
+  for (const decision of decisions) {
+    if (decision.action === 'skipped' || duplicates.includes(decision.todo)) continue;
+    const target = decision.action === 'carried' ? targetDay : decision.target;
+    updatedSource = markTodoMigrated(updatedSource, decision.todo.index, decision.action, target ? formatISODate(target) : null);
+  }
+
+  if (updatedSource !== sourceContent) {
+    await replaceDaySection(previousDaySection.date, updatedSource);
+  }
+
+  return duplicates;
 }
 
 /**
- * Gets the previous day's section from the notes content
- * @param {string} content - The full notes file content
- * @returns {TodaySection|null} The previous day section or null if not found
- */
-export function getPreviousDaySection(content) {
-  const lines = content.split('\n');
-  const today = getTodayString();
-  let todayIdx = -1;
-  let previousDayStartIdx = -1;
-  let previousDayEndIdx = lines.length;
-
-  // First find today's section
-  for (let i = 0; i < lines.length; i++) {
-    if (lines[i] === `<h2>${today}</h2>`) {
-      todayIdx = i;
-      break;
-    }
+ * Moves a todo to another day or to the backlog, along with the context blocks it links to
+ * The todo is closed on its original day with a marker recording where it went
+ * @param {TodoItem} todo - The todo to move
+ * @param {string} sectionContent - The section holding the todo
+ * @param {Date|undefined} date - The day holding the todo (defaults to today)
+ * @param {Date|'backlog'} target - The day to move the todo to, or 'backlog'
+ * @returns {Promise<boolean>} True if the todo was moved, false if the target already has a todo with the same text
+ */
+export async function moveTodo(todo, sectionContent, date, target) {
+  const decision = target === 'backlog'
+    ? { todo, action: 'backlog', target: null }
+    : { todo, action: 'moved', target: startOfDay(target) };
+
+  const kept = await applyCarryoverDecisions([decision], { date: startOfDay(date || new Date()), content: sectionContent }, decision.target);
+  return kept.length === 0;
+}
+
+/**
+ * Carries the previous day's open todos into today when auto carryover is enabled
+ * Runs once per day, the first time today is touched, whether or not its section was created earlier
+ * (e.g. by moving a todo to it). Only todos tagged with one of carryover.autoTags are carried when that list is set
+ * @param {Date} date - Today
+ * @returns {Promise<boolean>} True if any todos were carried
+ */
+async function autoCarryover(date) {
+  const config = await getConfig();
+  const settings = config.carryover || {};
+
+  if (!settings.auto || applyingCarryover) {
+    return false;
   }
 
-  if (todayIdx === -1) {
-    // If today doesn't exist, the first section is the previous day
-    for (let i = 0; i < lines.length; i++) {
-      if (lines[i].startsWith('<h2>')) {
-        previousDayStartIdx = i;
-        break;
-      }
-    }
-  } else {
-    // Find the next h2 after today (that's the previous day)
-    for (let i = todayIdx + 1; i < lines.length; i++) {
-      if (lines[i].startsWith('<hr')) {
-        continue; // Skip the HR separator
-      }
-      if (lines[i].startsWith('<h2>')) {
-        previousDayStartIdx = i;
-        break;
-      }
-    }
+  const statePath = path.join(config.notesDirectory, CARRYOVER_STATE_FILE_NAME);
+  const day = formatISODate(date);
+  if (readCarryoverState(statePath).lastAutoCarryover === day) {
+    return false;
   }
+  // Recorded up front, so a failed or empty carryover isn't retried by every later command
+  fs.writeFileSync(statePath, JSON.stringify({ lastAutoCarryover: day }, null, 2), 'utf-8');
 
-  if (previousDayStartIdx === -1) {
-    return null; // No previous day found
+  const previousDaySection = await findCarryoverSourceDay(date);
+  if (!previousDaySection) {
+    return false;
   }
 
-  // Find the end of the previous day section
-  for (let i = previousDayStartIdx + 1; i < lines.length; i++) {
-    if (lines[i].startsWith('<h2>') || lines[i].startsWith('<hr')) {
-      previousDayEndIdx = i;
-      break;
-    }
+  const tags = (settings.autoTags || []).map(tag => tag.replace(/^#/, '').toLowerCase());
+  const todos = extractTodos(previousDaySection.content)
+    .filter(todo => !todo.checked)
+    .filter(todo => tags.length === 0 || tags.some(tag => hasTag(todo.text, tag)));
+
+  if (todos.length === 0) {
+    return false;
   }
 
-  return {
-    startIdx: previousDayStartIdx,
-    endIdx: previousDayEndIdx,
-    content: lines.slice(previousDayStartIdx, previousDayEndIdx).join('\n')
-  };
+  const kept = await applyCarryoverDecisions(todos.map(todo => ({ todo, action: 'carried', target: null })), previousDaySection, date);
+  const carried = todos.length - kept.length;
+
+  autoCarryoverSummary = `↪ Auto-carried ${carried} todo${carried !== 1 ? 's' : ''} from ${getDateString(previousDaySection.date)}`
+    + (kept.length > 0 ? `, left ${kept.length} open there that today already has` : '');
+  console.log(chalk.gray(autoCarryoverSummary));
+  return carried > 0;
 }
 
 /**
- * Initializes today's section in the notes file
- * @returns {Promise<string>} The today section content
+ * Reads the auto carryover marker
+ * @param {string} statePath - Path of the marker file
+ * @returns {{lastAutoCarryover?: string}} The marker, empty if it is missing or unreadable
  */
-export async function initializeTodaySection() {
-  const content = await readNotesFile();
-  const today = getTodayString();
+function readCarryoverState(statePath) {
+  try {
+    return JSON.parse(fs.readFileSync(statePath, 'utf-8')) || {};
+  } catch {
+    return {};
+  }
+}
 
-  const todaySection = getTodaySection(content);
+/**
+ * Checks whether text contains a #tag (case-insensitive)
+ * @param {string} text - The text to check
+ * @param {string} tag - The tag without the leading #
+ * @returns {boolean} True if the tag is present
+ */
+function hasTag(text, tag) {
+  return extractTags(text).includes(tag);
+}
 
-  if (!todaySection) {
-    const newSection = `<h2>${today}</h2>\n\n<h3>Todos</h3>\n<ac:task-list>\n</ac:task-list>\n\n<h3>Context</h3>\n\n<h3>References</h3>\n\n<h3>Notes</h3>\n<p></p>\n\n`;
+/**
+ * Finds the #tags in text
+ * @param {string} text - The text to search
+ * @returns {string[]} Lowercase tags without the leading #, each listed once
+ */
+export function extractTags(text) {
+  return [...new Set((text.match(/#[\w-]+/g) || []).map(found => found.slice(1).toLowerCase()))];
+}
 
-    if (content.trim()) {
-      // Insert new section at the top with HR separator
-      await writeNotesFile(newSection + '<hr>\n\n' + content);
-    } else {
-      // New file, just write the section (no HR needed)
-      await writeNotesFile(newSection);
-    }
+/**
+ * Appends #tags to text, skipping tags it already has
+ * @param {string} text - The text
+ * @param {string[]} tags - Tags without the leading #
+ * @returns {string} The text with the new tags at the end
+ */
+export function addTagsToText(text, tags) {
+  const existing = extractTags(text);
+  const newTags = [...new Set(tags.map(tag => tag.toLowerCase()))].filter(tag => !existing.includes(tag));
+  return newTags.length > 0 ? `${text.trim()} ${newTags.map(tag => `#${tag}`).join(' ')}` : text;
+}
+
+/**
+ * Returns and clears the summary of the last automatic carryover
+ * Interactive managers use this to show the summary after clearing the screen
+ * @returns {string|null} The summary or null if nothing was carried
+ */
+export function takeAutoCarryoverSummary() {
+  const summary = autoCarryoverSummary;
+  autoCarryoverSummary = null;
+  return summary;
+}
 
-    return newSection;
+/**
+ * Reads a day's section without writing anything, for browsing days that may not exist yet
+ * Today's section is still initialized so auto carryover runs as usual
+ * @param {Date} [date] - The day (defaults to today)
+ * @returns {Promise<string>} The day section content (an empty day if it doesn't exist)
+ */
+export async function readDaySection(date = new Date()) {
+  if (isSameDay(date, new Date())) {
+    return initializeDaySection(date);
   }
 
-  return todaySection.content;
+  const notesFile = await getNotesFilePath(date);
+  const existing = fs.existsSync(notesFile) ? findDay(parseMonth(fs.readFileSync(notesFile, 'utf-8')), date) : null;
+  return serializeDay(existing || createDay(startOfDay(date)));
 }
 
 /**
- * Extracts todos from a section content
- * @param {string} sectionContent - The section content to extract todos from
- * @returns {TodoItem[]} Array of todo items
+ * Initializes a day's section in its monthly notes file
+ * The first call for today runs auto carryover when it is enabled in the config, even if the section exists;
+ * creating today's or a future section then adds the recurring todos due that day
+ * @param {Date} [date] - The day (defaults to today)
+ * @returns {Promise<string>} The day section content
  */
-export function extractTodos(sectionContent) {
-  const lines = sectionContent.split('\n');
-  const todos = [];
-  let inTodoSection = false;
+export async function initializeDaySection(date = new Date()) {
+  const doc = parseMonth(await readNotesFile(date));
+  const existing = findDay(doc, date);
 
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i];
+  const isToday = isSameDay(date, new Date());
 
-    if (line === '<h3>Todos</h3>') {
-      inTodoSection = true;
-      continue;
+  if (existing) {
+    if (isToday && await autoCarryover(date)) {
+      return getDaySection(await readNotesFile(date), date).content;
     }
+    return serializeDay(existing);
+  }
 
-    if (line.startsWith('<h3>') && line !== '<h3>Todos</h3>') {
-      inTodoSection = false;
-    }
+  const day = createDay(startOfDay(date));
+  insertDay(doc, day);
+  await writeNotesFile(doc, date);
 
-    if (inTodoSection && line.trim()) {
-      // Match Confluence ac:task format
-      const todoMatch = line.match(/<ac:task><ac:task-id>(\d+)<\/ac:task-id><ac:task-status>(complete|incomplete)<\/ac:task-status><ac:task-body>(.+?)<\/ac:task-body><\/ac:task>/);
-      if (todoMatch) {
-        const todoId = `todo-${todoMatch[1]}`;
-        const checked = todoMatch[2] === 'complete';
-        let text = todoMatch[3];
-        const contextIds = [];
-
-        // Extract all context links
-        const anchorMatches = text.matchAll(/<a href="#context-([^"]+)"[^>]*>📎 [^<]+<\/a>/g);
-        for (const match of anchorMatches) {
-          contextIds.push(match[1]);
-        }
+  const carried = isToday && await autoCarryover(date);
+  // Days started ahead of time (e.g. a todo moved to Friday) get their recurring todos too
+  const added = startOfDay(date) >= startOfDay(new Date())
+    ? await addRecurringTodos(date, await getRecurringTodosDue(date))
+    : 0;
 
-        // Remove all context links and span tags from the text
-        text = text.replace(/<span[^>]*>/g, '').replace(/<\/span>/g, '');
-        text = text.replace(/\s*<a href="#context-[^"]+"[^>]*>📎 [^<]+<\/a>/g, '').trim();
+  if (carried || added > 0) {
+    const updated = getDaySection(await readNotesFile(date), date);
+    return updated ? updated.content : serializeDay(day);
+  }
 
-        todos.push({
-          checked: checked,
-          text: text,
-          lineNumber: i,
-          contextIds: contextIds,
-          todoId: todoId
-        });
-      }
-    }
+  return serializeDay(day);
+}
+
+/**
+ * Adds recurring todos to a day, skipping any the day already has (e.g. carried over)
+ * @param {Date} date - The day
+ * @param {import('./recurring.js').RecurringTodo[]} recurringTodos - The definitions due that day
+ * @returns {Promise<number>} How many todos were added
+ */
+export async function addRecurringTodos(date, recurringTodos) {
+  if (recurringTodos.length === 0) {
+    return 0;
   }
 
-  return todos;
+  let section = await initializeDaySection(date);
+  const existing = extractTodos(section).map(todo => todo.text.toLowerCase());
+  const missing = recurringTodos.filter(todo => !existing.includes(todo.text.replace(/\s+/g, ' ').trim().toLowerCase()));
+
+  for (const todo of missing) {
+    section = addTodoToSection(section, todo.text, {
+      identity: createTodoIdentity(date),
+      priority: todo.priority || null
+    });
+  }
+
+  if (missing.length > 0) {
+    await replaceDaySection(date, section);
+    const summary = `↻ Added ${missing.length} recurring todo${missing.length > 1 ? 's' : ''}`;
+    autoCarryoverSummary = autoCarryoverSummary ? `${autoCarryoverSummary}  ${summary}` : summary;
+    console.log(chalk.gray(summary));
+  }
+
+  return missing.length;
 }
 
 /**
- * Gets the next available todo ID number
- * @param {string} sectionContent - The section content
- * @returns {number} The next available todo ID number
+ * Splits a monthly notes file into its day sections, newest first
+ * @param {string} content - The full notes file content
+ * @returns {Array<{date: Date, content: string}>} The day sections in file order
  */
-export function getNextTodoId(sectionContent) {
-  const lines = sectionContent.split('\n');
-  let maxId = 0;
-  let inTodoSection = false;
+export function getAllDaySections(content) {
+  return parseMonth(content).days
+    .filter(day => day.date)
+    .map(day => ({ date: day.date, content: serializeDay(day) }));
+}
 
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i];
+/**
+ * Initializes today's section in the notes file
+ * @returns {Promise<string>} The today section content
+ */
+export async function initializeTodaySection() {
+  return initializeDaySection(new Date());
+}
 
-    if (line === '<h3>Todos</h3>') {
-      inTodoSection = true;
-      continue;
-    }
+/**
+ * Converts a parsed todo and its subtasks into the shape used by commands
+ * @param {TodoNode} todo - The parsed todo
+ * @param {number[]} path - Positions from the day's task list down to the todo
+ * @returns {TodoItem} The todo item
+ */
+function toTodoItem(todo, path) {
+  return {
+    checked: todo.checked,
+    text: markupToText(todo.html).replace(/\s+/g, ' '),
+    html: todo.html,
+    index: path[path.length - 1],
+    path,
+    contextIds: [...todo.contextIds],
+    todoId: `todo-${todo.taskId}`,
+    migration: todo.migration,
+    uid: todo.uid,
+    created: todo.created,
+    carryCount: todo.carryCount,
+    due: todo.due,
+    priority: todo.priority,
+    tags: extractTags(markupToText(todo.html)),
+    completedAt: todo.completedAt,
+    reopenedAt: todo.reopenedAt,
+    subtasks: todo.subtasks.map((subtask, idx) => toTodoItem(subtask, [...path, idx]))
+  };
+}
 
-    if (line.startsWith('<h3>') && line !== '<h3>Todos</h3>') {
-      inTodoSection = false;
-    }
+/**
+ * Extracts todos from a section content
+ * @param {string} sectionContent - The section content to extract todos from
+ * @returns {TodoItem[]} Array of todo items
+ */
+export function extractTodos(sectionContent) {
+  const day = parseDay(sectionContent);
+  return day ? getItems(day, 'Todos', 'todo').map((todo, index) => toTodoItem(todo, [index])) : [];
+}
 
-    if (inTodoSection && line.trim()) {
-      const idMatch = line.match(/<ac:task-id>(\d+)<\/ac:task-id>/);
-      if (idMatch) {
-        const id = parseInt(idMatch[1], 10);
-        if (id > maxId) {
-          maxId = id;
-        }
-      }
-    }
-  }
+/**
+ * Gets the next available task ID number in a parsed day
+ * @param {DayNode} day - The parsed day
+ * @returns {number} The next available task ID number
+ */
+function nextTaskId(day) {
+  return flattenTodos(getItems(day, 'Todos', 'todo')).reduce((maxId, todo) => Math.max(maxId, todo.taskId), 0) + 1;
+}
 
-  return maxId + 1;
+/**
+ * Gets the next available todo ID number
+ * @param {string} sectionContent - The section content
+ * @returns {number} The next available todo ID number
+ */
+export function getNextTodoId(sectionContent) {
+  const day = parseDay(sectionContent);
+  return day ? nextTaskId(day) : 1;
 }
 
 /**
@@ -328,631 +671,729 @@ export function getTodosReferencingContext(sectionContent, contextId) {
 }
 
 /**
- * Updates a todo item's checked status in a section
+ * Finds a todo or subtask in a parsed day
+ * @param {DayNode} day - The parsed day
+ * @param {number|number[]} index - Position of the todo in the day's task list, or its path for a subtask
+ * @returns {TodoNode|undefined} The todo, if it exists
+ */
+function findTodo(day, index) {
+  const [first, ...rest] = Array.isArray(index) ? index : [index];
+  return rest.reduce((todo, position) => todo && todo.subtasks[position], getItems(day, 'Todos', 'todo')[first]);
+}
+
+/**
+ * Applies an update to one todo of a section
  * @param {string} sectionContent - The section content
- * @param {number} lineNumber - The line number of the todo
- * @param {boolean} checked - Whether the todo should be checked
+ * @param {number|number[]} index - Position of the todo in the day's task list, or its path for a subtask
+ * @param {(todo: TodoNode) => void} update - Mutates the parsed todo
  * @returns {string} The updated section content
  */
-export function updateTodoInSection(sectionContent, lineNumber, checked) {
-  const lines = sectionContent.split('\n');
-  const line = lines[lineNumber];
-
-  if (line) {
-    const todoMatch = line.match(/<ac:task><ac:task-id>(\d+)<\/ac:task-id><ac:task-status>(complete|incomplete)<\/ac:task-status><ac:task-body>(.+?)<\/ac:task-body><\/ac:task>/);
-    if (todoMatch) {
-      const todoId = todoMatch[1];
-      const status = checked ? 'complete' : 'incomplete';
-      const body = todoMatch[3];
-
-      lines[lineNumber] = `<ac:task><ac:task-id>${todoId}</ac:task-id><ac:task-status>${status}</ac:task-status><ac:task-body>${body}</ac:task-body></ac:task>`;
+function updateTodo(sectionContent, index, update) {
+  return updateDay(sectionContent, (day) => {
+    const todo = findTodo(day, index);
+    if (todo) {
+      update(todo);
     }
-  }
-
-  return lines.join('\n');
+  });
 }
 
 /**
- * Replaces today's section with new content
- * @param {string} newSectionContent - The new section content
- * @returns {Promise<void>}
+ * Sets whether a parsed todo is complete, recording when it was completed or reopened
+ * @param {TodoNode} todo - The parsed todo
+ * @param {boolean} checked - Whether the todo should be checked
+ * @returns {void}
  */
-export async function replaceTodaySection(newSectionContent) {
-  const content = await readNotesFile();
-  const todaySection = getTodaySection(content);
-
-  if (!todaySection) {
-    await writeNotesFile(newSectionContent);
+function setTodoChecked(todo, checked) {
+  // A moved todo stays closed here; it is reopened on the day (or backlog) it was moved to
+  if (todo.checked === checked || (!checked && todo.migration && todo.migration.action !== 'dropped')) {
     return;
   }
 
-  const lines = content.split('\n');
-  const before = lines.slice(0, todaySection.startIdx).join('\n');
-  const after = lines.slice(todaySection.endIdx).join('\n');
-
-  const newContent = [
-    before,
-    newSectionContent,
-    after
-  ].filter(s => s).join('\n');
+  // Migrating a todo closes it without completing it, so only this records a completion time
+  if (checked) {
+    todo.completedAt = formatISODateTime(new Date());
+  } else {
+    todo.completedAt = null;
+    todo.reopenedAt = formatISODateTime(new Date());
+  }
 
-  await writeNotesFile(newContent.trim() + '\n');
+  todo.checked = checked;
+  // Reopening a dropped todo means it stays on this day after all
+  if (!checked) {
+    todo.migration = null;
+  }
 }
 
 /**
- * Adds content to a specific section in today's notes
- * @param {string} sectionName - The name of the section
- * @param {string} content - The content to add
- * @returns {Promise<void>}
+ * Finds where a todo, or the todo it is a subtask of, was moved to
+ * A moved todo lives on at its target, so it can't be reopened on its original day without duplicating it there.
+ * @param {string} sectionContent - The section content
+ * @param {number|number[]} index - Position of the todo in the day's task list, or its path for a subtask
+ * @returns {{action: string, target: string|null}|null} The migration, or null if the todo wasn't moved (or was dropped)
  */
-export async function addContentToSection(sectionName, content) {
-  const todaySection = await initializeTodaySection();
-  const lines = todaySection.split('\n');
-
-  let sectionIdx = -1;
-  let nextSectionIdx = lines.length;
+export function getTodoMove(sectionContent, index) {
+  const path = Array.isArray(index) ? index : [index];
+  const day = parseDay(sectionContent);
+
+  for (let depth = 1; depth <= path.length; depth++) {
+    const todo = findTodo(day, path.slice(0, depth));
+    if (todo && todo.migration && todo.migration.action !== 'dropped') {
+      return todo.migration;
+    }
+  }
+  return null;
+}
 
-  for (let i = 0; i < lines.length; i++) {
-    if (lines[i] === `<h3>${sectionName}</h3>`) {
-      sectionIdx = i;
-    } else if (sectionIdx !== -1 && lines[i].startsWith('<h3>')) {
-      nextSectionIdx = i;
-      break;
+/**
+ * Completes the parents of a subtask once all their subtasks are done, and reopens them when one isn't
+ * @param {DayNode} day - The parsed day
+ * @param {number[]} path - Path to the subtask whose siblings changed
+ * @returns {void}
+ */
+function syncParentStatus(day, path) {
+  for (let depth = path.length - 1; depth > 0; depth--) {
+    const parent = findTodo(day, path.slice(0, depth));
+    if (parent && parent.subtasks.length > 0) {
+      const allDone = parent.subtasks.every(subtask => subtask.checked);
+      if (parent.checked !== allDone) {
+        setTodoChecked(parent, allDone);
+      }
     }
   }
+}
 
-  if (sectionIdx === -1) {
-    lines.push(`<h3>${sectionName}</h3>`);
-    lines.push('');
-    lines.push(content);
-    lines.push('');
-  } else {
-    // Prepend: insert right after the section header
-    let insertIdx = sectionIdx + 1;
+/**
+ * Updates a todo item's checked status in a section
+ * Checking a todo completes its subtasks, and parents follow their subtasks.
+ * Todos that were moved to another day, and their subtasks, aren't reopened (see getTodoMove)
+ * @param {string} sectionContent - The section content
+ * @param {number|number[]} index - Position of the todo in the day's task list, or its path for a subtask
+ * @param {boolean} checked - Whether the todo should be checked
+ * @returns {string} The updated section content
+ */
+export function updateTodoInSection(sectionContent, index, checked) {
+  if (!checked && getTodoMove(sectionContent, index)) {
+    return sectionContent;
+  }
 
-    // Check if there's already content in the section
-    if (insertIdx < lines.length && lines[insertIdx].trim()) {
-      // There's content, insert before it with spacing
-      lines.splice(insertIdx, 0, content, '');
-    } else {
-      // Section is empty or has whitespace
-      lines.splice(insertIdx, 0, content, '');
+  return updateDay(sectionContent, (day) => {
+    const todo = findTodo(day, index);
+    if (!todo) {
+      return;
     }
-  }
 
-  await replaceTodaySection(lines.join('\n'));
+    setTodoChecked(todo, checked);
+    if (checked) {
+      flattenTodos(todo.subtasks).forEach(subtask => setTodoChecked(subtask, true));
+    }
+    if (Array.isArray(index)) {
+      syncParentStatus(day, index);
+    }
+  });
 }
 
 /**
- * Adds context to the Context section with a unique ID
- * @param {string} contextId - The unique context ID
- * @param {string} contextText - The context text
- * @returns {Promise<void>}
+ * Adds an open subtask to a todo or subtask
+ * @param {string} sectionContent - The section content
+ * @param {number|number[]} index - Position of the parent in the day's task list, or its path for a subtask
+ * @param {string} text - The subtask text
+ * @returns {string} The updated section content
  */
-export async function addContext(contextId, contextText) {
-  const formattedContent = `<ac:structured-macro ac:name="info" ac:schema-version="1"><ac:parameter ac:name="title">[${contextId}]</ac:parameter><ac:rich-text-body><p>${contextText}</p></ac:rich-text-body></ac:structured-macro>`;
-  await addContentToSection('Context', formattedContent);
+export function addSubtaskToSection(sectionContent, index, text) {
+  return updateDay(sectionContent, (day) => {
+    const parent = findTodo(day, index);
+    if (!parent) {
+      return;
+    }
+
+    parent.subtasks.push({
+      type: 'todo',
+      taskId: nextTaskId(day),
+      checked: false,
+      html: escapeXml(text),
+      contextIds: [],
+      migration: null,
+      uid: crypto.randomBytes(4).toString('hex'),
+      created: null,
+      carryCount: 0,
+      due: null,
+      priority: null,
+      completedAt: null,
+      reopenedAt: null,
+      subtasks: []
+    });
+    // A new open subtask reopens a completed parent
+    syncParentStatus(day, [...(Array.isArray(index) ? index : [index]), parent.subtasks.length - 1]);
+  });
 }
 
 /**
- * Gets context text by ID from the section
+ * Updates a todo's text, keeping its status, context links and identity
  * @param {string} sectionContent - The section content
- * @param {string} contextId - The context ID to find
- * @returns {string|null} The context text or null if not found
+ * @param {number|number[]} index - Position of the todo in the day's task list, or its path for a subtask
+ * @param {string} text - The new todo text
+ * @returns {string} The updated section content
  */
-export function getContextById(sectionContent, contextId) {
-  const lines = sectionContent.split('\n');
-  let inContextSection = false;
-  let inInfoPanel = false;
-  const contextLines = [];
+export function updateTodoTextInSection(sectionContent, index, text) {
+  return updateTodo(sectionContent, index, (todo) => {
+    todo.html = escapeXml(text);
+  });
+}
 
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i];
+/**
+ * Replaces the contexts a todo links to
+ * @param {string} sectionContent - The section content
+ * @param {number|number[]} index - Position of the todo in the day's task list, or its path for a subtask
+ * @param {string[]} contextIds - The context IDs to link
+ * @returns {string} The updated section content
+ */
+export function setTodoContextsInSection(sectionContent, index, contextIds) {
+  return updateTodo(sectionContent, index, (todo) => {
+    todo.contextIds = [...contextIds];
+  });
+}
 
-    if (line === '<h3>Context</h3>') {
-      inContextSection = true;
-      continue;
+/**
+ * Swaps the positions of two todos in a section's task list, or of two subtasks of the same todo
+ * @param {string} sectionContent - The section content
+ * @param {number|number[]} index - Position of one todo in the day's task list, or its path for a subtask
+ * @param {number} otherIndex - Position of the other todo among the same siblings
+ * @returns {string} The updated section content
+ */
+export function swapTodosInSection(sectionContent, index, otherIndex) {
+  return updateDay(sectionContent, (day) => {
+    if (Array.isArray(index) && index.length > 1) {
+      const parent = findTodo(day, index.slice(0, -1));
+      const position = index[index.length - 1];
+      if (parent && parent.subtasks[position] && parent.subtasks[otherIndex]) {
+        [parent.subtasks[position], parent.subtasks[otherIndex]] = [parent.subtasks[otherIndex], parent.subtasks[position]];
+      }
+      return;
     }
+    index = Array.isArray(index) ? index[0] : index;
 
-    if (inContextSection && line.startsWith('<h3>') && line !== '<h3>Context</h3>') {
-      inContextSection = false;
-      break;
+    const section = getSection(day, 'Todos');
+    const todos = getItems(day, 'Todos', 'todo');
+    if (!section || !todos[index] || !todos[otherIndex]) {
+      return;
     }
 
-    if (inContextSection) {
-      // Check for info panel with context ID
-      if (line.includes(`<ac:parameter ac:name="title">[${contextId}]</ac:parameter>`)) {
-        // Check if this is a single-line context (contains everything on one line)
-        if (line.includes('</ac:structured-macro>')) {
-          // Extract content from rich-text-body
-          const richTextMatch = line.match(/<ac:rich-text-body>(.*?)<\/ac:rich-text-body>/);
-          if (richTextMatch) {
-            // Remove all HTML tags and return cleaned text
-            return richTextMatch[1].replace(/<[^>]+>/g, '').trim();
-          }
-          return null;
-        }
-        // Multi-line context, continue collecting
-        inInfoPanel = true;
-        continue;
-      }
+    // Swap within the section's items so anything between the todos stays put
+    const position = section.items.indexOf(todos[index]);
+    const otherPosition = section.items.indexOf(todos[otherIndex]);
+    section.items[position] = todos[otherIndex];
+    section.items[otherPosition] = todos[index];
+  });
+}
 
-      if (inInfoPanel) {
-        // Check for end of info panel
-        if (line.includes('</ac:structured-macro>')) {
-          break;
-        }
-        // Check if we hit another context
-        if (line.includes('<ac:structured-macro')) {
-          break;
-        }
-        // Collect context lines
-        if (line.trim() && !line.includes('ac:parameter') && !line.includes('ac:rich-text-body')) {
-          contextLines.push(line);
+/**
+ * Deletes a todo from a section
+ * @param {string} sectionContent - The section content
+ * @param {number|number[]} index - Position of the todo in the day's task list, or its path for a subtask
+ * @returns {string} The updated section content
+ */
+export function deleteTodoInSection(sectionContent, index) {
+  return updateDay(sectionContent, (day) => {
+    const path = Array.isArray(index) ? index : [index];
+    if (path.length > 1) {
+      const parent = findTodo(day, path.slice(0, -1));
+      if (parent && parent.subtasks[path[path.length - 1]]) {
+        parent.subtasks.splice(path[path.length - 1], 1);
+        if (parent.subtasks.length > 0) {
+          syncParentStatus(day, [...path.slice(0, -1), 0]);
         }
       }
+      return;
     }
-  }
 
-  // Remove all HTML tags and return cleaned text
-  return contextLines.length > 0 ? contextLines.join('\n').replace(/<[^>]+>/g, '').trim() : null;
+    const section = getSection(day, 'Todos');
+    const todo = getItems(day, 'Todos', 'todo')[path[0]];
+    if (section && todo) {
+      section.items.splice(section.items.indexOf(todo), 1);
+    }
+  });
 }
 
 /**
- * Updates context text for a given context ID
- * @param {string} contextId - The context ID
- * @param {string} newContextText - The new context text
- * @returns {Promise<void>}
+ * Creates the identity for a brand-new todo
+ * @param {Date} [date] - The day the todo is added to (defaults to today)
+ * @returns {TodoIdentity} A fresh identity with a random uid
  */
-export async function updateContext(contextId, newContextText) {
-  const todaySection = await initializeTodaySection();
-  const lines = todaySection.split('\n');
-
-  let inContextSection = false;
-  let contextStartIdx = -1;
-  let contextEndIdx = -1;
-
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i];
-
-    if (line === '<h3>Context</h3>') {
-      inContextSection = true;
-      continue;
-    }
+export function createTodoIdentity(date = new Date()) {
+  return {
+    uid: crypto.randomBytes(4).toString('hex'),
+    created: formatISODate(date),
+    carryCount: 0
+  };
+}
 
-    if (line.startsWith('<h3>') && line !== '<h3>Context</h3>') {
-      if (contextStartIdx !== -1) {
-        contextEndIdx = i;
-        break;
-      }
-      inContextSection = false;
-    }
+/**
+ * @typedef {Object} AddTodoOptions
+ * @property {string[]} [contextIds] - Context IDs to link from the todo
+ * @property {TodoIdentity} [identity] - The todo's stable identity
+ * @property {boolean} [prepend] - Add the todo at the top of the task list instead of the bottom
+ * @property {string|null} [due] - YYYY-MM-DD due date
+ * @property {number|null} [priority] - Priority from 1 (highest) to 3
+ */
 
-    if (inContextSection) {
-      // Check for info panel format
-      if (line.includes(`<ac:parameter ac:name="title">[${contextId}]</ac:parameter>`)) {
-        // Find the start of the macro (might be on a previous line)
-        for (let j = i; j >= 0; j--) {
-          if (lines[j].includes('<ac:structured-macro ac:name="info"')) {
-            contextStartIdx = j;
-            break;
-          }
-        }
-      } else if (contextStartIdx !== -1) {
-        // Check for end of context block
-        if (line.includes('</ac:structured-macro>')) {
-          contextEndIdx = i + 1;
-          break;
-        }
-      }
+/**
+ * Adds a new open todo to a section's task list
+ * @param {string} sectionContent - The section content
+ * @param {string} text - The todo text
+ * @param {AddTodoOptions} [options] - Where to add the todo and what to link it to
+ * @returns {string} The updated section content
+ */
+export function addTodoToSection(sectionContent, text, options = {}) {
+  const identity = options.identity || {};
+
+  return updateDay(sectionContent, (day) => {
+    const section = getSection(day, 'Todos', true);
+    /** @type {TodoNode} */
+    const todo = {
+      type: 'todo',
+      taskId: nextTaskId(day),
+      checked: false,
+      html: escapeXml(text),
+      contextIds: [...(options.contextIds || [])],
+      migration: null,
+      uid: identity.uid || null,
+      created: identity.created || null,
+      carryCount: identity.carryCount || 0,
+      due: options.due || null,
+      priority: options.priority || null,
+      completedAt: null,
+      reopenedAt: null,
+      subtasks: []
+    };
+
+    if (options.prepend) {
+      section.items.unshift(todo);
+    } else {
+      section.items.push(todo);
     }
-  }
+  });
+}
 
-  if (contextStartIdx === -1) {
-    return; // Context not found
+/**
+ * Finds the todos a section already has under another identity, e.g. a recurring todo added to both days
+ * Copying them would duplicate the todo, so they are left where they are instead
+ * @param {string} sectionContent - The section receiving the todos
+ * @param {TodoItem[]} todos - The todos to copy
+ * @returns {TodoItem[]} The todos whose text matches a todo of the section that wasn't moved away
+ */
+function findDuplicateTodos(sectionContent, todos) {
+  const day = parseDay(sectionContent);
+  if (!day) {
+    return [];
   }
 
-  if (contextEndIdx === -1) {
-    contextEndIdx = lines.length;
-  }
+  const present = getItems(day, 'Todos', 'todo').filter(todo => !todo.migration);
+  const presentUids = new Set(flattenTodos(present).map(todo => todo.uid).filter(uid => uid));
+  const presentTexts = new Set(present.map(todo => getTodoTextKey(todo.html)));
+  return todos.filter(todo => !presentUids.has(todo.uid) && presentTexts.has(getTodoTextKey(todo.html)));
+}
 
-  // Replace the entire context block with updated version
-  const newContextBlock = `<ac:structured-macro ac:name="info" ac:schema-version="1"><ac:parameter ac:name="title">[${contextId}]</ac:parameter><ac:rich-text-body><p>${newContextText}</p></ac:rich-text-body></ac:structured-macro>`;
+/**
+ * Appends copies of todos to the end of a section's task list, along with
+ * any context blocks they link to that the section doesn't have yet
+ * Todos the section already has (by uid) aren't copied again; see findDuplicateTodos for other duplicates
+ * @param {string} sectionContent - The section receiving the todos
+ * @param {TodoItem[]} todos - The todos to copy
+ * @param {string} sourceSectionContent - The section the todos (and their contexts) come from
+ * @returns {string} The updated section content
+ */
+export function appendTodosToSection(sectionContent, todos, sourceSectionContent) {
+  const source = parseDay(sourceSectionContent);
+
+  // Legacy todos without an identity get one dated to the day they are moved from
+  const fallbackCreated = formatISODate((source && source.date) || new Date());
+
+  return updateDay(sectionContent, (day) => {
+    // New task IDs continue from the section's highest ID; identity, due date, priority, context links
+    // and subtasks (with their status and completion time) are preserved
+    const present = getItems(day, 'Todos', 'todo').filter(todo => !todo.migration);
+    const presentUids = new Set(flattenTodos(present).map(todo => todo.uid).filter(uid => uid));
+    const missing = todos.filter(todo => !presentUids.has(todo.uid));
+
+    let taskId = nextTaskId(day);
+    const copySubtask = (subtask) => ({
+      type: 'todo',
+      taskId: taskId++,
+      checked: subtask.checked,
+      html: subtask.html,
+      contextIds: [...subtask.contextIds],
+      migration: null,
+      uid: subtask.uid || null,
+      created: null,
+      carryCount: 0,
+      due: subtask.due || null,
+      priority: subtask.priority || null,
+      completedAt: subtask.completedAt || null,
+      reopenedAt: subtask.reopenedAt || null,
+      subtasks: (subtask.subtasks || []).map(copySubtask)
+    });
+    getSection(day, 'Todos', true).items.push(...missing.map(todo => ({
+      type: 'todo',
+      taskId: taskId++,
+      checked: false,
+      html: todo.html,
+      contextIds: [...todo.contextIds],
+      migration: null,
+      uid: todo.uid || crypto.randomBytes(4).toString('hex'),
+      created: todo.created || fallbackCreated,
+      carryCount: (todo.carryCount || 0) + 1,
+      due: todo.due || null,
+      priority: todo.priority || null,
+      completedAt: null,
+      reopenedAt: null,
+      subtasks: (todo.subtasks || []).map(copySubtask)
+    })));
+
+    // Copy the linked context blocks so the todos' links resolve in this section
+    const existingIds = getItems(day, 'Context', 'context').map(context => context.id);
+    const sourceContexts = source ? getItems(source, 'Context', 'context') : [];
+    const copies = [...new Set(missing.flatMap(todo => todo.contextIds))]
+      .filter(contextId => !existingIds.includes(contextId))
+      .map(contextId => sourceContexts.find(context => context.id === contextId))
+      .filter(context => context)
+      .map(context => ({ ...context }));
+
+    if (copies.length > 0) {
+      getSection(day, 'Context', true).items.unshift(...copies);
+    }
+  });
+}
 
-  lines.splice(contextStartIdx, contextEndIdx - contextStartIdx, newContextBlock);
+/**
+ * Gets the text two todos are compared by to tell whether they are the same
+ * @param {string} html - The todo's markup
+ * @returns {string} The plain text, with whitespace collapsed and in lowercase
+ */
+function getTodoTextKey(html) {
+  return markupToText(html).replace(/\s+/g, ' ').trim().toLowerCase();
+}
 
-  await replaceTodaySection(lines.join('\n'));
+/**
+ * Marks a todo as migrated off its day, closing it with a marker that records where it went
+ * @param {string} sectionContent - The section content
+ * @param {number} index - Position of the todo in the day's task list
+ * @param {TodoMigration['action']} action - What happened to the todo
+ * @param {string|null} [target] - The YYYY-MM-DD day the todo moved to, if any
+ * @returns {string} The updated section content
+ */
+export function markTodoMigrated(sectionContent, index, action, target = null) {
+  return updateTodo(sectionContent, index, (todo) => {
+    todo.checked = true;
+    todo.migration = { action, target };
+  });
 }
 
 /**
- * Deletes context by ID
- * @param {string} contextId - The context ID to delete
- * @returns {Promise<void>}
+ * Gets the path to the backlog file in the notes directory
+ * @returns {Promise<string>} The path to the backlog file
  */
-export async function deleteContext(contextId) {
-  const todaySection = await initializeTodaySection();
-  const lines = todaySection.split('\n');
+export async function getBacklogFilePath() {
+  const config = await getConfig();
+  return path.join(config.notesDirectory, BACKLOG_FILE_NAME);
+}
 
-  let inContextSection = false;
-  let contextStartIdx = -1;
-  let contextEndIdx = -1;
+/**
+ * Reads the backlog, creating it if needed
+ * The backlog uses the same Todos/Context layout as a day section
+ * @returns {Promise<string>} The backlog content
+ */
+export async function readBacklog() {
+  await ensureNotesDir();
+  const backlogFile = await getBacklogFilePath();
 
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i];
+  if (!fs.existsSync(backlogFile)) {
+    const content = '<h2>Backlog</h2>\n\n<h3>Todos</h3>\n<ac:task-list>\n</ac:task-list>\n\n<h3>Context</h3>\n';
+    await writeBacklog(content);
+    return content;
+  }
 
-    if (line === '<h3>Context</h3>') {
-      inContextSection = true;
-      continue;
-    }
+  return fs.readFileSync(backlogFile, 'utf-8');
+}
 
-    if (line.startsWith('<h3>') && line !== '<h3>Context</h3>') {
-      if (contextStartIdx !== -1) {
-        contextEndIdx = i;
-        break;
-      }
-      inContextSection = false;
-    }
+/**
+ * Writes the backlog file
+ * @param {string} content - The backlog content
+ * @returns {Promise<void>}
+ */
+export async function writeBacklog(content) {
+  await ensureNotesDir();
+  const backlogFile = await getBacklogFilePath();
+  fs.writeFileSync(backlogFile, content, 'utf-8');
+}
 
-    if (inContextSection) {
-      // Check for info panel format
-      if (line.includes(`<ac:parameter ac:name="title">[${contextId}]</ac:parameter>`)) {
-        // Find the start of the macro (might be on a previous line)
-        for (let j = i; j >= 0; j--) {
-          if (lines[j].includes('<ac:structured-macro ac:name="info"')) {
-            contextStartIdx = j;
-            break;
-          }
-        }
-      } else if (contextStartIdx !== -1) {
-        // Check for end of context block
-        if (line.includes('</ac:structured-macro>')) {
-          contextEndIdx = i + 1;
-          break;
-        }
-      }
-    }
+/**
+ * Replaces a day's section with new content
+ * @param {Date|undefined} date - The day to replace (defaults to today)
+ * @param {string} newSectionContent - The new section content
+ * @returns {Promise<void>}
+ */
+export async function replaceDaySection(date, newSectionContent) {
+  const day = date || new Date();
+  const newDay = parseDay(newSectionContent);
+  if (!newDay) {
+    throw new Error('Day section content must start with a day header');
   }
+  newDay.date = startOfDay(day);
 
-  if (contextStartIdx === -1) {
-    return; // Context not found
-  }
+  const doc = parseMonth(await readNotesFile(day));
+  const existingIdx = doc.days.findIndex(other => other.date && isSameDay(other.date, day));
 
-  if (contextEndIdx === -1) {
-    contextEndIdx = lines.length;
+  if (existingIdx === -1) {
+    insertDay(doc, newDay);
+  } else {
+    // Keeps the day's markup as it was when nothing in it changed
+    newDay.source = doc.days[existingIdx].source;
+    doc.days[existingIdx] = newDay;
   }
 
-  // Remove the context block
-  lines.splice(contextStartIdx, contextEndIdx - contextStartIdx);
-
-  await replaceTodaySection(lines.join('\n'));
+  await writeNotesFile(doc, day);
 }
 
 /**
- * Gets all contexts from the section
- * @param {string} sectionContent - The section content
- * @returns {Array<{id: string, text: string}>} Array of context objects
+ * Replaces today's section with new content
+ * @param {string} newSectionContent - The new section content
+ * @returns {Promise<void>}
  */
-export function getAllContexts(sectionContent) {
-  const lines = sectionContent.split('\n');
-  const contexts = [];
-  let inContextSection = false;
-  let currentContextId = null;
-  let inInfoPanel = false;
-  let currentContextLines = [];
-
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i];
-
-    if (line === '<h3>Context</h3>') {
-      inContextSection = true;
-      continue;
-    }
+export async function replaceTodaySection(newSectionContent) {
+  await replaceDaySection(new Date(), newSectionContent);
+}
 
-    if (line.startsWith('<h3>') && line !== '<h3>Context</h3>') {
-      // Save any pending context
-      if (currentContextId && currentContextLines.length > 0) {
-        contexts.push({
-          id: currentContextId,
-          text: currentContextLines.join('\n').replace(/<[^>]+>/g, '').trim()
-        });
-      }
-      inContextSection = false;
-      break;
-    }
+/**
+ * Adds content to the top of a specific section in a day's notes
+ * @param {string} sectionName - The name of the section
+ * @param {string} content - The content to add, in storage format
+ * @param {Date} [date] - The day to add to (defaults to today)
+ * @returns {Promise<void>}
+ */
+export async function addContentToSection(sectionName, content, date) {
+  const daySection = await initializeDaySection(date);
+  const updatedSection = updateDay(daySection, (day) => {
+    getSection(day, sectionName, true).items.unshift(...parseItems(sectionName, content));
+  });
+  await replaceDaySection(date, updatedSection);
+}
 
-    if (inContextSection) {
-      // Check for info panel format
-      const titleMatch = line.match(/<ac:parameter ac:name="title">\[(.+?)\]<\/ac:parameter>/);
-      if (titleMatch) {
-        // Save previous context if any
-        if (currentContextId && currentContextLines.length > 0) {
-          contexts.push({
-            id: currentContextId,
-            text: currentContextLines.join('\n').replace(/<[^>]+>/g, '').trim()
-          });
-        }
-        // Start new context
-        currentContextId = titleMatch[1];
-        currentContextLines = [];
-        inInfoPanel = true;
-      } else if (inInfoPanel) {
-        if (line.includes('</ac:structured-macro>')) {
-          // End of current context
-          if (currentContextId && currentContextLines.length > 0) {
-            contexts.push({
-              id: currentContextId,
-              text: currentContextLines.join('\n').replace(/<[^>]+>/g, '').trim()
-            });
-          }
-          currentContextId = null;
-          currentContextLines = [];
-          inInfoPanel = false;
-        } else if (line.trim() && !line.includes('ac:parameter') && !line.includes('ac:rich-text-body') && !line.includes('<ac:structured-macro')) {
-          currentContextLines.push(line);
-        }
-      }
+/**
+ * Removes a context block from a section and unlinks it from every todo
+ * @param {string} sectionContent - The section content
+ * @param {string} contextId - The context ID
+ * @returns {string} The updated section content
+ */
+export function deleteContextInSection(sectionContent, contextId) {
+  return updateDay(sectionContent, (day) => {
+    const section = getSection(day, 'Context');
+    if (section) {
+      section.items = section.items.filter(item => item.type !== 'context' || item.id !== contextId);
     }
-  }
-
-  // Don't forget the last context
-  if (currentContextId && currentContextLines.length > 0) {
-    contexts.push({
-      id: currentContextId,
-      text: currentContextLines.join('\n').replace(/<[^>]+>/g, '').trim()
+    flattenTodos(getItems(day, 'Todos', 'todo')).forEach(todo => {
+      todo.contextIds = todo.contextIds.filter(id => id !== contextId);
     });
-  }
+  });
+}
 
-  return contexts;
+/**
+ * Adds a context block to the top of a section's Context section
+ * @param {string} sectionContent - The section content
+ * @param {string} contextId - The unique context ID
+ * @param {string} contextText - The context text
+ * @returns {string} The updated section content
+ */
+export function insertContextInSection(sectionContent, contextId, contextText) {
+  return updateDay(sectionContent, (day) => {
+    getSection(day, 'Context', true).items.unshift({ type: 'context', id: contextId, html: `<p>${escapeXml(contextText)}</p>` });
+  });
 }
 
 /**
- * Extracts notes from a section content
- * @param {string} sectionContent - The section content to extract notes from
- * @returns {Array<{text: string, timestamp: string, lineNumber: number}>} Array of note items
+ * Adds context to the Context section with a unique ID
+ * @param {string} contextId - The unique context ID
+ * @param {string} contextText - The context text
+ * @param {Date} [date] - The day to add to (defaults to today)
+ * @returns {Promise<void>}
  */
-export function extractNotes(sectionContent) {
-  const lines = sectionContent.split('\n');
-  const notes = [];
-  let inNotesSection = false;
-  let i = 0;
-
-  while (i < lines.length) {
-    const line = lines[i];
-
-    if (line === '<h3>Notes</h3>') {
-      inNotesSection = true;
-      i++;
-      continue;
-    }
+export async function addContext(contextId, contextText, date) {
+  const daySection = await initializeDaySection(date);
+  await replaceDaySection(date, insertContextInSection(daySection, contextId, contextText));
+}
+
+/**
+ * Gets context text by ID from the section
+ * @param {string} sectionContent - The section content
+ * @param {string} contextId - The context ID to find
+ * @returns {string|null} The context text or null if not found
+ */
+export function getContextById(sectionContent, contextId) {
+  const context = getAllContexts(sectionContent).find(other => other.id === contextId);
+  return context ? context.text : null;
+}
 
-    if (inNotesSection && line.startsWith('<h3>') && line !== '<h3>Notes</h3>') {
-      inNotesSection = false;
-      break;
+/**
+ * Updates context text for a given context ID
+ * @param {string} contextId - The context ID
+ * @param {string} newContextText - The new context text
+ * @param {Date} [date] - The day holding the context (defaults to today)
+ * @returns {Promise<void>}
+ */
+export async function updateContext(contextId, newContextText, date) {
+  const daySection = await initializeDaySection(date);
+  const updatedSection = updateDay(daySection, (day) => {
+    const context = getItems(day, 'Context', 'context').find(other => other.id === contextId);
+    if (context) {
+      context.html = `<p>${escapeXml(newContextText)}</p>`;
     }
+  });
 
-    if (inNotesSection && line.trim()) {
-      // Check for timestamp pattern
-      const timestampMatch = line.match(/<p style="color: #888; font-size: 0\.85em; margin-bottom: 5px;">(.+?)<\/p>/);
-
-      if (timestampMatch && i + 1 < lines.length) {
-        const timestamp = timestampMatch[1];
-        let j = i + 1;
-
-        // Check if next line is the note content
-        if (lines[j].startsWith('<p>') && !lines[j].includes('style=')) {
-
-          // Collect all lines until we find the closing </p>
-          const textLines = [];
-          let foundClosing = false;
-
-          while (j < lines.length) {
-            const currentLine = lines[j];
-            textLines.push(currentLine);
-
-            if (currentLine.includes('</p>')) {
-              foundClosing = true;
-              break;
-            }
-            j++;
-          }
-
-          if (foundClosing) {
-            const text = textLines.join('\n').replace(/<p>|<\/p>/g, '').trim();
-            notes.push({
-              text,
-              timestamp,
-              lineNumber: i
-            });
-            i = j + 1; // Skip to after the closing tag
-            continue;
-          }
-        }
-      } else if (line.startsWith('<p>') && !line.includes('style=')) {
-        // Note without timestamp - collect multi-line content
-        const textLines = [];
-        let j = i;
-        let foundClosing = false;
-
-        while (j < lines.length) {
-          const currentLine = lines[j];
-          textLines.push(currentLine);
-
-          if (currentLine.includes('</p>')) {
-            foundClosing = true;
-            break;
-          }
-          j++;
-        }
+  if (updatedSection !== daySection) {
+    await replaceDaySection(date, updatedSection);
+  }
+}
 
-        if (foundClosing) {
-          const text = textLines.join('\n').replace(/<p>|<\/p>/g, '').trim();
-          if (text) {
-            notes.push({
-              text,
-              timestamp: null,
-              lineNumber: i
-            });
-          }
-          i = j + 1;
-          continue;
-        }
-      }
+/**
+ * Deletes context by ID
+ * @param {string} contextId - The context ID to delete
+ * @param {Date} [date] - The day holding the context (defaults to today)
+ * @returns {Promise<void>}
+ */
+export async function deleteContext(contextId, date) {
+  const daySection = await initializeDaySection(date);
+  const updatedSection = updateDay(daySection, (day) => {
+    const section = getSection(day, 'Context');
+    if (section) {
+      section.items = section.items.filter(item => item.type !== 'context' || item.id !== contextId);
     }
+  });
 
-    i++;
+  if (updatedSection !== daySection) {
+    await replaceDaySection(date, updatedSection);
   }
+}
 
-  return notes;
+/**
+ * Gets all contexts from the section
+ * @param {string} sectionContent - The section content
+ * @returns {Array<{id: string, text: string}>} Array of context objects
+ */
+export function getAllContexts(sectionContent) {
+  const day = parseDay(sectionContent);
+  if (!day) return [];
+
+  return getItems(day, 'Context', 'context').map(context => ({
+    id: context.id,
+    text: markupToText(context.html)
+  }));
+}
+
+/**
+ * Extracts notes from a section content
+ * @param {string} sectionContent - The section content to extract notes from
+ * @returns {Array<{text: string, html: string, timestamp: string|null, index: number}>} Array of note items
+ */
+export function extractNotes(sectionContent) {
+  const day = parseDay(sectionContent);
+  if (!day) return [];
+
+  return getItems(day, 'Notes', 'note')
+    .map((note, index) => ({
+      text: markupToText(note.html),
+      html: note.html,
+      timestamp: note.timestamp,
+      index
+    }))
+    .filter(note => note.text);
 }
 
 /**
  * Extracts references from a section content
  * @param {string} sectionContent - The section content to extract references from
- * @returns {Array<{id: string, content: string, timestamp: string, lineNumber: number}>} Array of reference items
+ * @returns {Array<{id: string, content: string, language: string|null, sourceId: string|null, timestamp: string|null, index: number}>} Array of reference items
  */
 export function extractReferences(sectionContent) {
-  const lines = sectionContent.split('\n');
-  const references = [];
-  let inReferencesSection = false;
-  let i = 0;
-
-  while (i < lines.length) {
-    const line = lines[i];
-
-    if (line === '<h3>References</h3>') {
-      inReferencesSection = true;
-      i++;
-      continue;
-    }
-
-    if (inReferencesSection && line.startsWith('<h3>') && line !== '<h3>References</h3>') {
-      inReferencesSection = false;
-      break;
-    }
+  const day = parseDay(sectionContent);
+  if (!day) return [];
+
+  return getItems(day, 'References', 'reference').map((ref, index) => ({
+    id: ref.id,
+    content: ref.content,
+    language: ref.parameters.language || null,
+    sourceId: ref.sourceId,
+    timestamp: ref.timestamp,
+    index
+  }));
+}
 
-    if (inReferencesSection && line.trim()) {
-      // Check for timestamp pattern
-      const timestampMatch = line.match(/<p style="color: #888; font-size: 0\.85em; margin-bottom: 5px;">(.+?)<\/p>/);
-
-      if (timestampMatch && i + 1 < lines.length) {
-        const timestamp = timestampMatch[1];
-        const nextLine = lines[i + 1];
-
-        // Check if next line is the reference macro
-        const refMatch = nextLine.match(/<ac:structured-macro ac:name="code" data-ref-id="([^"]+)"><ac:parameter ac:name="title">\[([^\]]+)\]<\/ac:parameter><ac:plain-text-body><!\[CDATA\[(.+?)\]\]><\/ac:plain-text-body><\/ac:structured-macro>/);
-
-        if (refMatch) {
-          references.push({
-            id: refMatch[2],
-            content: refMatch[3],
-            timestamp,
-            lineNumber: i
-          });
-          i += 2;
-          continue;
-        }
-      } else {
-        // Reference without timestamp
-        const refMatch = line.match(/<ac:structured-macro ac:name="code" data-ref-id="([^"]+)"><ac:parameter ac:name="title">\[([^\]]+)\]<\/ac:parameter><ac:plain-text-body><!\[CDATA\[(.+?)\]\]><\/ac:plain-text-body><\/ac:structured-macro>/);
-
-        if (refMatch) {
-          references.push({
-            id: refMatch[2],
-            content: refMatch[3],
-            timestamp: null,
-            lineNumber: i
-          });
-        }
-      }
+/**
+ * Removes one item of a type from a section
+ * @param {string} sectionContent - The section content
+ * @param {string} sectionName - The section holding the item
+ * @param {SectionItem['type']} type - The item type
+ * @param {number} index - Position of the item among items of that type
+ * @returns {string} The updated section content
+ */
+function deleteItem(sectionContent, sectionName, type, index) {
+  return updateDay(sectionContent, (day) => {
+    const section = getSection(day, sectionName);
+    const item = getItems(day, sectionName, type)[index];
+    if (section && item) {
+      section.items.splice(section.items.indexOf(item), 1);
     }
-
-    i++;
-  }
-
-  return references;
+  });
 }
 
 /**
- * Deletes a note at the specified line number
+ * Deletes a note, along with its timestamp
  * @param {string} sectionContent - The section content
- * @param {number} lineNumber - The line number to delete
+ * @param {number} index - Position of the note in the day's notes
  * @returns {string} The updated section content
  */
-export function deleteNoteInSection(sectionContent, lineNumber) {
-  const lines = sectionContent.split('\n');
-
-  // Check if this line has a timestamp (delete both lines)
-  if (lines[lineNumber].includes('style="color: #888')) {
-    lines.splice(lineNumber, 2); // Delete timestamp and note
-  } else {
-    lines.splice(lineNumber, 1); // Delete just the note
-  }
-
-  return lines.join('\n');
+export function deleteNoteInSection(sectionContent, index) {
+  return deleteItem(sectionContent, 'Notes', 'note', index);
 }
 
 /**
- * Deletes a reference at the specified line number
+ * Deletes a reference, along with its timestamp
  * @param {string} sectionContent - The section content
- * @param {number} lineNumber - The line number to delete
+ * @param {number} index - Position of the reference in the day's references
  * @returns {string} The updated section content
  */
-export function deleteReferenceInSection(sectionContent, lineNumber) {
-  const lines = sectionContent.split('\n');
-
-  // Check if this line has a timestamp (delete both lines)
-  if (lines[lineNumber].includes('style="color: #888')) {
-    lines.splice(lineNumber, 2); // Delete timestamp and reference
-  } else {
-    lines.splice(lineNumber, 1); // Delete just the reference
-  }
-
-  return lines.join('\n');
+export function deleteReferenceInSection(sectionContent, index) {
+  return deleteItem(sectionContent, 'References', 'reference', index);
 }
 
 /**
- * Updates a note at the specified line number
+ * Replaces a note's content, keeping its timestamp
  * @param {string} sectionContent - The section content
- * @param {number} lineNumber - The line number to update
- * @param {string} newText - The new note text
+ * @param {number} index - Position of the note in the day's notes
+ * @param {string} html - The new note markup
  * @returns {string} The updated section content
  */
-export function updateNoteInSection(sectionContent, lineNumber, newText) {
-  const lines = sectionContent.split('\n');
-
-  // Check if this line has a timestamp
-  if (lines[lineNumber].includes('style="color: #888')) {
-    // Update the next line (the actual content)
-    lines[lineNumber + 1] = `<p>${newText}</p>`;
-  } else {
-    // Update this line
-    lines[lineNumber] = `<p>${newText}</p>`;
-  }
-
-  return lines.join('\n');
+export function updateNoteInSection(sectionContent, index, html) {
+  return updateDay(sectionContent, (day) => {
+    const note = getItems(day, 'Notes', 'note')[index];
+    if (note) {
+      note.html = html;
+    }
+  });
 }
 
 /**
- * Updates a reference at the specified line number
+ * Replaces a reference's content, keeping its ID and timestamp
  * @param {string} sectionContent - The section content
- * @param {number} lineNumber - The line number to update
- * @param {string} refId - The reference ID
+ * @param {number} index - Position of the reference in the day's references
  * @param {string} newContent - The new reference content
  * @returns {string} The updated section content
  */
-export function updateReferenceInSection(sectionContent, lineNumber, refId, newContent) {
-  const lines = sectionContent.split('\n');
-
-  // Check if this line has a timestamp
-  if (lines[lineNumber].includes('style="color: #888')) {
-    // Update the next line (the actual reference)
-    lines[lineNumber + 1] = `<ac:structured-macro ac:name="code" data-ref-id="${refId}"><ac:parameter ac:name="title">[${refId}]</ac:parameter><ac:plain-text-body><![CDATA[${newContent}]]></ac:plain-text-body></ac:structured-macro>`;
-  } else {
-    // Update this line
-    lines[lineNumber] = `<ac:structured-macro ac:name="code" data-ref-id="${refId}"><ac:parameter ac:name="title">[${refId}]</ac:parameter><ac:plain-text-body><![CDATA[${newContent}]]></ac:plain-text-body></ac:structured-macro>`;
-  }
-
-  return lines.join('\n');
+export function updateReferenceInSection(sectionContent, index, newContent) {
+  return updateDay(sectionContent, (day) => {
+    const ref = getItems(day, 'References', 'reference')[index];
+    if (ref) {
+      ref.content = newContent;
+    }
+  });
 }
 
 /**
@@ -967,25 +1408,40 @@ export async function getAllMonthlyNotesFiles() {
 }
 
 /**
- * Checks if an ID (context or reference) exists in the current month's notes file
- * @param {string} id - The ID to check for
- * @returns {Promise<boolean>} True if the ID exists, false otherwise
+ * @typedef {Object} StoredReference
+ * @property {string} id - The reference's three-word ID
+ * @property {string} content - The reference content
+ * @property {string|null} language - The code macro language, if set
+ * @property {string|null} sourceId - ID of the reference this one was produced from
+ * @property {string|null} timestamp - The time the reference was added
+ * @property {Date} date - The day holding the reference
  */
-export async function idExistsInCurrentMonth(id) {
-  const content = await readNotesFile();
-
-  if (!content) return false;
-
-  const escaped = id.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 
-  // Check for context IDs: <p><strong>[id]</strong></p> or [context: id]
-  const contextRegex1 = new RegExp(`<p><strong>\\[${escaped}\\]</strong></p>`);
-  const contextRegex2 = new RegExp(`\\[context: ${escaped}\\]`);
-  // Check for info panel context IDs
-  const contextRegex3 = new RegExp(`<ac:parameter ac:name="title">\\[${escaped}\\]</ac:parameter>`);
-
-  // Check for reference IDs: <ac:structured-macro ... data-ref-id="id"
-  const refRegex = new RegExp(`data-ref-id="${escaped}"`);
+/**
+ * Collects the references from every monthly notes file, newest day first
+ * @returns {Promise<StoredReference[]>} All stored references
+ */
+export async function getAllReferences() {
+  const files = (await getAllMonthlyNotesFiles()).sort().reverse();
+  const refs = [];
+
+  for (const filePath of files) {
+    const doc = parseMonth(fs.readFileSync(filePath, 'utf-8'));
+    const days = doc.days.filter(day => day.date).sort((a, b) => b.date.getTime() - a.date.getTime());
+
+    for (const day of days) {
+      for (const ref of getItems(day, 'References', 'reference')) {
+        refs.push({
+          id: ref.id,
+          content: ref.content,
+          language: ref.parameters.language || null,
+          sourceId: ref.sourceId,
+          timestamp: ref.timestamp,
+          date: day.date
+        });
+      }
+    }
+  }
 
-  return contextRegex1.test(content) || contextRegex2.test(content) || contextRegex3.test(content) || refRegex.test(content);
+  return refs;
 }
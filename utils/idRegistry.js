@@ -0,0 +1,203 @@
+/**
+ * @fileoverview Registry of every reference and context ID issued across all months
+ * Kept as an index file in the notes directory so new IDs are unique everywhere;
+ * it is brought up to date from changed notes files on load and can be rebuilt from scratch
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { getConfig } from './config.js';
+import { getAllMonthlyNotesFiles, getBacklogFilePath, ensureNotesDir } from './fileHandler.js';
+import { parseMonth, getItems, flattenTodos } from './notesModel.js';
+import { getWordLists, getIdSpaceSize, generateUniqueThreeWordId } from './wordGenerator.js';
+
+const REGISTRY_FILE_NAME = '.wdidt-ids.json';
+const REGISTRY_VERSION = 1;
+
+/**
+ * @typedef {Object} IdEntry
+ * @property {'reference'|'context'} type - What the ID names
+ * @property {string|null} file - Notes file the ID was first seen in (null until it is written)
+ */
+
+/**
+ * @typedef {Object} IdRegistry
+ * @property {number} version - Registry format version
+ * @property {Object<string, IdEntry>} ids - Issued IDs
+ * @property {Object<string, number>} files - Modification time of each notes file when it was last scanned
+ */
+
+/**
+ * Gets the path of the registry file
+ * @returns {Promise<string>} The registry file path
+ */
+async function getRegistryPath() {
+  const config = await getConfig();
+  return path.join(config.notesDirectory, REGISTRY_FILE_NAME);
+}
+
+/**
+ * Creates an empty registry
+ * @returns {IdRegistry} The registry
+ */
+function createRegistry() {
+  return { version: REGISTRY_VERSION, ids: {}, files: {} };
+}
+
+/**
+ * Reads the registry file
+ * @param {string} registryPath - The registry file path
+ * @returns {IdRegistry|null} The registry, or null if it is missing, unreadable or from another version
+ */
+function readRegistry(registryPath) {
+  if (!fs.existsSync(registryPath)) {
+    return null;
+  }
+
+  try {
+    const registry = JSON.parse(fs.readFileSync(registryPath, 'utf-8'));
+    return registry.version === REGISTRY_VERSION && registry.ids && registry.files ? registry : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Writes the registry file
+ * @param {string} registryPath - The registry file path
+ * @param {IdRegistry} registry - The registry
+ * @returns {void}
+ */
+function writeRegistry(registryPath, registry) {
+  fs.writeFileSync(registryPath, JSON.stringify(registry, null, 2), 'utf-8');
+}
+
+/**
+ * Gets every file that can hold IDs: the monthly notes files and the backlog
+ * @returns {Promise<string[]>} Existing file paths
+ */
+async function getIdSourceFiles() {
+  const files = await getAllMonthlyNotesFiles();
+  const backlogFile = await getBacklogFilePath();
+  return fs.existsSync(backlogFile) ? [...files, backlogFile] : files;
+}
+
+/**
+ * Adds the IDs used in a notes file to the registry
+ * IDs are never removed, so deleting a reference doesn't free its ID for reuse
+ * @param {IdRegistry} registry - The registry to update
+ * @param {string} filePath - The notes file
+ * @returns {void}
+ */
+function scanFile(registry, filePath) {
+  const file = path.basename(filePath);
+  const add = (id, type) => {
+    if (!registry.ids[id] || !registry.ids[id].file) {
+      registry.ids[id] = { type, file };
+    }
+  };
+
+  for (const day of parseMonth(fs.readFileSync(filePath, 'utf-8')).days) {
+    getItems(day, 'References', 'reference').forEach(ref => add(ref.id, 'reference'));
+    getItems(day, 'Context', 'context').forEach(context => add(context.id, 'context'));
+    flattenTodos(getItems(day, 'Todos', 'todo')).forEach(todo => todo.contextIds.forEach(id => add(id, 'context')));
+  }
+}
+
+/**
+ * Loads the registry, scanning any notes file that changed since it was last saved
+ * @returns {Promise<IdRegistry>} The up-to-date registry
+ */
+export async function loadIdRegistry() {
+  await ensureNotesDir();
+  const registryPath = await getRegistryPath();
+  let registry = readRegistry(registryPath);
+  let changed = false;
+
+  if (!registry) {
+    registry = createRegistry();
+    changed = true;
+  }
+
+  for (const filePath of await getIdSourceFiles()) {
+    const file = path.basename(filePath);
+    const mtime = fs.statSync(filePath).mtimeMs;
+    if (registry.files[file] !== mtime) {
+      scanFile(registry, filePath);
+      registry.files[file] = mtime;
+      changed = true;
+    }
+  }
+
+  if (changed) {
+    writeRegistry(registryPath, registry);
+  }
+
+  return registry;
+}
+
+/**
+ * Rebuilds the registry from scratch from all notes files
+ * @returns {Promise<IdRegistry>} The rebuilt registry
+ */
+export async function rebuildIdRegistry() {
+  await ensureNotesDir();
+  const registry = createRegistry();
+
+  for (const filePath of await getIdSourceFiles()) {
+    scanFile(registry, filePath);
+    registry.files[path.basename(filePath)] = fs.statSync(filePath).mtimeMs;
+  }
+
+  writeRegistry(await getRegistryPath(), registry);
+  return registry;
+}
+
+/**
+ * Checks whether an ID has been used in any month
+ * @param {string} id - The ID to check
+ * @returns {Promise<boolean>} True if the ID is taken
+ */
+export async function idExists(id) {
+  const registry = await loadIdRegistry();
+  return Object.hasOwn(registry.ids, id);
+}
+
+/**
+ * Generates a 3-word ID that has never been used in any month and records it
+ * The ID stays reserved even if the caller ends up not writing it
+ * @param {'reference'|'context'} type - What the ID will name
+ * @returns {Promise<string>} The new ID
+ * @throws {Error} If no free ID could be found
+ */
+export async function reserveUniqueId(type) {
+  const config = await getConfig();
+  const registry = await loadIdRegistry();
+
+  const id = await generateUniqueThreeWordId(
+    candidate => Object.hasOwn(registry.ids, candidate),
+    100,
+    getWordLists(config.ids)
+  );
+
+  registry.ids[id] = { type, file: null };
+  writeRegistry(await getRegistryPath(), registry);
+  return id;
+}
+
+/**
+ * Summarizes how much of the ID space is in use
+ * @param {IdRegistry} registry - The registry
+ * @returns {Promise<{used: number, references: number, contexts: number, capacity: number}>} ID counts
+ */
+export async function getIdRegistryStats(registry) {
+  const config = await getConfig();
+  const entries = Object.values(registry.ids);
+
+  return {
+    used: entries.length,
+    references: entries.filter(entry => entry.type === 'reference').length,
+    contexts: entries.filter(entry => entry.type === 'context').length,
+    capacity: getIdSpaceSize(getWordLists(config.ids))
+  };
+}
@@ -0,0 +1,888 @@
+/**
+ * @fileoverview Document model for monthly notes files
+ * Parses the Confluence XHTML of a notes file into a tree of days, sections and
+ * items, and serializes it back. The parser works on markup rather than lines, so
+ * hand-edited or Confluence-reformatted files parse the same as ones we wrote.
+ *
+ * This is the storage boundary: plain-text fields of the model (todo text, IDs,
+ * timestamps, reference content) are unescaped when parsed and escaped again when
+ * serialized, while markup fields (html) are kept as stored.
+ */
+
+import { getDateString, parseDayTitle } from './dates.js';
+
+/**
+ * @typedef {Object} MarkupNode
+ * @property {'element'|'text'|'cdata'|'comment'} type - Node type
+ * @property {string} [name] - Lower-cased tag name for elements
+ * @property {Object<string, string>} [attrs] - Element attributes
+ * @property {MarkupNode[]} [children] - Element children
+ * @property {string} [value] - Text, CDATA or comment content
+ * @property {number} start - Offset of the node in the source
+ * @property {number} end - Offset just past the node in the source
+ * @property {number} [innerStart] - Offset where an element's children start
+ * @property {number} [innerEnd] - Offset where an element's children end
+ */
+
+/**
+ * @typedef {Object} TodoNode
+ * @property {'todo'} type - Item type
+ * @property {number} taskId - Sequential task ID within the day
+ * @property {boolean} checked - Whether the task is complete
+ * @property {string} html - The todo text as stored (inline markup, without context links or markers)
+ * @property {string[]} contextIds - Context IDs linked from the todo
+ * @property {{action: 'carried'|'deferred'|'moved'|'backlog'|'dropped', target: string|null}|null} migration - Set when the todo was moved off its day
+ * @property {string|null} uid - Stable identity that survives carryover
+ * @property {string|null} created - YYYY-MM-DD day the todo was first added
+ * @property {number} carryCount - How many times the todo has been moved to another day
+ * @property {string|null} due - YYYY-MM-DD due date, stored as a Confluence date element
+ * @property {number|null} priority - Priority from 1 (highest) to 3, stored as a status lozenge
+ * @property {string|null} completedAt - YYYY-MM-DDTHH:MM local time the todo was last checked off
+ * @property {string|null} reopenedAt - YYYY-MM-DDTHH:MM local time the todo was last reopened
+ * @property {TodoNode[]} subtasks - Subtasks, stored as a task list nested in the task body
+ */
+
+/**
+ * @typedef {Object} ContextNode
+ * @property {'context'} type - Item type
+ * @property {string} id - The context ID
+ * @property {string} html - The markup inside the panel body
+ */
+
+/**
+ * @typedef {Object} ReferenceNode
+ * @property {'reference'} type - Item type
+ * @property {string} id - The reference ID
+ * @property {string} content - The code block content
+ * @property {string|null} timestamp - Time the reference was added
+ * @property {Object<string, string>} parameters - Macro parameters other than the title
+ * @property {string|null} sourceId - ID of the reference this one was produced from (e.g., command output)
+ */
+
+/**
+ * @typedef {Object} NoteNode
+ * @property {'note'} type - Item type
+ * @property {string|null} timestamp - Time the note was added
+ * @property {string} html - The note markup (one or more blocks)
+ */
+
+/**
+ * @typedef {Object} RawNode
+ * @property {'raw'} type - Item type
+ * @property {string} html - Markup we don't model, kept as written
+ */
+
+/**
+ * @typedef {TodoNode|ContextNode|ReferenceNode|NoteNode|RawNode} SectionItem
+ */
+
+/**
+ * @typedef {Object} SectionNode
+ * @property {string} name - Section name (e.g., "Todos")
+ * @property {SectionItem[]} items - The section's items in document order
+ */
+
+/**
+ * @typedef {Object} DaySource
+ * @property {string} markup - The day exactly as it was read, from its header to its last block
+ * @property {string|null} separator - What followed it up to the next day's header, or null for the last day
+ */
+
+/**
+ * @typedef {Object} DayNode
+ * @property {Date|null} date - The day, or null for non-day headers such as the backlog
+ * @property {string} title - The header text
+ * @property {RawNode[]} preamble - Content between the header and the first section
+ * @property {SectionNode[]} sections - The day's sections in document order
+ * @property {DaySource} [source] - How the day was written in the file it was parsed from
+ */
+
+/**
+ * @typedef {Object} MonthSource
+ * @property {string} head - Everything before the first day
+ * @property {string} preamble - The preamble items' markup when they were read, joined by blank lines
+ * @property {string} tail - Everything after the last day
+ */
+
+/**
+ * @typedef {Object} MonthDocument
+ * @property {RawNode[]} preamble - Content before the first day
+ * @property {DayNode[]} days - The days in document order (newest first)
+ * @property {MonthSource} [source] - How the file it was parsed from was laid out around its days
+ */
+
+// Standard sections of a day, in the order they are written
+export const SECTION_NAMES = ['Todos', 'Context', 'References', 'Notes'];
+
+// Written between days, newest first, as new days have always been added
+const DAY_SEPARATOR = '\n\n<hr>\n\n';
+
+const VOID_ELEMENTS = new Set(['hr', 'br', 'img', 'input', 'meta', 'link', 'col', 'area', 'base', 'wbr']);
+
+const TAG_REGEX = /<(\/?)([A-Za-z][\w:.-]*)((?:\s+[^\s=>/]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+))?)*)\s*(\/?)>/y;
+
+const ATTRIBUTE_REGEX = /([^\s=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+
+const DATE_TIME_REGEX = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}$/;
+
+const MIGRATION_MARKER_REGEX = /^\[(carried|deferred|moved|backlog|dropped)(?: → (\d{4}-\d{2}-\d{2}))?\]$/;
+
+const TIMESTAMP_STYLE = 'color: #888; font-size: 0.85em; margin-bottom: 5px;';
+
+// Status lozenge colours for each todo priority
+const PRIORITY_COLOURS = { 1: 'Red', 2: 'Yellow', 3: 'Grey' };
+
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+/**
+ * Escapes plain text for use in XHTML text content
+ * @param {string} text - The plain text
+ * @returns {string} The escaped text
+ */
+export function escapeXml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Escapes text for use in a quoted XML attribute value
+ * @param {string} text - The attribute value
+ * @returns {string} The escaped value, safe in single or double quotes
+ */
+export function escapeAttr(text) {
+  return escapeXml(text).replace(/"/g, '&quot;').replace(/'/g, '&apos;');
+}
+
+/**
+ * Decodes the character entities in XHTML text content
+ * Unknown named entities are left as written
+ * @param {string} text - The escaped text
+ * @returns {string} The plain text
+ */
+export function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+    if (name[0] === '#') {
+      const codePoint = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      return codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : entity;
+    }
+    return NAMED_ENTITIES[name.toLowerCase()] ?? entity;
+  });
+}
+
+/**
+ * Escapes text for use inside a CDATA section
+ * A "]]>" in the text is split across two sections so it can't end the first one early
+ * @param {string} text - The plain text
+ * @returns {string} The text, safe to wrap in <![CDATA[ ... ]]>
+ */
+export function escapeCdata(text) {
+  return String(text).replace(/\]\]>/g, ']]]]><![CDATA[>');
+}
+
+/**
+ * Converts stored markup to plain text, keeping block breaks as newlines
+ * @param {string} html - The markup
+ * @returns {string} The plain text
+ */
+export function markupToText(html) {
+  return decodeEntities(html
+    .replace(/<br\s*\/?>/g, '\n')
+    .replace(/<\/(p|li|h\d|div)>\s*/g, '\n')
+    .replace(/<[^>]+>/g, ''))
+    .trim();
+}
+
+/**
+ * Parses markup into a tree, recovering from unclosed and stray tags
+ * @param {string} src - The markup
+ * @returns {MarkupNode} A root element holding the top-level nodes
+ */
+function parseMarkup(src) {
+  const root = { type: 'element', name: '#root', attrs: {}, children: [], start: 0, end: src.length, innerStart: 0, innerEnd: src.length };
+  const stack = [root];
+  let pos = 0;
+
+  const top = () => stack[stack.length - 1];
+  const addText = (start, end) => {
+    if (end <= start) return;
+    const children = top().children;
+    const last = children[children.length - 1];
+    if (last && last.type === 'text' && last.end === start) {
+      last.end = end;
+      last.value = src.slice(last.start, end);
+    } else {
+      children.push({ type: 'text', value: src.slice(start, end), start, end });
+    }
+  };
+
+  while (pos < src.length) {
+    const lt = src.indexOf('<', pos);
+    if (lt === -1) {
+      addText(pos, src.length);
+      break;
+    }
+    addText(pos, lt);
+
+    if (src.startsWith('<![CDATA[', lt)) {
+      const close = src.indexOf(']]>', lt);
+      const end = close === -1 ? src.length : close + 3;
+      top().children.push({ type: 'cdata', value: src.slice(lt + 9, close === -1 ? src.length : close), start: lt, end });
+      pos = end;
+      continue;
+    }
+
+    if (src.startsWith('<!', lt) || src.startsWith('<?', lt)) {
+      const terminator = src.startsWith('<!--', lt) ? '-->' : '>';
+      const close = src.indexOf(terminator, lt);
+      const end = close === -1 ? src.length : close + terminator.length;
+      top().children.push({ type: 'comment', value: src.slice(lt, end), start: lt, end });
+      pos = end;
+      continue;
+    }
+
+    TAG_REGEX.lastIndex = lt;
+    const match = TAG_REGEX.exec(src);
+    if (!match) {
+      // A stray "<" is just text
+      addText(lt, lt + 1);
+      pos = lt + 1;
+      continue;
+    }
+
+    const [raw, closing, tagName, attributeText, selfClosing] = match;
+    const name = tagName.toLowerCase();
+    const end = lt + raw.length;
+
+    if (closing) {
+      // Close the nearest matching element, implicitly closing anything left open inside it
+      const openIdx = stack.map(node => node.name).lastIndexOf(name);
+      if (openIdx > 0) {
+        while (stack.length > openIdx) {
+          const node = stack.pop();
+          node.innerEnd = lt;
+          node.end = stack.length === openIdx ? end : lt;
+        }
+      }
+      pos = end;
+      continue;
+    }
+
+    const node = { type: 'element', name, attrs: parseAttributes(attributeText), children: [], start: lt, end, innerStart: end, innerEnd: end };
+    top().children.push(node);
+    if (!selfClosing && !VOID_ELEMENTS.has(name)) {
+      stack.push(node);
+    }
+    pos = end;
+  }
+
+  // Anything still open runs to the end of the input
+  while (stack.length > 1) {
+    const node = stack.pop();
+    node.innerEnd = src.length;
+    node.end = src.length;
+  }
+
+  return root;
+}
+
+/**
+ * Parses the attribute part of a start tag
+ * @param {string} attributeText - The text between the tag name and the closing bracket
+ * @returns {Object<string, string>} Attribute values by name
+ */
+function parseAttributes(attributeText) {
+  const attrs = {};
+  for (const match of attributeText.matchAll(ATTRIBUTE_REGEX)) {
+    attrs[match[1]] = decodeEntities(match[2] ?? match[3] ?? match[4] ?? '');
+  }
+  return attrs;
+}
+
+/**
+ * Gets the source markup of a node
+ * @param {string} src - The source markup
+ * @param {MarkupNode} node - The node
+ * @returns {string} The node exactly as written
+ */
+function outerMarkup(src, node) {
+  return src.slice(node.start, node.end);
+}
+
+/**
+ * Gets the source markup of an element's children
+ * @param {string} src - The source markup
+ * @param {MarkupNode} node - The element
+ * @returns {string} The children exactly as written
+ */
+function innerMarkup(src, node) {
+  return src.slice(node.innerStart, node.innerEnd);
+}
+
+/**
+ * Gets the text of a node and its descendants, without markup or entities
+ * @param {MarkupNode} node - The node
+ * @returns {string} The text content
+ */
+function textContent(node) {
+  if (node.type === 'text') return decodeEntities(node.value);
+  if (node.type === 'cdata') return node.value;
+  if (node.type !== 'element') return '';
+  return node.children.map(textContent).join('');
+}
+
+/**
+ * Gets the child elements of an element, optionally filtered by tag name
+ * @param {MarkupNode} node - The element
+ * @param {string} [name] - Tag name to keep
+ * @returns {MarkupNode[]} The child elements
+ */
+function childElements(node, name) {
+  return node.children.filter(child => child.type === 'element' && (!name || child.name === name));
+}
+
+/**
+ * Checks whether a node is whitespace-only text
+ * @param {MarkupNode} node - The node
+ * @returns {boolean} True for blank text nodes
+ */
+function isBlank(node) {
+  return node.type === 'text' && !node.value.trim();
+}
+
+/**
+ * Checks whether a node is a note or reference timestamp paragraph
+ * @param {MarkupNode} node - The node
+ * @returns {boolean} True if the node is a timestamp
+ */
+function isTimestamp(node) {
+  return node.type === 'element' && node.name === 'p' && /color:\s*#888\b/.test(node.attrs.style || '');
+}
+
+/**
+ * Gets the canonical name of a section header
+ * @param {string} title - The header text
+ * @returns {string} One of SECTION_NAMES, or the trimmed title for other sections
+ */
+function normalizeSectionName(title) {
+  const trimmed = title.trim().replace(/\s+/g, ' ');
+  return SECTION_NAMES.find(name => name.toLowerCase() === trimmed.toLowerCase()) || trimmed;
+}
+
+/**
+ * Parses a monthly notes file (or any fragment of one) into a document
+ * Each day remembers its exact markup, so days that aren't changed are written back byte for byte
+ * @param {string} content - The file content
+ * @returns {MonthDocument} The parsed document
+ */
+export function parseMonth(content) {
+  const root = parseMarkup(content);
+  const blocks = root.children.filter(node => !isBlank(node));
+  /** @type {MonthDocument} */
+  const doc = { preamble: [], days: [] };
+  let day = null;
+  let section = null;
+  let sectionBlocks = [];
+  // End of the last block that belongs to a day, i.e. isn't a rule between days
+  let lastEnd = 0;
+
+  const finishSection = () => {
+    if (section) {
+      section.items = parseSectionItems(content, section.name, sectionBlocks);
+    }
+    section = null;
+    sectionBlocks = [];
+  };
+
+  for (let i = 0; i < blocks.length; i++) {
+    const node = blocks[i];
+    const name = node.type === 'element' ? node.name : null;
+
+    if (name === 'h2') {
+      finishSection();
+      if (day) {
+        day.source.markup = content.slice(day.source.start, lastEnd);
+        day.source.separator = content.slice(lastEnd, node.start);
+        delete day.source.start;
+      } else {
+        doc.source = { head: content.slice(0, node.start), preamble: doc.preamble.map(item => item.html).join('\n\n'), tail: '' };
+      }
+
+      const title = textContent(node).trim().replace(/\s+/g, ' ');
+      day = { date: parseDayTitle(title), title, preamble: [], sections: [], source: { start: node.start, markup: '', separator: null } };
+      doc.days.push(day);
+      lastEnd = node.end;
+      continue;
+    }
+
+    // A rule directly before the next day (or the end of the file) only separates days
+    if (name === 'hr' && (i === blocks.length - 1 || (blocks[i + 1].type === 'element' && blocks[i + 1].name === 'h2'))) {
+      continue;
+    }
+    lastEnd = node.end;
+
+    if (name === 'h3' && day) {
+      finishSection();
+      section = { name: normalizeSectionName(textContent(node)), items: [] };
+      day.sections.push(section);
+      continue;
+    }
+
+    if (section) {
+      sectionBlocks.push(node);
+    } else {
+      (day ? day.preamble : doc.preamble).push({ type: 'raw', html: outerMarkup(content, node) });
+    }
+  }
+
+  finishSection();
+  if (day) {
+    day.source.markup = content.slice(day.source.start, lastEnd);
+    delete day.source.start;
+    doc.source.tail = content.slice(lastEnd);
+  }
+  return doc;
+}
+
+/**
+ * Parses the first day of a day section's content
+ * @param {string} sectionContent - Content starting with a day header
+ * @returns {DayNode|null} The day, or null if the content has no day header
+ */
+export function parseDay(sectionContent) {
+  return parseMonth(sectionContent).days[0] || null;
+}
+
+/**
+ * Parses markup into items for a section, e.g. content about to be added to it
+ * @param {string} sectionName - The section the markup belongs to
+ * @param {string} markup - The markup
+ * @returns {SectionItem[]} The parsed items
+ */
+export function parseItems(sectionName, markup) {
+  const root = parseMarkup(markup);
+  return parseSectionItems(markup, normalizeSectionName(sectionName), root.children.filter(node => !isBlank(node)));
+}
+
+/**
+ * Turns the top-level nodes of a section into items
+ * @param {string} src - The source markup
+ * @param {string} sectionName - The canonical section name
+ * @param {MarkupNode[]} blocks - The section's non-blank top-level nodes
+ * @returns {SectionItem[]} The parsed items
+ */
+function parseSectionItems(src, sectionName, blocks) {
+  const items = [];
+  const raw = (node) => ({ type: 'raw', html: outerMarkup(src, node) });
+
+  for (let i = 0; i < blocks.length; i++) {
+    const node = blocks[i];
+
+    if (sectionName === 'Todos') {
+      if (node.type === 'element' && node.name === 'ac:task-list') {
+        childElements(node, 'ac:task').forEach(task => items.push(parseTask(src, task)));
+      } else if (node.type === 'element' && node.name === 'ac:task') {
+        items.push(parseTask(src, node));
+      } else {
+        items.push(raw(node));
+      }
+    } else if (sectionName === 'Context') {
+      items.push(parseContext(src, node) || raw(node));
+    } else if (sectionName === 'References') {
+      let timestamp = null;
+      let macro = node;
+      if (isTimestamp(node) && i + 1 < blocks.length) {
+        timestamp = textContent(node).trim();
+        macro = blocks[i + 1];
+      }
+      const reference = parseReference(src, macro, timestamp);
+      if (reference) {
+        items.push(reference);
+        if (macro !== node) i++;
+      } else {
+        items.push(raw(node));
+      }
+    } else if (sectionName === 'Notes') {
+      if (isTimestamp(node)) {
+        items.push({ type: 'note', timestamp: textContent(node).trim(), html: '' });
+        continue;
+      }
+
+      // Skip the empty placeholder paragraph of a new day
+      if (node.type === 'element' && node.name === 'p' && !innerMarkup(src, node).trim()) {
+        continue;
+      }
+
+      // A timestamped note owns every block up to the next timestamp
+      const last = items[items.length - 1];
+      if (last && last.type === 'note' && last.timestamp) {
+        last.html = last.html ? `${last.html}\n${outerMarkup(src, node)}` : outerMarkup(src, node);
+      } else {
+        items.push({ type: 'note', timestamp: null, html: outerMarkup(src, node) });
+      }
+    } else {
+      items.push(raw(node));
+    }
+  }
+
+  return items;
+}
+
+/**
+ * Parses an ac:task element
+ * @param {string} src - The source markup
+ * @param {MarkupNode} task - The task element
+ * @returns {TodoNode} The todo
+ */
+function parseTask(src, task) {
+  const idElement = childElements(task, 'ac:task-id')[0];
+  const statusElement = childElements(task, 'ac:task-status')[0];
+  const body = childElements(task, 'ac:task-body')[0];
+
+  /** @type {TodoNode} */
+  const todo = {
+    type: 'todo',
+    taskId: idElement ? parseInt(textContent(idElement), 10) || 0 : 0,
+    checked: statusElement ? textContent(statusElement).trim() === 'complete' : false,
+    html: '',
+    contextIds: [],
+    migration: null,
+    uid: null,
+    created: null,
+    carryCount: 0,
+    due: null,
+    priority: null,
+    completedAt: null,
+    reopenedAt: null,
+    subtasks: []
+  };
+
+  if (!body) {
+    return todo;
+  }
+
+  // Subtasks are a task list in the body; we write it after the span, Confluence may put it anywhere
+  const isTaskList = (node) => node.type === 'element' && node.name === 'ac:task-list';
+  const collectSubtasks = (nodes) => nodes.filter(isTaskList).forEach(list => {
+    childElements(list, 'ac:task').forEach(subtask => todo.subtasks.push(parseTask(src, subtask)));
+  });
+  collectSubtasks(body.children);
+
+  // Our todos wrap their body in a placeholder span carrying the todo's identity
+  let nodes = body.children.filter(node => !isTaskList(node));
+  const content = nodes.filter(node => !isBlank(node));
+  if (content.length === 1 && content[0].type === 'element' && content[0].name === 'span') {
+    const span = content[0];
+    todo.uid = span.attrs['data-todo-uid'] || null;
+    todo.created = /^\d{4}-\d{2}-\d{2}$/.test(span.attrs['data-created'] || '') ? span.attrs['data-created'] : null;
+    todo.carryCount = parseInt(span.attrs['data-carried'], 10) || 0;
+    todo.completedAt = DATE_TIME_REGEX.test(span.attrs['data-completed'] || '') ? span.attrs['data-completed'] : null;
+    todo.reopenedAt = DATE_TIME_REGEX.test(span.attrs['data-reopened'] || '') ? span.attrs['data-reopened'] : null;
+    collectSubtasks(span.children);
+    nodes = span.children.filter(node => !isTaskList(node));
+  }
+
+  const parts = [];
+  for (const node of nodes) {
+    if (node.type === 'element' && node.name === 'a' && (node.attrs.href || '').startsWith('#context-')) {
+      todo.contextIds.push(node.attrs.href.slice('#context-'.length));
+      continue;
+    }
+
+    const markerMatch = node.type === 'element' && node.name === 'em' ? textContent(node).trim().match(MIGRATION_MARKER_REGEX) : null;
+    if (markerMatch) {
+      todo.migration = { action: markerMatch[1], target: markerMatch[2] || null };
+      continue;
+    }
+
+    if (node.type === 'element' && node.name === 'time' && /^\d{4}-\d{2}-\d{2}$/.test(node.attrs.datetime || '')) {
+      todo.due = node.attrs.datetime;
+      continue;
+    }
+
+    const priority = parsePriorityLozenge(node);
+    if (priority) {
+      todo.priority = priority;
+      continue;
+    }
+
+    parts.push(outerMarkup(src, node));
+  }
+
+  // Legacy todos referenced their context as plain "[context: id]" text
+  todo.html = parts.join('')
+    .replace(/\s*\[context: ([^\]]+)\]/g, (match, contextId) => {
+      todo.contextIds.push(contextId);
+      return '';
+    })
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  return todo;
+}
+
+/**
+ * Reads a todo priority from a status lozenge such as "P1"
+ * @param {MarkupNode} node - The candidate node
+ * @returns {number|null} The priority, or null if the node is not a priority lozenge
+ */
+function parsePriorityLozenge(node) {
+  if (node.type !== 'element' || node.name !== 'ac:structured-macro' || node.attrs['ac:name'] !== 'status') {
+    return null;
+  }
+
+  const title = childElements(node, 'ac:parameter').find(param => param.attrs['ac:name'] === 'title');
+  const match = title ? textContent(title).trim().match(/^P([1-3])$/) : null;
+  return match ? parseInt(match[1], 10) : null;
+}
+
+/**
+ * Parses an info panel holding a context block
+ * @param {string} src - The source markup
+ * @param {MarkupNode} node - The candidate node
+ * @returns {ContextNode|null} The context, or null if the node is not a context block
+ */
+function parseContext(src, node) {
+  if (node.type !== 'element' || node.name !== 'ac:structured-macro' || node.attrs['ac:name'] !== 'info') {
+    return null;
+  }
+
+  const title = childElements(node, 'ac:parameter').find(param => param.attrs['ac:name'] === 'title');
+  const titleMatch = title ? textContent(title).trim().match(/^\[(.+)\]$/) : null;
+  if (!titleMatch) {
+    return null;
+  }
+
+  const body = childElements(node, 'ac:rich-text-body')[0];
+  return { type: 'context', id: titleMatch[1], html: body ? innerMarkup(src, body).trim() : '' };
+}
+
+/**
+ * Parses a code macro holding a reference
+ * @param {string} src - The source markup
+ * @param {MarkupNode} node - The candidate node
+ * @param {string|null} timestamp - The timestamp preceding the macro, if any
+ * @returns {ReferenceNode|null} The reference, or null if the node is not a reference
+ */
+function parseReference(src, node, timestamp) {
+  if (node.type !== 'element' || node.name !== 'ac:structured-macro' || node.attrs['ac:name'] !== 'code') {
+    return null;
+  }
+
+  const parameters = {};
+  let titleId = null;
+  for (const param of childElements(node, 'ac:parameter')) {
+    const value = textContent(param).trim();
+    if (param.attrs['ac:name'] === 'title') {
+      const titleMatch = value.match(/^\[(.+)\]$/);
+      titleId = titleMatch ? titleMatch[1] : null;
+    } else {
+      parameters[param.attrs['ac:name']] = value;
+    }
+  }
+
+  const id = titleId || node.attrs['data-ref-id'];
+  if (!id) {
+    return null;
+  }
+
+  const body = childElements(node, 'ac:plain-text-body')[0];
+  const content = body ? textContent(body) : '';
+
+  return { type: 'reference', id, content, timestamp, parameters, sourceId: node.attrs['data-source-ref'] || null };
+}
+
+/**
+ * Creates an empty day with the standard sections
+ * @param {Date} date - The day
+ * @returns {DayNode} The new day
+ */
+export function createDay(date) {
+  return {
+    date,
+    title: getDateString(date),
+    preamble: [],
+    sections: SECTION_NAMES.map(name => ({ name, items: [] }))
+  };
+}
+
+/**
+ * Gets a section of a day, optionally creating it in its standard position
+ * @param {DayNode} day - The day
+ * @param {string} name - The section name
+ * @param {boolean} [create] - Create the section if the day doesn't have it
+ * @returns {SectionNode|null} The section, or null if missing and not created
+ */
+export function getSection(day, name, create = false) {
+  const existing = day.sections.find(section => section.name === name);
+  if (existing || !create) {
+    return existing || null;
+  }
+
+  const section = { name, items: [] };
+  const rank = SECTION_NAMES.indexOf(name);
+  const insertIdx = day.sections.findIndex(other => {
+    const otherRank = SECTION_NAMES.indexOf(other.name);
+    return rank !== -1 && otherRank !== -1 && otherRank > rank;
+  });
+  day.sections.splice(insertIdx === -1 ? day.sections.length : insertIdx, 0, section);
+  return section;
+}
+
+/**
+ * Gets the items of one type from a day's section
+ * @param {DayNode} day - The day
+ * @param {string} sectionName - The section name
+ * @param {SectionItem['type']} type - The item type
+ * @returns {SectionItem[]} The matching items in document order
+ */
+export function getItems(day, sectionName, type) {
+  const section = getSection(day, sectionName);
+  return section ? section.items.filter(item => item.type === type) : [];
+}
+
+/**
+ * Lists todos followed by their subtasks, depth first
+ * @param {TodoNode[]} todos - The todos
+ * @returns {TodoNode[]} Every todo and subtask in document order
+ */
+export function flattenTodos(todos) {
+  return todos.flatMap(todo => [todo, ...flattenTodos(todo.subtasks || [])]);
+}
+
+/**
+ * Serializes a todo as an ac:task element
+ * @param {TodoNode} todo - The todo
+ * @returns {string} The task markup
+ */
+export function serializeTodo(todo) {
+  let attributes = '';
+  if (todo.uid) attributes += ` data-todo-uid="${escapeAttr(todo.uid)}"`;
+  if (todo.created) attributes += ` data-created="${escapeAttr(todo.created)}"`;
+  if (todo.carryCount) attributes += ` data-carried="${escapeAttr(todo.carryCount)}"`;
+  if (todo.completedAt) attributes += ` data-completed="${escapeAttr(todo.completedAt)}"`;
+  if (todo.reopenedAt) attributes += ` data-reopened="${escapeAttr(todo.reopenedAt)}"`;
+
+  const priority = todo.priority
+    ? ` <ac:structured-macro ac:name="status" ac:schema-version="1"><ac:parameter ac:name="title">P${todo.priority}</ac:parameter><ac:parameter ac:name="colour">${PRIORITY_COLOURS[todo.priority]}</ac:parameter></ac:structured-macro>`
+    : '';
+  const due = todo.due ? ` <time datetime="${escapeAttr(todo.due)}" />` : '';
+  const contextLinks = todo.contextIds.map(contextId =>
+    ` <a href="#context-${escapeAttr(contextId)}" style="color: #0066cc;">📎 ${escapeXml(contextId)}</a>`
+  ).join('');
+  const marker = todo.migration
+    ? ` <em>[${escapeXml(todo.migration.action)}${todo.migration.target ? ` → ${escapeXml(todo.migration.target)}` : ''}]</em>`
+    : '';
+  const status = todo.checked ? 'complete' : 'incomplete';
+  const subtasks = todo.subtasks && todo.subtasks.length > 0
+    ? `<ac:task-list>${todo.subtasks.map(serializeTodo).join('')}</ac:task-list>`
+    : '';
+
+  return `<ac:task><ac:task-id>${todo.taskId}</ac:task-id><ac:task-status>${status}</ac:task-status><ac:task-body><span class="placeholder-inline-tasks"${attributes}>${todo.html}${priority}${due}${contextLinks}${marker}</span>${subtasks}</ac:task-body></ac:task>`;
+}
+
+/**
+ * Serializes a section item
+ * @param {SectionItem} item - The item
+ * @returns {string} The item markup
+ */
+function serializeItem(item) {
+  switch (item.type) {
+    case 'todo':
+      return serializeTodo(item);
+    case 'context':
+      return `<ac:structured-macro ac:name="info" ac:schema-version="1"><ac:parameter ac:name="title">[${escapeXml(item.id)}]</ac:parameter><ac:rich-text-body>${item.html}</ac:rich-text-body></ac:structured-macro>`;
+    case 'reference': {
+      const parameters = Object.entries(item.parameters || {})
+        .map(([name, value]) => `<ac:parameter ac:name="${escapeAttr(name)}">${escapeXml(value)}</ac:parameter>`)
+        .join('');
+      const source = item.sourceId ? ` data-source-ref="${escapeAttr(item.sourceId)}"` : '';
+      const macro = `<ac:structured-macro ac:name="code" data-ref-id="${escapeAttr(item.id)}"${source}><ac:parameter ac:name="title">[${escapeXml(item.id)}]</ac:parameter>${parameters}<ac:plain-text-body><![CDATA[${escapeCdata(item.content)}]]></ac:plain-text-body></ac:structured-macro>`;
+      return item.timestamp ? `${serializeTimestamp(item.timestamp)}\n${macro}` : macro;
+    }
+    case 'note':
+      return item.timestamp ? `${serializeTimestamp(item.timestamp)}\n${item.html}` : item.html;
+    default:
+      return item.html;
+  }
+}
+
+/**
+ * Serializes a note or reference timestamp
+ * @param {string} timestamp - The timestamp text
+ * @returns {string} The timestamp paragraph
+ */
+function serializeTimestamp(timestamp) {
+  return `<p style="${TIMESTAMP_STYLE}">${escapeXml(timestamp)}</p>`;
+}
+
+/**
+ * Serializes a day back to Confluence XHTML
+ * @param {DayNode} day - The day
+ * @returns {string} The day section content
+ */
+export function serializeDay(day) {
+  const lines = [`<h2>${escapeXml(day.date ? getDateString(day.date) : day.title)}</h2>`, ''];
+
+  day.preamble.forEach(item => lines.push(item.html, ''));
+
+  // Same layout as days have always been written: a blank line after each block, and an
+  // empty paragraph closing the notes for Confluence's editor
+  for (const section of day.sections) {
+    lines.push(`<h3>${escapeXml(section.name)}</h3>`);
+
+    if (section.name === 'Todos') {
+      lines.push('<ac:task-list>');
+      section.items.filter(item => item.type === 'todo').forEach(todo => lines.push(serializeTodo(todo)));
+      lines.push('</ac:task-list>');
+      section.items.filter(item => item.type !== 'todo').forEach(item => lines.push('', serializeItem(item)));
+    } else {
+      section.items.forEach(item => lines.push(serializeItem(item), ''));
+      if (section.name === 'Notes') {
+        lines.push('<p></p>');
+      }
+    }
+
+    lines.push('');
+  }
+
+  return lines.join('\n').trimEnd();
+}
+
+/**
+ * Serializes a day as it should appear in its file: exactly as it was read if it hasn't changed
+ * @param {DayNode} day - The day
+ * @returns {string} The day's markup
+ */
+function serializeDayInFile(day) {
+  const serialized = serializeDay(day);
+  if (day.source && day.source.markup) {
+    const original = parseDay(day.source.markup);
+    if (original && serializeDay(original) === serialized) {
+      return day.source.markup;
+    }
+  }
+  return serialized;
+}
+
+/**
+ * Serializes a document back to the content of a monthly notes file
+ * Unchanged days keep their exact markup and the spacing around them; changed and new days are
+ * written in the standard layout
+ * @param {MonthDocument} doc - The document
+ * @returns {string} The file content
+ */
+export function serializeMonth(doc) {
+  const preamble = doc.preamble.map(item => item.html).join('\n\n');
+  if (doc.days.length === 0) {
+    return preamble ? `${preamble}\n` : '';
+  }
+
+  const source = doc.source;
+  let content = source && source.preamble === preamble ? source.head : (preamble ? `${preamble}\n\n` : '');
+  doc.days.forEach((day, idx) => {
+    content += serializeDayInFile(day);
+    if (idx < doc.days.length - 1) {
+      content += day.source && day.source.separator !== null ? day.source.separator : DAY_SEPARATOR;
+    }
+  });
+  return content + (source ? source.tail : '\n');
+}
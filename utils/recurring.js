@@ -0,0 +1,191 @@
+/**
+ * @fileoverview Recurring todo definitions, stored in recurring.json in the notes directory
+ * Definitions due on a day are added to it when the day is started
+ */
+
+import fs from 'fs';
+import path from 'path';
+import chalk from 'chalk';
+import { getConfig } from './config.js';
+import { WEEKDAY_NAMES, isWorkingDay } from './dates.js';
+
+const RECURRING_FILE_NAME = 'recurring.json';
+
+/**
+ * @typedef {Object} RecurringTodo
+ * @property {number} id - Number used to remove the definition
+ * @property {string} text - The todo text, including any #tags
+ * @property {string} every - Schedule: "daily", "weekdays", a weekday name, or "monthly:<day>"
+ * @property {number} [priority] - Priority from 1 (highest) to 3 given to each todo
+ */
+
+/**
+ * Gets the path of the recurring todos file
+ * @returns {Promise<string>} The file path
+ */
+async function getRecurringFilePath() {
+  const config = await getConfig();
+  return path.join(config.notesDirectory, RECURRING_FILE_NAME);
+}
+
+/**
+ * Reads and parses the recurring todos file
+ * @param {string} filePath - The file path
+ * @returns {RecurringTodo[]} The definitions
+ * @throws {Error} If the file isn't valid JSON
+ */
+function readRecurringFile(filePath) {
+  const data = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  return Array.isArray(data.todos) ? data.todos : [];
+}
+
+/**
+ * Checks a definition read from the recurring todos file
+ * @param {*} todo - The definition as stored
+ * @returns {string|null} Why the definition can't be used, or null if it is valid
+ */
+function getDefinitionProblem(todo) {
+  if (!todo || typeof todo !== 'object') {
+    return 'it is not an object';
+  }
+  if (!Number.isInteger(todo.id)) {
+    return 'it has no number';
+  }
+  if (typeof todo.text !== 'string' || !todo.text.trim()) {
+    return 'it has no text';
+  }
+
+  const monthly = typeof todo.every === 'string' && todo.every.match(/^monthly:(\d{1,2})$/);
+  const valid = ['daily', 'weekdays', ...WEEKDAY_NAMES].includes(todo.every)
+    || (monthly && parseInt(monthly[1], 10) >= 1 && parseInt(monthly[1], 10) <= 31);
+  return valid ? null : `invalid schedule ${JSON.stringify(todo.every)}`;
+}
+
+/**
+ * Loads the recurring todo definitions
+ * A file that can't be read, or a definition that isn't valid, is skipped with a warning,
+ * so a hand-editing mistake doesn't block every command
+ * @returns {Promise<RecurringTodo[]>} The valid definitions (empty if there is no file yet or it is invalid)
+ */
+export async function loadRecurringTodos() {
+  const filePath = await getRecurringFilePath();
+  if (!fs.existsSync(filePath)) {
+    return [];
+  }
+
+  let todos;
+  try {
+    todos = readRecurringFile(filePath);
+  } catch (error) {
+    console.warn(chalk.yellow(`⚠ Ignoring ${RECURRING_FILE_NAME}, it could not be read: ${error.message}`));
+    return [];
+  }
+
+  return todos.filter(todo => {
+    const problem = getDefinitionProblem(todo);
+    if (problem) {
+      const label = todo && todo.id !== undefined ? `recurring todo #${todo.id}` : 'a recurring todo';
+      console.warn(chalk.yellow(`⚠ Ignoring ${label} in ${RECURRING_FILE_NAME}, ${problem}`));
+    }
+    return !problem;
+  });
+}
+
+/**
+ * Saves the recurring todo definitions
+ * A file that can't be read is kept as recurring.json.bak rather than overwritten, and definitions
+ * loadRecurringTodos skipped are kept in the file so they can still be fixed by hand
+ * @param {RecurringTodo[]} todos - The definitions
+ * @returns {Promise<void>}
+ */
+export async function saveRecurringTodos(todos) {
+  const filePath = await getRecurringFilePath();
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  let invalid = [];
+  if (fs.existsSync(filePath)) {
+    try {
+      invalid = readRecurringFile(filePath).filter(getDefinitionProblem);
+    } catch {
+      fs.renameSync(filePath, `${filePath}.bak`);
+    }
+  }
+  fs.writeFileSync(filePath, JSON.stringify({ todos: [...todos, ...invalid] }, null, 2), 'utf-8');
+}
+
+/**
+ * Parses a schedule given by the user
+ * Accepts "daily", "weekdays", weekday names ("monday", "mon", "every monday")
+ * and days of the month ("1st", "15", "1st of the month", "monthly" for the 1st)
+ * @param {string} input - The schedule
+ * @returns {string} The schedule as stored in RecurringTodo.every
+ * @throws {Error} If the schedule isn't recognised
+ */
+export function parseSchedule(input) {
+  const value = String(input).trim().toLowerCase().replace(/^every\s+/, '');
+
+  if (value === 'daily' || value === 'day') return 'daily';
+  if (['weekdays', 'weekday', 'working day', 'working days', 'workday', 'workdays'].includes(value)) return 'weekdays';
+  if (value === 'monthly' || value === 'month') return 'monthly:1';
+
+  const weekday = WEEKDAY_NAMES.find(name => name === value.replace(/s$/, '') || (value.length >= 3 && name.startsWith(value)));
+  if (weekday) return weekday;
+
+  const dayMatch = value.match(/^(\d{1,2})(?:st|nd|rd|th)?(?: (?:of )?(?:the |each |every )?month)?$/);
+  if (dayMatch) {
+    const day = parseInt(dayMatch[1], 10);
+    if (day >= 1 && day <= 31) return `monthly:${day}`;
+  }
+
+  throw new Error(`Invalid schedule: ${input} (use daily, weekdays, a weekday name or a day of the month like 1st)`);
+}
+
+/**
+ * Describes a stored schedule
+ * @param {string} every - The schedule as stored in RecurringTodo.every
+ * @returns {string} A description such as "every Monday"
+ */
+export function describeSchedule(every) {
+  if (every === 'daily') return 'every day';
+  if (every === 'weekdays') return 'every working day';
+
+  const monthly = every.match(/^monthly:(\d+)$/);
+  if (monthly) {
+    const day = parseInt(monthly[1], 10);
+    const suffix = [11, 12, 13].includes(day % 100) ? 'th' : ({ 1: 'st', 2: 'nd', 3: 'rd' }[day % 10] || 'th');
+    return `on the ${day}${suffix} of each month`;
+  }
+
+  return `every ${every.charAt(0).toUpperCase()}${every.slice(1)}`;
+}
+
+/**
+ * Checks whether a recurring todo is due on a day
+ * Monthly todos on a day the month doesn't have (e.g. the 31st) fall on its last day
+ * @param {RecurringTodo} todo - The definition
+ * @param {Date} date - The day
+ * @param {import('./dates.js').WorkCalendar} [calendar] - Working days and holidays for "weekdays"
+ * @returns {boolean} True if the todo should be added to that day
+ */
+export function isRecurringTodoDue(todo, date, calendar = {}) {
+  if (todo.every === 'daily') return true;
+  if (todo.every === 'weekdays') return isWorkingDay(date, calendar);
+
+  const monthly = todo.every.match(/^monthly:(\d+)$/);
+  if (monthly) {
+    const lastDay = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+    return date.getDate() === Math.min(parseInt(monthly[1], 10), lastDay);
+  }
+
+  return WEEKDAY_NAMES[date.getDay()] === todo.every;
+}
+
+/**
+ * Gets the recurring todos due on a day
+ * @param {Date} date - The day
+ * @returns {Promise<RecurringTodo[]>} The definitions due that day
+ */
+export async function getRecurringTodosDue(date) {
+  const config = await getConfig();
+  const todos = await loadRecurringTodos();
+  return todos.filter(todo => isRecurringTodoDue(todo, date, config.calendar));
+}
@@ -0,0 +1,142 @@
+/**
+ * @fileoverview Full-text search over todos, context, notes and references
+ */
+
+import chalk from 'chalk';
+import { getItems, flattenTodos, markupToText } from './notesModel.js';
+import { formatISODate } from './dates.js';
+
+export const SEARCH_TYPES = ['todo', 'context', 'note', 'ref'];
+
+const TYPE_ALIASES = {
+  todos: 'todo',
+  task: 'todo',
+  tasks: 'todo',
+  contexts: 'context',
+  notes: 'note',
+  refs: 'ref',
+  reference: 'ref',
+  references: 'ref'
+};
+
+/**
+ * @typedef {Object} SearchEntry
+ * @property {'todo'|'context'|'note'|'ref'} type - What kind of item matched
+ * @property {string} date - YYYY-MM-DD day holding the item
+ * @property {string} text - The item as plain text
+ * @property {boolean} [checked] - Whether a todo is done
+ * @property {string} [id] - The context or reference ID
+ */
+
+/**
+ * @typedef {Object} SearchFilters
+ * @property {string} [type] - Only this entry type
+ * @property {string} [since] - Only days on or after this YYYY-MM-DD date
+ * @property {boolean} [done] - Only completed todos
+ */
+
+/**
+ * Normalizes a search type given by the user
+ * @param {string} type - The type (e.g., "refs", "Todo")
+ * @returns {string|null} One of SEARCH_TYPES, or null if unknown
+ */
+export function normalizeSearchType(type) {
+  const name = String(type).trim().toLowerCase();
+  const normalized = TYPE_ALIASES[name] || name;
+  return SEARCH_TYPES.includes(normalized) ? normalized : null;
+}
+
+/**
+ * Lists the searchable items of a monthly notes file
+ * @param {import('./notesModel.js').MonthDocument} doc - The parsed notes file
+ * @returns {SearchEntry[]} One entry per todo, context, note and reference, newest day first
+ */
+export function extractSearchEntries(doc) {
+  const entries = [];
+  const days = doc.days
+    .filter(day => day.date)
+    .sort((a, b) => b.date.getTime() - a.date.getTime());
+
+  for (const day of days) {
+    const date = formatISODate(day.date);
+
+    flattenTodos(getItems(day, 'Todos', 'todo')).forEach(todo => entries.push({
+      type: 'todo',
+      date,
+      text: markupToText(todo.html).replace(/\s+/g, ' '),
+      checked: todo.checked
+    }));
+    getItems(day, 'Context', 'context').forEach(context => entries.push({
+      type: 'context',
+      date,
+      text: markupToText(context.html),
+      id: context.id
+    }));
+    getItems(day, 'Notes', 'note').forEach(note => entries.push({
+      type: 'note',
+      date,
+      text: markupToText(note.html)
+    }));
+    getItems(day, 'References', 'reference').forEach(ref => entries.push({
+      type: 'ref',
+      date,
+      text: ref.content,
+      id: ref.id
+    }));
+  }
+
+  return entries.filter(entry => entry.text.trim());
+}
+
+/**
+ * Splits a search query into terms that must all match
+ * Each argument is one term, so a quoted argument matches as a phrase
+ * @param {string[]} args - The query arguments
+ * @returns {string[]} Lowercase terms
+ */
+export function parseSearchTerms(args) {
+  return args.map(arg => arg.trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * Checks whether an entry passes the filters and contains every term
+ * @param {SearchEntry} entry - The entry
+ * @param {string[]} terms - Lowercase search terms
+ * @param {SearchFilters} [filters] - Type, date and status filters
+ * @returns {boolean} True if the entry matches
+ */
+export function matchesSearch(entry, terms, filters = {}) {
+  if (filters.type && entry.type !== filters.type) return false;
+  if (filters.done && !(entry.type === 'todo' && entry.checked)) return false;
+  if (filters.since && entry.date < filters.since) return false;
+
+  const text = entry.text.toLowerCase();
+  return terms.every(term => text.includes(term) || (entry.id && entry.id.includes(term)));
+}
+
+/**
+ * Builds a one-line excerpt of an entry around its first match, with matches highlighted
+ * @param {SearchEntry} entry - The entry
+ * @param {string[]} terms - Lowercase search terms
+ * @param {number} [width] - Maximum excerpt length before highlighting
+ * @returns {string} The excerpt with ANSI highlighting
+ */
+export function highlightExcerpt(entry, terms, width = 100) {
+  // Multi-line references show their first matching line
+  const lines = entry.text.split('\n');
+  const line = lines.find(candidate => terms.some(term => candidate.toLowerCase().includes(term))) || lines[0];
+  const text = line.replace(/\s+/g, ' ').trim();
+
+  let start = 0;
+  if (text.length > width) {
+    const firstMatch = Math.min(...terms.map(term => text.toLowerCase().indexOf(term)).filter(idx => idx !== -1));
+    start = Number.isFinite(firstMatch) ? Math.max(0, Math.min(firstMatch - Math.floor(width / 3), text.length - width)) : 0;
+  }
+
+  let excerpt = text.substring(start, start + width);
+  if (start > 0) excerpt = `…${excerpt}`;
+  if (start + width < text.length) excerpt = `${excerpt}…`;
+
+  const pattern = new RegExp(terms.map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|'), 'gi');
+  return terms.length > 0 ? excerpt.replace(pattern, match => chalk.bgYellow.black(match)) : excerpt;
+}
@@ -0,0 +1,309 @@
+/**
+ * @fileoverview On-disk search index over all monthly notes files
+ * Stores each file's parsed search entries and an inverted word index, keyed by
+ * modification time and content hash so only changed files are parsed again.
+ * Callers pass in the notes files and parsed months, so this module doesn't depend on fileHandler.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { getConfig } from './config.js';
+import { parseMonth } from './notesModel.js';
+import { extractSearchEntries, matchesSearch } from './search.js';
+
+const INDEX_FILE_NAME = '.wdidt-search.json';
+const INDEX_VERSION = 2;
+
+/** @typedef {import('./search.js').SearchEntry} SearchEntry */
+/** @typedef {import('./search.js').SearchFilters} SearchFilters */
+
+/**
+ * @typedef {Object} IndexedFile
+ * @property {number} mtime - Modification time of the file when it was indexed
+ * @property {string} hash - SHA-1 of the file content when it was indexed
+ * @property {SearchEntry[]} entries - The file's search entries, newest day first
+ * @property {Object<string, number[]>} words - Positions in `entries` of the entries containing each word
+ * @property {string[]} keys - The words of `words`, sorted, for prefix lookups
+ */
+
+/**
+ * @typedef {Object} SearchIndex
+ * @property {number} version - Index format version
+ * @property {Object<string, IndexedFile>} files - Indexed files by file name
+ */
+
+/**
+ * Gets the path of the index file
+ * @returns {Promise<string>} The index file path
+ */
+async function getIndexPath() {
+  const config = await getConfig();
+  return path.join(config.notesDirectory, INDEX_FILE_NAME);
+}
+
+/**
+ * Reads the index file
+ * @param {string} indexPath - The index file path
+ * @returns {SearchIndex|null} The index, or null if it is missing, unreadable or from another version
+ */
+function readIndex(indexPath) {
+  if (!fs.existsSync(indexPath)) {
+    return null;
+  }
+
+  try {
+    const index = JSON.parse(fs.readFileSync(indexPath, 'utf-8'));
+    return index.version === INDEX_VERSION && index.files ? index : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Writes the index file
+ * @param {string} indexPath - The index file path
+ * @param {SearchIndex} index - The index
+ * @returns {void}
+ */
+function writeIndex(indexPath, index) {
+  fs.mkdirSync(path.dirname(indexPath), { recursive: true });
+  fs.writeFileSync(indexPath, JSON.stringify(index), 'utf-8');
+}
+
+/**
+ * Splits text into lowercase words for the inverted index
+ * @param {string} text - The text
+ * @returns {string[]} The words (letters and digits only)
+ */
+function tokenize(text) {
+  return text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+/**
+ * Hashes file content to tell real changes from touched files
+ * @param {string} content - The file content
+ * @returns {string} Hex SHA-1 digest
+ */
+function hashContent(content) {
+  return crypto.createHash('sha1').update(content).digest('hex');
+}
+
+/**
+ * Indexes one notes file
+ * @param {import('./notesModel.js').MonthDocument} doc - The parsed file
+ * @param {string} hash - Hash of the file content
+ * @param {number} mtime - The file's modification time
+ * @returns {IndexedFile} The indexed file
+ */
+function indexMonth(doc, hash, mtime) {
+  const entries = extractSearchEntries(doc);
+  const words = {};
+
+  entries.forEach((entry, idx) => {
+    for (const word of new Set(tokenize(`${entry.text} ${entry.id || ''}`))) {
+      // Own properties only, so words like "constructor" don't hit Object.prototype
+      if (!Object.hasOwn(words, word)) {
+        words[word] = [];
+      }
+      words[word].push(idx);
+    }
+  });
+
+  return { mtime, hash, entries, words, keys: Object.keys(words).sort() };
+}
+
+/**
+ * @typedef {'exact'|'prefix'|'suffix'|'substring'} WordMatch
+ * How a search token has to match an indexed word for its entry to be a candidate
+ */
+
+/**
+ * Finds the entries of an indexed file with a word matching a token
+ * @param {IndexedFile} file - The indexed file
+ * @param {string} token - The token, lowercase
+ * @param {WordMatch} match - How the token has to match the word
+ * @returns {Set<number>} Positions in the file's entries
+ */
+function lookupWord(file, token, match) {
+  if (match === 'exact') {
+    return new Set(Object.hasOwn(file.words, token) ? file.words[token] : []);
+  }
+
+  let words;
+  if (match === 'prefix') {
+    // Binary search for the first word not sorting before the token; words with its prefix follow it
+    let low = 0;
+    let high = file.keys.length;
+    while (low < high) {
+      const middle = (low + high) >>> 1;
+      if (file.keys[middle] < token) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+    let end = low;
+    while (end < file.keys.length && file.keys[end].startsWith(token)) end++;
+    words = file.keys.slice(low, end);
+  } else {
+    words = file.keys.filter(word => (match === 'suffix' ? word.endsWith(token) : word.includes(token)));
+  }
+
+  const positions = new Set();
+  words.forEach(word => file.words[word].forEach(position => positions.add(position)));
+  return positions;
+}
+
+/**
+ * Works out how each token of a search term has to match indexed words
+ * Terms match anywhere in the text, so a lone token can sit inside a word. In a phrase, the
+ * first token ends a word, the last one starts a word and any in between are whole words.
+ * @param {string} term - A lowercase search term
+ * @returns {Array<{token: string, match: WordMatch}>} The term's tokens
+ */
+function getTermLookups(term) {
+  const tokens = tokenize(term);
+  return tokens.map((token, idx) => {
+    if (tokens.length === 1) return { token, match: 'substring' };
+    if (idx === 0) return { token, match: 'suffix' };
+    return { token, match: idx === tokens.length - 1 ? 'prefix' : 'exact' };
+  });
+}
+
+/**
+ * Brings the index up to date with the notes files on disk
+ * Files are only parsed again when both their modification time and content hash changed
+ * @param {SearchIndex} index - The index to update
+ * @param {string[]} files - Paths of all monthly notes files
+ * @returns {boolean} True if the index changed
+ */
+function refreshIndex(index, files) {
+  const names = new Set(files.map(filePath => path.basename(filePath)));
+  let changed = false;
+
+  for (const name of Object.keys(index.files)) {
+    if (!names.has(name)) {
+      delete index.files[name];
+      changed = true;
+    }
+  }
+
+  for (const filePath of files) {
+    const name = path.basename(filePath);
+    const mtime = fs.statSync(filePath).mtimeMs;
+    const indexed = index.files[name];
+    if (indexed && indexed.mtime === mtime) {
+      continue;
+    }
+
+    const content = fs.readFileSync(filePath, 'utf-8');
+    const hash = hashContent(content);
+    if (indexed && indexed.hash === hash) {
+      indexed.mtime = mtime;
+    } else {
+      index.files[name] = indexMonth(parseMonth(content), hash, mtime);
+    }
+    changed = true;
+  }
+
+  return changed;
+}
+
+/**
+ * Loads the search index, re-indexing any notes file that changed since it was saved
+ * @param {string[]} files - Paths of all monthly notes files
+ * @returns {Promise<SearchIndex>} The up-to-date index
+ */
+export async function loadSearchIndex(files) {
+  const indexPath = await getIndexPath();
+  const index = readIndex(indexPath) || { version: INDEX_VERSION, files: {} };
+
+  if (refreshIndex(index, files) || !fs.existsSync(indexPath)) {
+    writeIndex(indexPath, index);
+  }
+
+  return index;
+}
+
+/**
+ * Rebuilds the search index from scratch
+ * @param {string[]} files - Paths of all monthly notes files
+ * @returns {Promise<SearchIndex>} The rebuilt index
+ */
+export async function rebuildSearchIndex(files) {
+  const index = { version: INDEX_VERSION, files: {} };
+  refreshIndex(index, files);
+  writeIndex(await getIndexPath(), index);
+  return index;
+}
+
+/**
+ * Re-indexes a notes file that was just written
+ * Failures are ignored because the next search re-indexes changed files anyway
+ * @param {string} filePath - The notes file
+ * @param {string} content - The content that was written
+ * @param {import('./notesModel.js').MonthDocument} doc - The parsed month the content was serialized from
+ * @returns {Promise<void>}
+ */
+export async function updateSearchIndexForFile(filePath, content, doc) {
+  try {
+    const indexPath = await getIndexPath();
+    const index = readIndex(indexPath);
+    if (!index) {
+      // Nothing to keep current; the first search builds the whole index
+      return;
+    }
+
+    index.files[path.basename(filePath)] = indexMonth(doc, hashContent(content), fs.statSync(filePath).mtimeMs);
+    writeIndex(indexPath, index);
+  } catch (error) {
+    // The index is only a cache
+  }
+}
+
+/**
+ * Finds the entries of all notes files that match a search
+ * The word index only narrows down the candidates; it never drops an entry a full scan would match
+ * @param {string[]} files - Paths of all monthly notes files
+ * @param {string[]} terms - Lowercase search terms that must all match
+ * @param {SearchFilters} [filters] - Type, date and status filters
+ * @returns {Promise<SearchEntry[]>} Matching entries, newest first
+ */
+export async function searchIndex(files, terms, filters = {}) {
+  const index = await loadSearchIndex(files);
+  const lookups = terms.flatMap(getTermLookups);
+  const results = [];
+
+  for (const name of Object.keys(index.files).sort().reverse()) {
+    const file = index.files[name];
+
+    // Narrow down with the word index, then check the candidates' full text
+    let candidates = null;
+    for (const { token, match } of lookups) {
+      const matching = lookupWord(file, token, match);
+      candidates = candidates ? new Set([...candidates].filter(position => matching.has(position))) : matching;
+      if (candidates.size === 0) break;
+    }
+
+    const positions = candidates ? [...candidates].sort((a, b) => a - b) : file.entries.map((entry, idx) => idx);
+    results.push(...positions.map(position => file.entries[position]).filter(entry => matchesSearch(entry, terms, filters)));
+  }
+
+  return results;
+}
+
+/**
+ * Summarizes the search index
+ * @param {SearchIndex} index - The index
+ * @returns {{files: number, entries: number, words: number}} Counts of indexed files, entries and distinct words
+ */
+export function getSearchIndexStats(index) {
+  const files = Object.values(index.files);
+  const words = new Set(files.flatMap(file => Object.keys(file.words)));
+  return {
+    files: files.length,
+    entries: files.reduce((sum, file) => sum + file.entries.length, 0),
+    words: words.size
+  };
+}
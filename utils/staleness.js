@@ -0,0 +1,42 @@
+/**
+ * @fileoverview Ages of open todos and when they count as stale
+ * A todo is stale once it has been carried over at least once and has been open for carryover.staleDays days or more.
+ */
+
+import { daysBetween, parseDateInput } from './dates.js';
+
+export const DEFAULT_STALE_DAYS = 7;
+
+/**
+ * Gets the number of days from which open todos count as stale
+ * @param {import('./config.js').Config} config - The wdidt configuration
+ * @returns {number} carryover.staleDays, or the default of 7
+ */
+export function getStaleDays(config) {
+  return (config.carryover && config.carryover.staleDays) || DEFAULT_STALE_DAYS;
+}
+
+/**
+ * Gets how many days a todo has been open as of a day
+ * @param {{created?: string|null}} todo - The todo
+ * @param {Date} [date] - The day to measure against (defaults to today)
+ * @returns {number|null} Age in days, or null if the creation date is unknown
+ */
+export function getTodoAge(todo, date) {
+  if (!todo.created) {
+    return null;
+  }
+  return daysBetween(parseDateInput(todo.created), date || new Date());
+}
+
+/**
+ * Checks whether an open todo has been carried along for too long
+ * @param {{checked: boolean, created?: string|null, carryCount?: number}} todo - The todo
+ * @param {number} staleDays - Age from which carried todos count as stale
+ * @param {Date} [date] - The day to measure against (defaults to today)
+ * @returns {boolean} True if the todo is open, was carried over and is at least staleDays old
+ */
+export function isStale(todo, staleDays, date) {
+  const age = getTodoAge(todo, date);
+  return !todo.checked && todo.carryCount > 0 && age !== null && age >= staleDays;
+}
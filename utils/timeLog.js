@@ -0,0 +1,223 @@
+/**
+ * @fileoverview Time tracked against todos, stored in timelog.json in the notes directory
+ * Intervals are keyed by the todo's uid, so time keeps adding up as a todo is carried over.
+ * Only one timer runs at a time; starting another stops it.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { getConfig } from './config.js';
+import { formatISODate } from './dates.js';
+
+const TIME_LOG_FILE_NAME = 'timelog.json';
+
+/**
+ * @typedef {Object} TimeEntry
+ * @property {string} todo - Key of the todo: its uid, or its text for todos without one
+ * @property {string} text - The todo text when the timer was started
+ * @property {string[]} tags - The todo's tags when the timer was started
+ * @property {string} day - YYYY-MM-DD day holding the todo
+ * @property {string} start - ISO time the interval started
+ * @property {string|null} end - ISO time the interval ended, or null while the timer runs
+ */
+
+/**
+ * @typedef {Object} TimeTotal
+ * @property {string} name - The todo text or tag
+ * @property {string[]} tags - The todo's tags (empty for tag totals)
+ * @property {number} minutes - Tracked minutes
+ */
+
+/**
+ * @typedef {Object} TimeSummary
+ * @property {TimeTotal[]} todos - Totals per todo, most time first
+ * @property {TimeTotal[]} tags - Totals per tag, most time first
+ * @property {number} minutes - Total tracked minutes
+ */
+
+/**
+ * Gets the path of the time log
+ * @returns {Promise<string>} The file path
+ */
+async function getTimeLogPath() {
+  const config = await getConfig();
+  return path.join(config.notesDirectory, TIME_LOG_FILE_NAME);
+}
+
+/**
+ * Loads every tracked interval
+ * @returns {Promise<TimeEntry[]>} The intervals in the order they were started
+ * @throws {Error} If the file exists but isn't valid JSON
+ */
+export async function loadTimeEntries() {
+  const filePath = await getTimeLogPath();
+  if (!fs.existsSync(filePath)) {
+    return [];
+  }
+
+  try {
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    return Array.isArray(data.entries) ? data.entries : [];
+  } catch (error) {
+    throw new Error(`Could not read ${TIME_LOG_FILE_NAME}: ${error.message}`);
+  }
+}
+
+/**
+ * Saves the tracked intervals
+ * @param {TimeEntry[]} entries - The intervals
+ * @returns {Promise<void>}
+ */
+async function saveTimeEntries(entries) {
+  const filePath = await getTimeLogPath();
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify({ entries }, null, 2), 'utf-8');
+}
+
+/**
+ * Gets the key time is tracked under for a todo
+ * @param {import('./fileHandler.js').TodoItem} todo - The todo
+ * @returns {string} The todo's uid, or its text for todos without one
+ */
+export function getTodoKey(todo) {
+  return todo.uid || todo.text;
+}
+
+/**
+ * Gets the running timer
+ * @param {TimeEntry[]} entries - The intervals
+ * @returns {TimeEntry|null} The open interval, if a timer is running
+ */
+export function getRunningEntry(entries) {
+  return entries.find(entry => !entry.end) || null;
+}
+
+/**
+ * Starts a timer on a todo, stopping the one that was running
+ * @param {import('./fileHandler.js').TodoItem} todo - The todo to track
+ * @param {Date} [date] - The day holding the todo (defaults to today)
+ * @returns {Promise<TimeEntry|null>} The interval that was stopped, if a timer was running
+ */
+export async function startTimer(todo, date) {
+  const entries = await loadTimeEntries();
+  const now = new Date();
+  const stopped = getRunningEntry(entries);
+  if (stopped) {
+    stopped.end = now.toISOString();
+  }
+
+  entries.push({
+    todo: getTodoKey(todo),
+    text: todo.text,
+    tags: todo.tags,
+    day: formatISODate(date || now),
+    start: now.toISOString(),
+    end: null
+  });
+  await saveTimeEntries(entries);
+  return stopped;
+}
+
+/**
+ * Stops the running timer
+ * @returns {Promise<TimeEntry|null>} The interval that was stopped, or null if no timer was running
+ */
+export async function stopTimer() {
+  const entries = await loadTimeEntries();
+  const running = getRunningEntry(entries);
+  if (!running) {
+    return null;
+  }
+
+  running.end = new Date().toISOString();
+  await saveTimeEntries(entries);
+  return running;
+}
+
+/**
+ * Gets the length of an interval
+ * @param {TimeEntry} entry - The interval
+ * @param {Date} [now] - End of a running interval (defaults to now)
+ * @returns {number} Minutes, not rounded, so short intervals still add up
+ */
+export function getEntryMinutes(entry, now = new Date()) {
+  const end = entry.end ? new Date(entry.end) : now;
+  return Math.max(0, (end.getTime() - new Date(entry.start).getTime()) / 60000);
+}
+
+/**
+ * Adds up tracked time per todo
+ * @param {TimeEntry[]} entries - The intervals
+ * @returns {Map<string, number>} Minutes by todo key
+ */
+export function getMinutesByTodo(entries) {
+  const totals = new Map();
+  entries.forEach(entry => totals.set(entry.todo, (totals.get(entry.todo) || 0) + getEntryMinutes(entry)));
+  return totals;
+}
+
+/**
+ * Adds up the time tracked on days in a range, per todo and per tag
+ * An interval counts for the day it started on; a todo with several tags counts for each of them
+ * @param {TimeEntry[]} entries - The intervals
+ * @param {string} since - First day, YYYY-MM-DD
+ * @param {string} until - Last day, YYYY-MM-DD
+ * @returns {TimeSummary} The totals
+ */
+export function summarizeTime(entries, since, until) {
+  const todos = new Map();
+  const tags = new Map();
+  let minutes = 0;
+
+  for (const entry of entries) {
+    const startDay = formatISODate(new Date(entry.start));
+    if (startDay < since || startDay > until) {
+      continue;
+    }
+
+    const entryMinutes = getEntryMinutes(entry);
+    minutes += entryMinutes;
+
+    // The latest text and tags win, so a renamed todo is listed once under its new name
+    const todo = todos.get(entry.todo) || { name: entry.text, tags: entry.tags, minutes: 0 };
+    todos.set(entry.todo, { name: entry.text, tags: entry.tags, minutes: todo.minutes + entryMinutes });
+
+    for (const tag of entry.tags.length > 0 ? entry.tags : [null]) {
+      const key = tag === null ? '(untagged)' : `#${tag}`;
+      tags.set(key, (tags.get(key) || 0) + entryMinutes);
+    }
+  }
+
+  const byMinutes = (a, b) => b.minutes - a.minutes;
+  return {
+    todos: [...todos.values()].sort(byMinutes),
+    tags: [...tags.entries()].map(([name, total]) => ({ name, tags: [], minutes: total })).sort(byMinutes),
+    minutes
+  };
+}
+
+/**
+ * Converts a timesheet to CSV, one row per todo followed by one row per tag
+ * @param {TimeSummary} summary - The totals
+ * @returns {string} The CSV, with a header row
+ */
+export function formatTimeCsv(summary) {
+  const quote = (value) => (/[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+  const row = (type, total) => [type, quote(total.name), quote(total.tags.join(' ')), Math.round(total.minutes), (total.minutes / 60).toFixed(2)].join(',');
+
+  return [
+    'type,name,tags,minutes,hours',
+    ...summary.todos.map(total => row('todo', total)),
+    ...summary.tags.map(total => row('tag', total))
+  ].join('\n') + '\n';
+}
+
+/**
+ * Formats minutes as hours and minutes
+ * @param {number} minutes - The duration
+ * @returns {string} The duration in whole minutes, e.g. "1:05"
+ */
+export function formatDuration(minutes) {
+  const whole = Math.floor(minutes);
+  return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+}
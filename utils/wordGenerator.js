@@ -1,5 +1,5 @@
 /**
- * @fileoverview Generates memorable 3-word identifiers for references
+ * @fileoverview Generates memorable 3-word identifiers for references and contexts
  */
 
 const adjectives = [
@@ -26,28 +26,81 @@ const verbs = [
   'starts', 'stops', 'goes', 'stays', 'comes', 'leaves', 'enters', 'exits', 'opens', 'closes'
 ];
 
+/**
+ * @typedef {Object} WordLists
+ * @property {string[]} adjectives - First words of an ID
+ * @property {string[]} verbs - Middle words of an ID
+ * @property {string[]} nouns - Last words of an ID
+ */
+
+/**
+ * @typedef {Object} IdWordsConfig
+ * @property {string[]} [adjectives] - Extra adjectives
+ * @property {string[]} [verbs] - Extra verbs
+ * @property {string[]} [nouns] - Extra nouns
+ * @property {boolean} [replaceDefaults] - Use only the configured words instead of adding them to the built-in lists
+ */
+
+/**
+ * Builds the word lists IDs are drawn from
+ * Words must be lowercase letters only so IDs stay easy to type and split
+ * @param {IdWordsConfig} [wordsConfig] - Words from the `ids` config section
+ * @returns {WordLists} Deduplicated word lists
+ */
+export function getWordLists(wordsConfig = {}) {
+  const build = (defaults, extra = []) => {
+    const words = (wordsConfig.replaceDefaults ? [] : defaults)
+      .concat(extra.map(word => String(word).trim().toLowerCase()))
+      .filter(word => /^[a-z]+$/.test(word));
+    return [...new Set(words)];
+  };
+
+  const lists = {
+    adjectives: build(adjectives, wordsConfig.adjectives),
+    verbs: build(verbs, wordsConfig.verbs),
+    nouns: build(nouns, wordsConfig.nouns)
+  };
+
+  // Fall back to the built-in words rather than generating broken IDs
+  for (const [name, defaults] of Object.entries({ adjectives, verbs, nouns })) {
+    if (lists[name].length === 0) {
+      lists[name] = [...new Set(defaults)];
+    }
+  }
+
+  return lists;
+}
+
+/**
+ * Counts how many distinct IDs a set of word lists can produce
+ * @param {WordLists} [wordLists] - The word lists (defaults to the built-in words)
+ * @returns {number} Number of possible IDs
+ */
+export function getIdSpaceSize(wordLists = getWordLists()) {
+  return wordLists.adjectives.length * wordLists.verbs.length * wordLists.nouns.length;
+}
+
 /**
  * Generates a random 3-word identifier
+ * @param {WordLists} [wordLists] - The word lists to draw from (defaults to the built-in words)
  * @returns {string} A 3-word identifier in format "adjective-verb-noun"
  */
-export function generateThreeWordId() {
-  const adjective = adjectives[Math.floor(Math.random() * adjectives.length)];
-  const verb = verbs[Math.floor(Math.random() * verbs.length)];
-  const noun = nouns[Math.floor(Math.random() * nouns.length)];
-
-  return `${adjective}-${verb}-${noun}`;
+export function generateThreeWordId(wordLists = getWordLists()) {
+  const pick = (words) => words[Math.floor(Math.random() * words.length)];
+  return `${pick(wordLists.adjectives)}-${pick(wordLists.verbs)}-${pick(wordLists.nouns)}`;
 }
 
 /**
  * Generates a unique 3-word identifier that doesn't exist in any content
  * @param {Function} checkExists - Async function that checks if an ID exists
  * @param {number} maxAttempts - Maximum number of generation attempts (default: 100)
+ * @param {WordLists} [wordLists] - The word lists to draw from (defaults to the built-in words)
  * @returns {Promise<string>} A unique 3-word identifier
  * @throws {Error} If unable to generate unique ID after maxAttempts
  */
-export async function generateUniqueThreeWordId(checkExists, maxAttempts = 100) {
+export async function generateUniqueThreeWordId(checkExists, maxAttempts = 100, wordLists = getWordLists()) {
   for (let i = 0; i < maxAttempts; i++) {
-    const id = generateThreeWordId();
+    const id = generateThreeWordId(wordLists);
     const exists = await checkExists(id);
 
     if (!exists) {
@@ -55,5 +108,5 @@ export async function generateUniqueThreeWordId(checkExists, maxAttempts = 100)
     }
   }
 
-  throw new Error(`Unable to generate unique ID after ${maxAttempts} attempts`);
+  throw new Error(`Unable to generate unique ID after ${maxAttempts} attempts (add words under "ids" in ~/.wdidt/config.json)`);
 }